@@ -3,13 +3,39 @@
 const yargs = require('yargs');
 const { hideBin } = require('yargs/helpers');
 const path = require('path');
+const os = require('os');
+const readline = require('readline');
 const fs = require('fs-extra');
 
 const Scanner = require('./lib/scanner');
 const RuleEngine = require('./lib/ruleEngine');
 const Formatter = require('./lib/formatter');
 const Fixer = require('./lib/fixer');
+const FixReviewer = require('./lib/fixReviewer');
 const ErrorHandler = require('./lib/errorHandler');
+const Baseline = require('./lib/baseline');
+const Git = require('./lib/git');
+const ConfigLoader = require('./lib/configLoader');
+const RuleTester = require('./lib/ruleTester');
+const RuleLinter = require('./lib/ruleLinter');
+const IgnoreMatcher = require('./lib/ignoreMatcher');
+const { createPatch } = require('./lib/diff');
+const JsonReporter = require('./lib/jsonReporter');
+const SarifReporter = require('./lib/sarifReporter');
+const JunitReporter = require('./lib/junitReporter');
+const CheckstyleReporter = require('./lib/checkstyleReporter');
+const HtmlReporter = require('./lib/htmlReporter');
+
+/**
+ * Report formats selectable with --format
+ */
+const REPORTERS = {
+  json: JsonReporter,
+  sarif: SarifReporter,
+  junit: JunitReporter,
+  checkstyle: CheckstyleReporter,
+  html: HtmlReporter
+};
 
 /**
  * Main CLI application class
@@ -22,6 +48,13 @@ class CodeMigrationCLI {
     this.fixer = null;
     this.errorHandler = null;
     this.startTime = null;
+    this.reportToStdout = false;
+    this.baseline = null;
+    this.git = null;
+    this.gitTree = null; // Repository root and stash state for --git
+    this.stdin = null; // Path and content of source read with --stdin
+    this.configLoader = null; // Project configuration files
+    this.configMatchers = new Map(); // Directory -> IgnoreMatcher for config ignore patterns
   }
 
   /**
@@ -32,37 +65,96 @@ class CodeMigrationCLI {
     try {
       // Initialize formatter first for error reporting
       this.formatter = new Formatter({
-        colorEnabled: !options.noColor,
-        verbose: options.verbose
+        colorEnabled: options.color !== false,
+        verbose: options.verbose,
+        contextLines: this.resolveContextLines(options.context)
       });
 
+      // Config files fill in options that were not given on the command line
+      this.configLoader = new ConfigLoader();
+      const targetDir = await this.getConfigDirectory(options);
+      this.applyConfig(options, this.configLoader.getConfig(targetDir));
+
+      // A report written to stdout owns it; everything else goes to stderr.
+      // So does the fixed source with --stdin --fix.
+      this.reportToStdout = this.isReportFormat(options.format) && !options.output;
+      const stdinFix = options.stdin && options.fix && !options.dryRun;
+
+      if (options.stdin && !options.stdinFilename) {
+        throw new Error('--stdin needs --stdin-filename to choose rules by file type');
+      }
+      if (stdinFix && this.reportToStdout) {
+        throw new Error('--stdin --fix writes the fixed source to stdout; use --output for the report');
+      }
+      this.reportToStdout = this.reportToStdout || stdinFix;
+
+      if (options.output && !this.isReportFormat(options.format)) {
+        this.log(this.formatter.formatWarning('--output only applies to report formats such as --format json'));
+      }
+
       // Initialize error handler
       this.errorHandler = new ErrorHandler(this.formatter);
 
-      // Initialize scanner with error handler
+      // Initialize rule engine with error handler
+      this.ruleEngine = new RuleEngine(options.rules, {
+        errorHandler: this.errorHandler,
+        regexTimeout: options.regexTimeout || 5000,
+        workerPoolSize: this.resolveConcurrency(options.concurrency),
+        logger: (message) => this.log(message)
+      });
+      await this.ruleEngine.loadRules();
+
+      // Catch broken and ReDoS-prone rules before they run
+      if (options.lintRules !== false) {
+        this.checkRules();
+      }
+
+      // Initialize scanner with error handler and the rules file's ignore patterns
       this.scanner = new Scanner({
         maxFileSize: this.parseFileSize(options.maxFileSize),
         ignorePatterns: options.ignore || [],
-        supportedExtensions: options.extensions || [],
+        gitignorePatterns: this.ruleEngine.getIgnorePatterns(),
+        useIgnoreFiles: options.ignoreFiles !== false,
+        ignoreCheck: (filePath) => this.getConfigExclusion(filePath),
+        supportedExtensions: options.extensions,
         errorHandler: this.errorHandler
       });
 
-      // Initialize rule engine with error handler
-      this.ruleEngine = new RuleEngine(options.rules, {
-        errorHandler: this.errorHandler,
-        regexTimeout: options.regexTimeout || 5000
-      });
-      await this.ruleEngine.loadRules();
+      // --update-baseline records a fresh baseline, --baseline compares against one
+      if (options.updateBaseline) {
+        this.baseline = new Baseline(options.updateBaseline);
+      } else if (options.baseline) {
+        this.baseline = await new Baseline(options.baseline).load();
+      }
+
+      if (options.diffOnly && !options.changedSince && !options.staged) {
+        throw new Error('--diff-only needs --changed-since <ref> or --staged');
+      }
+
+      // A patch without --fix is a dry run that only writes the patch
+      if (options.patch && !options.fix) {
+        options.dryRun = true;
+      }
 
       // Initialize fixer if needed
       if (options.fix || options.dryRun) {
         this.fixer = new Fixer({
           backupDir: options.backupDir,
-          dryRun: options.dryRun
+          dryRun: options.dryRun,
+          generateDiffs: Boolean(options.patch)
         });
       }
 
-      console.log(this.formatter.formatInfo(`Initialized with ${this.ruleEngine.getAllRules().length} rules`));
+      // --git commits fixes on a branch of the scanned repository, which needs a clean tree before scanning
+      if (options.git && options.fix && !options.dryRun && !options.stdin) {
+        this.git = new Git({ cwd: targetDir });
+        this.gitTree = await this.fixer.prepareGitTree(this.git, { stash: options.gitStash });
+        if (this.gitTree.stashed) {
+          this.log(this.formatter.formatInfo('Stashed uncommitted changes before fixing'));
+        }
+      }
+
+      this.log(this.formatter.formatInfo(`Initialized with ${this.ruleEngine.getAllRules().length} rules`));
     } catch (error) {
       console.error(this.formatter.formatError(error));
       process.exit(1);
@@ -71,36 +163,77 @@ class CodeMigrationCLI {
 
   /**
    * Main scan operation with enhanced workflow orchestration
-   * @param {string} targetPath - Directory to scan
+   * @param {string|Array} targets - Directories, files or glob patterns to scan (ignored with --stdin)
    * @param {Object} options - CLI options
    */
-  async scan(targetPath, options) {
+  async scan(targets, options) {
     this.startTime = Date.now();
+    const targetPaths = options.stdin ? [] : [].concat(targets || []);
     
     try {
+      // Output paths are relative to a single scanned directory, or else the current one
+      const targetPath = await this.resolveBasePath(targetPaths);
+
       // Phase 1: Discovery and validation
-      console.log(this.formatter.formatInfo(`🔍 Starting code migration scan...`));
-      console.log(this.formatter.formatInfo(`Target directory: ${targetPath}`));
+      this.log(this.formatter.formatInfo(`🔍 Starting code migration scan...`));
+      if (options.stdin) {
+        this.stdin = { filePath: path.resolve(options.stdinFilename), content: await this.readStdin() };
+        this.log(this.formatter.formatInfo(`Target: stdin as ${options.stdinFilename}`));
+      } else {
+        this.log(this.formatter.formatInfo(`Target${targetPaths.length === 1 ? '' : 's'}: ${targetPaths.join(', ')}`));
+      }
       
-      const discoveryResult = await this.discoverFiles(targetPath, options);
+      const discoveryResult = await this.discoverFiles(targetPaths, options);
       if (discoveryResult.files.length === 0) {
-        console.log(this.formatter.formatWarning('No files found to scan'));
-        return { filesScanned: 0, issuesFound: 0, phase: 'discovery' };
+        this.log(this.formatter.formatWarning('No files found to scan'));
+        if (this.stdin && options.fix && !options.dryRun) {
+          process.stdout.write(this.stdin.content); // Pass ignored source through unchanged
+        }
+        const emptyStatistics = {
+          ...this.calculateStatistics([], 0, Date.now() - this.startTime),
+          phase: 'discovery'
+        };
+        await this.writeReports({
+          findings: [],
+          statistics: emptyStatistics,
+          errorSummary: this.errorHandler.getErrorSummary(),
+          fixResults: null,
+          rules: this.ruleEngine.getAllRules(),
+          files: [],
+          targetPath
+        }, options);
+        return emptyStatistics;
       }
 
       // Phase 2: Analysis
-      console.log(this.formatter.formatInfo(`📋 Analyzing ${discoveryResult.files.length} files...`));
+      this.log(this.formatter.formatInfo(`📋 Analyzing ${discoveryResult.files.length} files...`));
       const analysisResult = await this.analyzeFiles(discoveryResult.files, targetPath, options);
 
+      let baselineResult = null;
+      if (this.baseline) {
+        baselineResult = await this.applyBaseline(analysisResult, discoveryResult.files, options);
+      }
+
+      if (options.diffOnly && discoveryResult.changes) {
+        this.filterChangedLines(analysisResult, discoveryResult.changes);
+      }
+
       // Phase 3: Reporting
-      console.log(this.formatter.formatInfo(`📊 Generating report...`));
-      this.displayAnalysisResults(analysisResult, targetPath, options);
+      this.log(this.formatter.formatInfo(`📊 Generating report...`));
+      // Sources are read before fixing, so code frames and HTML excerpts show the scanned code
+      const codeFrames = this.formatter.options.contextLines !== null && !this.reportToStdout;
+      const sources = codeFrames || this.writesReport(options, 'html')
+        ? await this.readSources(analysisResult.findings)
+        : null;
+      this.displayAnalysisResults(analysisResult, targetPath, options, codeFrames ? sources : null);
 
       // Phase 4: Fixing (if requested)
       let fixResults = null;
       if (options.fix || options.dryRun) {
-        console.log(this.formatter.formatInfo(`🔧 ${options.dryRun ? 'Simulating' : 'Applying'} fixes...`));
-        fixResults = await this.applyFixes(analysisResult.findings, options);
+        this.log(this.formatter.formatInfo(`🔧 ${options.dryRun ? 'Simulating' : 'Applying'} fixes...`));
+        fixResults = this.stdin
+          ? await this.applyStdinFixes(analysisResult.findings, options)
+          : await this.applyFixes(analysisResult.findings, options);
       }
 
       // Phase 5: Final summary
@@ -111,28 +244,44 @@ class CodeMigrationCLI {
         scanTime, 
         fixResults
       );
+      if (baselineResult) {
+        statistics.baselinedCount = baselineResult.baselined.length;
+        statistics.fixedBaselineCount = baselineResult.fixed.reduce((sum, entry) => sum + entry.count, 0);
+      }
       
       // Add error summary to statistics
       const errorSummary = this.errorHandler.getErrorSummary();
       statistics.errorSummary = errorSummary;
       
-      console.log(this.formatter.formatSummary(statistics));
+      this.log(this.formatter.formatSummary(statistics));
       
       // Display error summary if there were errors
       if (errorSummary.hasErrors) {
-        console.log(this.formatter.formatInfo('\n🚨 Error Summary:'));
+        this.log(this.formatter.formatInfo('\n🚨 Error Summary:'));
         Object.entries(errorSummary.byType).forEach(([type, count]) => {
           if (count > 0) {
-            console.log(`  ${type}: ${count} error${count === 1 ? '' : 's'}`);
+            this.log(`  ${type}: ${count} error${count === 1 ? '' : 's'}`);
           }
         });
         
         if (errorSummary.hasCriticalErrors) {
-          console.log(this.formatter.formatWarning(
+          this.log(this.formatter.formatWarning(
             'Critical errors detected. Some rules or files may have been skipped.'
           ));
         }
       }
+
+      // Emit machine-readable reports if requested
+      await this.writeReports({
+        findings: analysisResult.findings,
+        statistics,
+        errorSummary,
+        fixResults,
+        rules: this.ruleEngine.getAllRules(),
+        files: discoveryResult.files,
+        sources,
+        targetPath
+      }, options);
       
       // Set exit code based on findings and errors
       if (statistics.errorCount > 0 || errorSummary.hasCriticalErrors) {
@@ -151,45 +300,59 @@ class CodeMigrationCLI {
 
   /**
    * Phase 1: Discover and validate files
-   * @param {string} targetPath - Directory to scan
+   * @param {string|Array} targets - Directories, files or glob patterns to scan
    * @param {Object} options - CLI options
    * @returns {Promise<Object>} Discovery results
    */
-  async discoverFiles(targetPath, options) {
+  async discoverFiles(targets, options) {
     try {
       const startTime = Date.now();
-      
-      // Validate target directory
-      if (!(await fs.pathExists(targetPath))) {
-        throw new Error(`Target directory does not exist: ${targetPath}`);
+      const targetPaths = [].concat(targets);
+      const targetPath = await this.resolveBasePath(targetPaths);
+
+      if (!this.stdin && targetPaths.length === 0) {
+        throw new Error('No files, directories or glob patterns to scan');
       }
 
-      const stats = await fs.stat(targetPath);
-      if (!stats.isDirectory()) {
-        throw new Error(`Target path is not a directory: ${targetPath}`);
+      // --changed-since and --staged limit the scan to files git reports as changed
+      let changes = null;
+      if ((options.changedSince || options.staged) && !this.stdin) {
+        changes = await this.getChangedFiles(targetPath, options);
       }
 
       // Discover files with progress reporting
-      const files = await this.scanner.scanDirectory(targetPath, {
-        extensions: options.extensions
-      });
+      let files;
+      if (this.stdin) {
+        files = this.discoverStdin(options);
+      } else {
+        files = await this.scanner.scanTargets(targetPaths, {
+          extensions: options.extensions,
+          onlyFiles: changes ? [...changes.keys()] : undefined
+        });
+        this.scanner.getExcludedFiles().filter(entry => entry.explicit).forEach(({ filePath, rule }) => {
+          this.log(this.formatter.formatWarning(`Ignoring ${path.relative(process.cwd(), filePath)}: ${this.describeIgnoreRule(rule)}`));
+        });
+      }
 
       const discoveryTime = Date.now() - startTime;
       
-      console.log(this.formatter.formatSuccess(
-        `Found ${files.length} files in ${this.formatter.formatDuration(discoveryTime)}`
+      this.log(this.formatter.formatSuccess(
+        `Found ${files.length} ${changes ? 'changed ' : ''}files in ${this.formatter.formatDuration(discoveryTime)}`
       ));
 
       if (options.verbose) {
+        this.displayExcludedFiles(targetPath);
+
         const extensionCounts = this.groupFilesByExtension(files);
-        console.log(this.formatter.formatInfo('File breakdown:'));
+        this.log(this.formatter.formatInfo('File breakdown:'));
         Object.entries(extensionCounts).forEach(([ext, count]) => {
-          console.log(`  ${ext}: ${count} file${count === 1 ? '' : 's'}`);
+          this.log(`  ${ext}: ${count} file${count === 1 ? '' : 's'}`);
         });
       }
 
       return {
         files,
+        changes,
         discoveryTime,
         targetPath: path.resolve(targetPath)
       };
@@ -200,64 +363,70 @@ class CodeMigrationCLI {
   }
 
   /**
-   * Phase 2: Analyze files for issues
+   * Phase 2: Analyze files for issues. Up to `options.concurrency` files are
+   * read and matched at once; findings are still reported in file order.
    * @param {Array} files - Files to analyze
    * @param {string} targetPath - Base directory path
    * @param {Object} options - CLI options
    * @returns {Promise<Object>} Analysis results
    */
   async analyzeFiles(files, targetPath, options) {
-    const allFindings = [];
-    const errors = [];
-    let filesProcessed = 0;
-    let totalBytes = 0;
+    const fileResults = new Array(files.length);
+    let filesCompleted = 0;
+    let nextIndex = 0;
     
     const startTime = Date.now();
     const progressInterval = Math.max(1, Math.floor(files.length / 20)); // Update progress every 5%
+    const concurrency = Math.min(files.length, this.resolveConcurrency(options.concurrency));
+
+    const analyzeNext = async () => {
+      while (nextIndex < files.length) {
+        const index = nextIndex++;
+        const filePath = files[index];
+
+        fileResults[index] = await this.analyzeFile(filePath, options);
+        filesCompleted++;
 
-    for (let i = 0; i < files.length; i++) {
-      const filePath = files[i];
-      
-      try {
         // Show progress for large scans
-        if (options.verbose || (i + 1) % progressInterval === 0 || i === files.length - 1) {
+        if (options.verbose || filesCompleted % progressInterval === 0 || filesCompleted === files.length) {
           const relativePath = path.relative(targetPath, filePath);
           const progressMsg = options.verbose 
             ? `Scanning: ${relativePath}`
             : 'Scanning files';
           
-          console.log(this.formatter.formatProgress(progressMsg, i + 1, files.length));
+          this.log(this.formatter.formatProgress(progressMsg, filesCompleted, files.length));
         }
 
-        // Read and analyze file
-        const content = await this.scanner.readFile(filePath);
-        const fileExtension = this.scanner.getFileExtension(filePath);
-        const findings = await this.ruleEngine.applyRules(content, filePath, fileExtension);
-        
-        allFindings.push(...findings);
-        filesProcessed++;
-        totalBytes += content.length;
-
         // Memory management for large scans
-        if (filesProcessed % 100 === 0) {
+        if (filesCompleted % 100 === 0) {
           // Force garbage collection hint
           if (global.gc) {
             global.gc();
           }
         }
+      }
+    };
 
-      } catch (error) {
-        const errorInfo = {
-          filePath,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        };
-        errors.push(errorInfo);
-        
-        if (options.verbose) {
-          console.warn(this.formatter.formatWarning(`Failed to scan ${filePath}: ${error.message}`));
-        }
+    const runners = [];
+    for (let i = 0; i < concurrency; i++) {
+      runners.push(analyzeNext());
+    }
+    await Promise.all(runners);
+
+    // Merge per-file results in discovery (sorted path) order so output is deterministic
+    const allFindings = [];
+    const errors = [];
+    let filesProcessed = 0;
+    let totalBytes = 0;
+
+    for (const result of fileResults) {
+      if (result.error) {
+        errors.push(result.error);
+        continue;
       }
+      allFindings.push(...result.findings);
+      filesProcessed++;
+      totalBytes += result.bytes;
     }
 
     const analysisTime = Date.now() - startTime;
@@ -272,50 +441,419 @@ class CodeMigrationCLI {
     };
   }
 
+  /**
+   * Read and analyze a single file
+   * @param {string} filePath - File to analyze
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object>} Findings and size, or error information
+   */
+  async analyzeFile(filePath, options) {
+    try {
+      const content = this.stdin && filePath === this.stdin.filePath
+        ? this.stdin.content
+        : await this.scanner.readFile(filePath);
+      const fileExtension = this.scanner.getFileExtension(filePath);
+      const findings = this.applySeverityOverrides(
+        await this.ruleEngine.applyRules(content, filePath, fileExtension),
+        filePath
+      );
+
+      if (this.baseline) {
+        for (const finding of findings) {
+          finding.fingerprint = this.baseline.fingerprint(finding, content);
+        }
+      }
+
+      return { findings, bytes: content.length };
+    } catch (error) {
+      if (options.verbose) {
+        console.warn(this.formatter.formatWarning(`Failed to scan ${filePath}: ${error.message}`));
+      }
+
+      return {
+        error: {
+          filePath,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Record or apply the baseline, leaving only new findings in the analysis
+   * @param {Object} analysisResult - Analysis results (findings are replaced)
+   * @param {Array} files - Files that were scanned
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object>} New findings, baselined findings and fixed entries
+   */
+  async applyBaseline(analysisResult, files, options) {
+    if (options.updateBaseline) {
+      const count = await this.baseline.save(analysisResult.findings);
+      this.log(this.formatter.formatSuccess(
+        `Baseline with ${count} finding${count === 1 ? '' : 's'} written to ${options.updateBaseline}`
+      ));
+    }
+
+    const result = this.baseline.filter(analysisResult.findings, files);
+    analysisResult.findings = result.newFindings;
+
+    if (result.fixed.length > 0) {
+      const fixedCount = result.fixed.reduce((sum, entry) => sum + entry.count, 0);
+      this.log(this.formatter.formatInfo(
+        `${fixedCount} baselined finding${fixedCount === 1 ? ' has' : 's have'} been fixed; run with --update-baseline to prune the baseline`
+      ));
+      if (options.verbose) {
+        for (const entry of result.fixed) {
+          this.log(`  ${entry.file}: ${entry.ruleId} (${entry.matchedText})${entry.count > 1 ? ` x${entry.count}` : ''}`);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Pick the directory whose config files apply to the whole run
+   * @param {Object} options - CLI options
+   * @returns {Promise<string>} Directory of the only target or the stdin file name, else the current directory
+   */
+  async getConfigDirectory(options) {
+    if (options.stdin && options.stdinFilename) {
+      return path.dirname(path.resolve(options.stdinFilename));
+    }
+    const paths = [].concat(options.paths || []);
+    if (paths.length === 1) {
+      const stats = await fs.stat(paths[0]).catch(() => null);
+      if (stats) {
+        return stats.isDirectory() ? paths[0] : path.dirname(paths[0]);
+      }
+    }
+    return process.cwd();
+  }
+
+  /**
+   * Fill in options from config files. Options given on the command line
+   * win; values yargs defaulted (listed in options.defaulted) do not.
+   * @param {Object} options - CLI options, updated in place
+   * @param {Object} config - Merged configuration from ConfigLoader
+   */
+  applyConfig(options, config) {
+    const defaulted = options.defaulted || [];
+    for (const key of ['rules', 'extensions', 'maxFileSize', 'backupDir', 'format', 'output']) {
+      if (config[key] !== undefined && (options[key] === undefined || defaulted.includes(key))) {
+        options[key] = config[key];
+      }
+    }
+    options.reporters = config.reporters || [];
+
+    for (const format of [options.format, ...options.reporters.map(reporter => reporter.format)]) {
+      if (this.isReportFormat(format) && !REPORTERS[format]) {
+        throw new Error(`Unknown report format: ${format}`);
+      }
+    }
+  }
+
+  /**
+   * Check a file against the ignore patterns of the config files that apply to it
+   * @param {string} filePath - Path to file
+   * @returns {Object|null} Excluding rule, or null
+   */
+  getConfigExclusion(filePath) {
+    const dir = path.dirname(path.resolve(filePath));
+    if (!this.configMatchers.has(dir)) {
+      const { ignore } = this.configLoader.getConfig(dir);
+      this.configMatchers.set(dir, ignore.length > 0
+        ? new IgnoreMatcher({ root: ignore[0].base, patternSets: ignore, useIgnoreFiles: false })
+        : null);
+    }
+    const matcher = this.configMatchers.get(dir);
+    return matcher ? matcher.check(filePath) : null;
+  }
+
+  /**
+   * Apply severity overrides from the config files that apply to a file
+   * @param {Array} findings - Findings in the file
+   * @param {string} filePath - Path to file
+   * @returns {Array} Findings with overridden severities, without those of rules turned off
+   */
+  applySeverityOverrides(findings, filePath) {
+    const { severity } = this.configLoader.getConfig(path.dirname(path.resolve(filePath)));
+    return findings
+      .filter(finding => severity[finding.ruleId] !== 'off')
+      .map(finding => severity[finding.ruleId] ? { ...finding, severity: severity[finding.ruleId] } : finding);
+  }
+
+  /**
+   * Print the effective configuration for a file as JSON
+   * @param {string} filePath - File (or directory) to show the configuration for
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object>} Effective configuration
+   */
+  async printConfig(filePath, options) {
+    this.configLoader = new ConfigLoader();
+    const absolute = path.resolve(filePath);
+    const stats = await fs.stat(absolute).catch(() => null);
+    const config = this.configLoader.getConfig(stats && stats.isDirectory() ? absolute : path.dirname(absolute));
+    this.applyConfig(options, config);
+
+    const ignore = config.ignore.map(set => ({ patterns: set.patterns, source: set.source }));
+    if (options.ignore && options.ignore.length > 0) {
+      ignore.push({ patterns: options.ignore, source: '--ignore' });
+    }
+
+    const effective = {
+      configFiles: config.files,
+      rules: options.rules,
+      extensions: options.extensions || null,
+      ignore,
+      maxFileSize: options.maxFileSize,
+      backupDir: options.backupDir,
+      severity: config.severity,
+      format: options.format,
+      output: options.output || null,
+      reporters: options.reporters
+    };
+    console.log(JSON.stringify(effective, null, 2));
+    return effective;
+  }
+
+  /**
+   * Pick the directory output paths are shown relative to
+   * @param {Array} targetPaths - Scan targets
+   * @returns {Promise<string>} The target itself if it is the only one and a directory, else the current directory
+   */
+  async resolveBasePath(targetPaths) {
+    if (targetPaths.length === 1) {
+      const stats = await fs.stat(targetPaths[0]).catch(() => null);
+      if (stats && stats.isDirectory()) {
+        return targetPaths[0];
+      }
+    }
+    return process.cwd();
+  }
+
+  /**
+   * Check the --stdin-filename against extension and ignore filtering
+   * @param {Object} options - CLI options
+   * @returns {Array} The stdin file path, or nothing if it is excluded
+   */
+  discoverStdin(options) {
+    const rule = this.scanner.getExclusion(this.stdin.filePath, { extensions: options.extensions });
+    if (rule) {
+      this.log(this.formatter.formatWarning(`Ignoring ${options.stdinFilename}: ${this.describeIgnoreRule(rule)}`));
+      return [];
+    }
+    return [this.stdin.filePath];
+  }
+
+  /**
+   * Read all of stdin
+   * @param {Readable} input - Stream to read (defaults to process.stdin)
+   * @returns {Promise<string>} Content
+   */
+  async readStdin(input = process.stdin) {
+    const chunks = [];
+    for await (const chunk of input) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Describe the rule that excluded a file
+   * @param {Object} rule - Rule from the scanner ({ pattern, source, line })
+   * @returns {string} Pattern and where it came from
+   */
+  describeIgnoreRule(rule) {
+    const source = path.isAbsolute(rule.source) ? path.relative(process.cwd(), rule.source) : rule.source;
+    return `${rule.pattern} (${rule.line ? `${source}:${rule.line}` : source})`;
+  }
+
+  /**
+   * Explain which ignore rules excluded files (verbose output)
+   * @param {string} targetPath - Scanned directory
+   */
+  displayExcludedFiles(targetPath) {
+    const excluded = this.scanner.getExcludedFiles();
+    if (excluded.length === 0) {
+      return;
+    }
+
+    const byRule = new Map();
+    excluded.forEach(({ filePath, rule }) => {
+      if (!byRule.has(rule)) {
+        byRule.set(rule, []);
+      }
+      byRule.get(rule).push(filePath);
+    });
+
+    this.log(this.formatter.formatInfo(`Excluded ${excluded.length} file${excluded.length === 1 ? '' : 's'} by ignore rules:`));
+    for (const [rule, filePaths] of byRule) {
+      this.log(`  ${this.describeIgnoreRule(rule)}: ${filePaths.length} file${filePaths.length === 1 ? '' : 's'}`);
+      filePaths.slice(0, 10).forEach(filePath => this.log(`    ${path.relative(targetPath, filePath)}`));
+      if (filePaths.length > 10) {
+        this.log(`    ... and ${filePaths.length - 10} more`);
+      }
+    }
+  }
+
+  /**
+   * Ask git which files changed under the target directory
+   * @param {string} targetPath - Directory to scan
+   * @param {Object} options - CLI options
+   * @returns {Promise<Map>} Changed line ranges keyed by the paths the scanner reports
+   */
+  async getChangedFiles(targetPath, options) {
+    const changes = await new Git({ cwd: targetPath }).getChanges({
+      since: options.changedSince,
+      staged: options.staged
+    });
+
+    // Git reports real paths; the scanner reports paths under the target as given
+    const resolvedPath = path.resolve(targetPath);
+    const realPath = await fs.realpath(resolvedPath);
+    const files = new Map();
+    for (const [filePath, ranges] of changes) {
+      files.set(path.join(resolvedPath, path.relative(realPath, filePath)), ranges);
+    }
+    return files;
+  }
+
+  /**
+   * Keep only findings on lines that changed (--diff-only)
+   * @param {Object} analysisResult - Analysis results; findings are replaced
+   * @param {Map} changes - Changed line ranges per file from Git.getChanges
+   */
+  filterChangedLines(analysisResult, changes) {
+    const before = analysisResult.findings.length;
+
+    analysisResult.findings = analysisResult.findings.filter(finding => {
+      const ranges = changes.get(path.resolve(finding.filePath));
+      if (ranges === null) {
+        return true; // New file
+      }
+      const endLine = finding.lineNumber + (finding.matchedText.match(/\n/g) || []).length;
+      return (ranges || []).some(range => finding.lineNumber <= range.end && endLine >= range.start);
+    });
+
+    const skipped = before - analysisResult.findings.length;
+    if (skipped > 0) {
+      this.log(this.formatter.formatInfo(
+        `Ignored ${skipped} finding${skipped === 1 ? '' : 's'} outside changed lines`
+      ));
+    }
+  }
+
+  /**
+   * Resolve the number of code frame context lines
+   * @param {number} context - Value of --context
+   * @returns {number|null} Lines of context, or null when code frames are off
+   */
+  resolveContextLines(context) {
+    const value = Math.floor(Number(context));
+    if (context === undefined || context === null || !Number.isFinite(value)) {
+      return null;
+    }
+    return Math.max(0, value);
+  }
+
+  /**
+   * Read the content of every file with findings, for code frames and HTML excerpts
+   * @param {Array} findings - Findings to display
+   * @returns {Promise<Map>} File path to content (files that can't be read are left out)
+   */
+  async readSources(findings) {
+    const sources = new Map();
+    for (const finding of findings) {
+      if (sources.has(finding.filePath)) {
+        continue;
+      }
+      if (this.stdin && finding.filePath === this.stdin.filePath) {
+        sources.set(finding.filePath, this.stdin.content);
+        continue;
+      }
+      try {
+        sources.set(finding.filePath, await fs.readFile(finding.filePath, 'utf8'));
+      } catch (error) {
+        sources.set(finding.filePath, null);
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Resolve the number of files to analyze concurrently
+   * @param {number} concurrency - Requested concurrency
+   * @returns {number} Concurrency of at least 1 (defaults to CPU count)
+   */
+  resolveConcurrency(concurrency) {
+    const value = Math.floor(Number(concurrency));
+    if (!Number.isFinite(value) || value < 1) {
+      return Math.max(1, os.cpus().length);
+    }
+    return value;
+  }
+
   /**
    * Phase 3: Display analysis results
    * @param {Object} analysisResult - Analysis results
    * @param {string} targetPath - Base directory path
    * @param {Object} options - CLI options
+   * @param {Map} [sources] - File path to content, for code frames
    */
-  displayAnalysisResults(analysisResult, targetPath, options) {
+  displayAnalysisResults(analysisResult, targetPath, options, sources = null) {
     const { findings, errors, analysisTime, filesProcessed } = analysisResult;
 
     // Show scan completion
-    console.log(this.formatter.formatSuccess(
+    this.log(this.formatter.formatSuccess(
       `Analyzed ${filesProcessed} files in ${this.formatter.formatDuration(analysisTime)}`
     ));
 
     // Show errors if any
     if (errors.length > 0) {
-      console.log(this.formatter.formatWarning(`${errors.length} files could not be scanned:`));
+      this.log(this.formatter.formatWarning(`${errors.length} files could not be scanned:`));
       errors.slice(0, 5).forEach(error => { // Show first 5 errors
         const relativePath = path.relative(targetPath, error.filePath);
-        console.log(`  ${relativePath}: ${error.error}`);
+        this.log(`  ${relativePath}: ${error.error}`);
       });
       
       if (errors.length > 5) {
-        console.log(`  ... and ${errors.length - 5} more errors`);
+        this.log(`  ... and ${errors.length - 5} more errors`);
       }
     }
 
-    // Display findings
-    if (findings.length > 0) {
-      console.log(this.formatter.formatFindings(findings, targetPath));
+    // Display findings (a report on stdout already contains them)
+    if (findings.length > 0 && this.reportToStdout) {
+      this.log(this.formatter.formatInfo(`Found ${findings.length} issue${findings.length === 1 ? '' : 's'}`));
+    } else if (findings.length > 0) {
+      this.log(this.formatter.formatFindings(findings, targetPath, sources));
       
       // Show rule breakdown if verbose
       if (options.verbose) {
         const ruleBreakdown = this.groupFindingsByRule(findings);
-        console.log(this.formatter.formatInfo('\nRule breakdown:'));
+        this.log(this.formatter.formatInfo('\nRule breakdown:'));
         Object.entries(ruleBreakdown)
           .sort(([,a], [,b]) => b.length - a.length)
           .slice(0, 10) // Top 10 rules
           .forEach(([ruleId, ruleFindings]) => {
-            console.log(`  ${ruleId}: ${ruleFindings.length} issue${ruleFindings.length === 1 ? '' : 's'}`);
+            this.log(`  ${ruleId}: ${ruleFindings.length} issue${ruleFindings.length === 1 ? '' : 's'}`);
           });
       }
     } else {
-      console.log(this.formatter.formatSuccess('🎉 No issues found!'));
+      this.log(this.formatter.formatSuccess('🎉 No issues found!'));
+    }
+
+    // Suppression comments that no longer silence anything can be removed
+    if (options.verbose) {
+      const unused = this.ruleEngine.getUnusedSuppressions();
+      if (unused.length > 0) {
+        this.log(this.formatter.formatWarning(`${unused.length} unused suppression${unused.length === 1 ? '' : 's'}:`));
+        unused.forEach(entry => {
+          const rule = entry.ruleId === '*' ? 'all rules' : entry.ruleId;
+          this.log(`  ${path.relative(targetPath, entry.filePath)}:${entry.line}: ${entry.directive} (${rule})`);
+        });
+      }
     }
   }
 
@@ -325,45 +863,90 @@ class CodeMigrationCLI {
    * @param {Object} options - CLI options
    */
   async applyFixes(findings, options) {
-    const fixableFindings = findings.filter(f => f.fixable);
+    let fixableFindings = findings.filter(f => f.fixable);
     
     if (fixableFindings.length === 0) {
-      console.log(this.formatter.formatInfo('No fixable issues found'));
+      this.log(this.formatter.formatInfo('No fixable issues found'));
       return null;
     }
 
+    // Interactive review replaces the all-or-nothing confirmation
+    let reviewed = false;
+    if (options.interactive) {
+      if (this.isInteractiveTerminal()) {
+        fixableFindings = await this.reviewFixes(fixableFindings);
+        reviewed = true;
+        if (fixableFindings.length === 0) {
+          this.log(this.formatter.formatInfo('No fixes were accepted'));
+          return null;
+        }
+      } else {
+        this.log(this.formatter.formatWarning('--interactive needs a terminal on stdin; continuing without review'));
+      }
+    }
+
     if (options.dryRun) {
-      console.log(this.formatter.formatInfo(`Dry run: Would fix ${fixableFindings.length} issues`));
+      this.log(this.formatter.formatInfo(`Dry run: Would fix ${fixableFindings.length} issues`));
+    } else if (reviewed) {
+      this.log(this.formatter.formatInfo(`Fixing ${fixableFindings.length} accepted issues...`));
     } else {
-      console.log(this.formatter.formatInfo(`Fixing ${fixableFindings.length} issues...`));
+      this.log(this.formatter.formatInfo(`Fixing ${fixableFindings.length} issues...`));
       
       // Confirm before applying fixes (unless --yes flag is used)
       if (!options.yes && !await this.confirmFixes(fixableFindings)) {
-        console.log(this.formatter.formatInfo('Fix operation cancelled'));
+        this.log(this.formatter.formatInfo('Fix operation cancelled'));
         return null;
       }
     }
 
     try {
-      const fixResults = await this.fixer.applyFixes(fixableFindings, {
-        backupBeforeFix: !options.noBackup,
-        continueOnError: true
-      });
+      const fixResults = this.git
+        ? await this.fixer.applyGitFixes(fixableFindings, this.git, {
+          branch: options.gitBranch,
+          stashed: this.gitTree.stashed
+        })
+        : await this.fixer.applyFixes(fixableFindings, {
+          backupBeforeFix: options.backup !== false,
+          continueOnError: true
+        });
+      if (this.gitTree && fixResults.commits.length > 0) {
+        this.gitTree.committed = true;
+      }
 
       if (options.dryRun) {
-        console.log(this.formatter.formatSuccess(`Dry run completed: ${fixResults.patternsReplaced} patterns would be replaced`));
+        fixResults.diffs.forEach(({ diff }) => {
+          this.log(this.formatter.formatDiff(diff));
+        });
+        this.log(this.formatter.formatSuccess(`Dry run completed: ${fixResults.patternsReplaced} patterns would be replaced`));
       } else {
-        console.log(this.formatter.formatSuccess(`Fixed ${fixResults.filesFixed} files, replaced ${fixResults.patternsReplaced} patterns`));
+        this.log(this.formatter.formatSuccess(`Fixed ${fixResults.filesFixed} files, replaced ${fixResults.patternsReplaced} patterns`));
         
         if (fixResults.backupsCreated.length > 0) {
-          console.log(this.formatter.formatInfo(`Created ${fixResults.backupsCreated.length} backup files`));
+          this.log(this.formatter.formatInfo(`Created ${fixResults.backupsCreated.length} backup files`));
+        }
+        if (fixResults.sessionId) {
+          this.log(this.formatter.formatInfo(`Fix session ${fixResults.sessionId} recorded; run "code-migrate undo ${fixResults.sessionId}" to revert it`));
         }
+        if (fixResults.commits && fixResults.commits.length > 0) {
+          this.displayGitCommits(fixResults);
+        }
+      }
+
+      if (options.patch) {
+        await this.writePatch(fixResults.diffs, options.patch);
+      }
+
+      if (fixResults.conflicts.length > 0) {
+        this.log(this.formatter.formatWarning(`${fixResults.conflicts.length} fixes were skipped because they overlap other fixes or are out of date:`));
+        fixResults.conflicts.forEach(conflict => {
+          this.log(`  ${path.basename(conflict.finding.filePath)}: ${conflict.message}`);
+        });
       }
 
       if (fixResults.errors.length > 0) {
-        console.log(this.formatter.formatWarning(`${fixResults.errors.length} files could not be fixed:`));
+        this.log(this.formatter.formatWarning(`${fixResults.errors.length} files could not be fixed:`));
         fixResults.errors.forEach(error => {
-          console.log(`  ${this.formatter.formatError(new Error(`${error.filePath}: ${error.error}`))}`);
+          this.log(`  ${this.formatter.formatError(new Error(`${error.filePath}: ${error.error}`))}`);
         });
       }
 
@@ -374,10 +957,10 @@ class CodeMigrationCLI {
       
       // Attempt rollback if fixes were partially applied
       if (this.fixer && this.fixer.getFixedFiles().length > 0) {
-        console.log(this.formatter.formatWarning('Attempting to rollback changes...'));
+        this.log(this.formatter.formatWarning('Attempting to rollback changes...'));
         try {
           await this.fixer.rollbackChanges();
-          console.log(this.formatter.formatSuccess('Successfully rolled back changes'));
+          this.log(this.formatter.formatSuccess('Successfully rolled back changes'));
         } catch (rollbackError) {
           console.error(this.formatter.formatError(rollbackError));
         }
@@ -387,6 +970,343 @@ class CodeMigrationCLI {
     }
   }
 
+  /**
+   * Fix source read with --stdin. The fixed source is written to stdout
+   * instead of a file; a dry run prints the diff instead.
+   * @param {Array} findings - Array of findings
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object>} Fix results in the shape of Fixer.applyFixes
+   */
+  async applyStdinFixes(findings, options) {
+    const fixable = findings.filter(finding => finding.fixable && finding.replacement !== null);
+    const { content, applied, conflicts } = this.fixer.computeFixes(this.stdin.content, fixable);
+    const diff = createPatch(this.fixer.getPatchPath(this.stdin.filePath), this.stdin.content, content);
+
+    if (options.dryRun) {
+      if (diff) {
+        this.log(this.formatter.formatDiff(diff));
+      }
+      this.log(this.formatter.formatSuccess(`Dry run completed: ${applied.length} patterns would be replaced`));
+    } else {
+      process.stdout.write(content);
+    }
+
+    const fixResults = {
+      dryRun: Boolean(options.dryRun),
+      filesProcessed: 1,
+      filesFixed: applied.length > 0 ? 1 : 0,
+      patternsReplaced: applied.length,
+      errors: [],
+      conflicts,
+      diffs: diff ? [{ filePath: this.stdin.filePath, diff }] : [],
+      backupsCreated: [],
+      fixedFiles: [],
+      sessionId: null
+    };
+
+    if (options.patch) {
+      await this.writePatch(fixResults.diffs, options.patch);
+    }
+    return fixResults;
+  }
+
+  /**
+   * Show the branch and commits created by --git
+   * @param {Object} fixResults - Results of Fixer.applyGitFixes
+   */
+  displayGitCommits(fixResults) {
+    const count = fixResults.commits.length;
+    this.log(this.formatter.formatInfo(`Committed fixes on branch ${fixResults.branch} (${count} commit${count === 1 ? '' : 's'}, one per rule)`));
+    if (this.formatter.options.verbose) {
+      fixResults.commits.forEach(commit => {
+        this.log(`  ${commit.sha.slice(0, 7)} ${commit.ruleId}: ${commit.patternsReplaced} fixes in ${commit.files.length} files`);
+      });
+    }
+    this.log(this.formatter.formatInfo(`Review with "git log ${fixResults.baseBranch}..${fixResults.branch}"; discard with "git checkout ${fixResults.baseBranch} && git branch -D ${fixResults.branch}"`));
+    if (fixResults.stashed) {
+      this.log(this.formatter.formatWarning(`Your uncommitted changes are still stashed; run "git checkout ${fixResults.baseBranch} && git stash pop" to restore them`));
+    }
+  }
+
+  /**
+   * Revert a recorded fix session
+   * @param {string} [sessionId] - Session ID (defaults to the latest session)
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object>} Undo results
+   */
+  async undo(sessionId, options) {
+    const fixer = this.initializeBackupCommand(options);
+
+    let results;
+    try {
+      results = await fixer.undoSession(sessionId, { force: options.force });
+    } catch (error) {
+      console.error(this.formatter.formatError(error));
+      process.exitCode = 1;
+      return null;
+    }
+
+    if (results.refused) {
+      this.log(this.formatter.formatWarning(
+        `Not undoing session ${results.sessionId}: ${results.modified.length} file${results.modified.length === 1 ? ' was' : 's were'} modified after the fix:`
+      ));
+      results.modified.forEach(filePath => this.log(`  ${path.relative(process.cwd(), filePath)}`));
+      this.log(this.formatter.formatInfo('Run with --force to restore them anyway and discard those changes'));
+      process.exitCode = 1;
+      return results;
+    }
+
+    results.modified.forEach(filePath => {
+      this.log(this.formatter.formatWarning(`Discarded changes made after the fix to ${path.relative(process.cwd(), filePath)}`));
+    });
+    if (results.alreadyRestored.length > 0) {
+      this.log(this.formatter.formatInfo(`${results.alreadyRestored.length} files already had their original content`));
+    }
+    results.errors.forEach(error => {
+      console.error(this.formatter.formatError(new Error(`${error.filePath}: ${error.error}`)));
+    });
+
+    if (results.errors.length > 0) {
+      process.exitCode = 1;
+    } else {
+      this.log(this.formatter.formatSuccess(`Undid fix session ${results.sessionId}: restored ${results.filesRestored} files`));
+    }
+    return results;
+  }
+
+  /**
+   * List recorded backup sessions
+   * @param {Object} options - CLI options
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  async listBackups(options) {
+    const fixer = this.initializeBackupCommand(options);
+    const sessions = await fixer.listSessions();
+
+    if (sessions.length === 0) {
+      this.log(this.formatter.formatInfo(`No backups in ${path.resolve(fixer.options.backupDir)}`));
+      return sessions;
+    }
+
+    this.log(this.formatter.formatTable(sessions.map(session => ({
+      id: session.id,
+      createdAt: session.createdAt,
+      status: session.status,
+      files: session.files.filter(file => file.fixedHash !== file.originalHash).length
+    })), [
+      { header: 'Session', key: 'id' },
+      { header: 'Created', key: 'createdAt' },
+      { header: 'Status', key: 'status' },
+      { header: 'Files changed', key: 'files' }
+    ]));
+
+    if (options.verbose) {
+      sessions.forEach(session => {
+        this.log(`\n${session.id}:`);
+        session.files.forEach(file => this.log(`  ${path.relative(process.cwd(), file.path)}`));
+      });
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Delete backup sessions older than --max-age days
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async pruneBackups(options) {
+    const fixer = this.initializeBackupCommand(options, {
+      maxBackupAge: options.maxAge * 24 * 60 * 60 * 1000
+    });
+    const results = await fixer.cleanupOldBackups();
+
+    results.errors.forEach(error => {
+      console.error(this.formatter.formatError(new Error(`${error.file || error.operation}: ${error.error}`)));
+    });
+    this.log(this.formatter.formatSuccess(
+      `Removed ${results.sessionsDeleted} backup session${results.sessionsDeleted === 1 ? '' : 's'} (${results.filesDeleted} files) older than ${options.maxAge} days`
+    ));
+
+    if (results.errors.length > 0) {
+      process.exitCode = 1;
+    }
+    return results;
+  }
+
+  /**
+   * Restore one file from its most recent backup
+   * @param {string} filePath - File to restore
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object>} Restore results
+   */
+  async restoreBackup(filePath, options) {
+    const fixer = this.initializeBackupCommand(options);
+    const results = await fixer.restoreFromBackup(filePath, { sessionId: options.session });
+
+    if (results.errors.length > 0) {
+      results.errors.forEach(error => {
+        console.error(this.formatter.formatError(new Error(error.error)));
+      });
+      process.exitCode = 1;
+    } else {
+      this.log(this.formatter.formatSuccess(`Restored ${filePath} from backup`));
+    }
+    return results;
+  }
+
+  /**
+   * Lint the loaded rules before a scan. Warnings are shown; errors stop the scan.
+   */
+  checkRules() {
+    const linter = new RuleLinter({ fileExtensions: this.ruleEngine.getFileExtensions() });
+    const errors = this.reportRuleProblems(linter.lint(this.ruleEngine.getAllRules()));
+    if (errors > 0) {
+      throw new Error(`${errors} rule problem${errors === 1 ? '' : 's'} must be fixed before scanning (skip this check with --no-lint-rules)`);
+    }
+  }
+
+  /**
+   * Lint the rules in the rules files and report their problems
+   * @param {Object} options - CLI options
+   * @returns {Promise<Array|null>} Problems, or null if the rules could not be loaded
+   */
+  async lintRules(options) {
+    let ruleEngine;
+    let problems;
+    try {
+      ruleEngine = await this.initializeRulesCommand(options);
+      problems = new RuleLinter({ fileExtensions: ruleEngine.getFileExtensions() }).lint(ruleEngine.getAllRules());
+    } catch (error) {
+      console.error(this.formatter.formatError(error));
+      process.exitCode = 1;
+      return null;
+    }
+
+    const errors = this.reportRuleProblems(problems);
+    const warnings = problems.length - errors;
+    const rules = ruleEngine.getAllRules().length;
+    const checked = `Checked ${rules} rule${rules === 1 ? '' : 's'}`;
+    const warningCount = `${warnings} warning${warnings === 1 ? '' : 's'}`;
+    if (problems.length === 0) {
+      this.log(this.formatter.formatSuccess(`${checked}: no problems found`));
+    } else if (errors > 0) {
+      console.error(this.formatter.formatError(new Error(`${checked}: ${errors} error${errors === 1 ? '' : 's'}, ${warningCount}`)));
+      process.exitCode = 1;
+    } else {
+      this.log(this.formatter.formatWarning(`${checked}: ${warningCount}`));
+    }
+    return problems;
+  }
+
+  /**
+   * Show rule problems found by the linter
+   * @param {Array} problems - Problems ({ ruleId, severity, message })
+   * @returns {number} Number of errors
+   */
+  reportRuleProblems(problems) {
+    problems.forEach(problem => {
+      const message = `${problem.ruleId}: ${problem.message}`;
+      if (problem.severity === 'error') {
+        console.error(this.formatter.formatError(new Error(message)));
+      } else {
+        this.log(this.formatter.formatWarning(message));
+      }
+    });
+    return problems.filter(problem => problem.severity === 'error').length;
+  }
+
+  /**
+   * Run the examples in rule definitions and report the ones that fail
+   * @param {Object} options - CLI options
+   * @returns {Promise<Object|null>} Test results, or null if the rules could not be loaded
+   */
+  async testRules(options) {
+    let results;
+    try {
+      const ruleEngine = await this.initializeRulesCommand(options);
+      results = await new RuleTester(ruleEngine).run();
+    } catch (error) {
+      console.error(this.formatter.formatError(error));
+      process.exitCode = 1;
+      return null;
+    }
+
+    results.failures.forEach(failure => {
+      console.error(this.formatter.formatError(new Error(
+        `${failure.ruleId}: ${failure.kind} example ${failure.index + 1}: ${failure.message}`
+      )));
+      this.log(failure.code.replace(/\n$/, '').split('\n').map(line => `    ${line}`).join('\n'));
+      if (failure.diff) {
+        this.log(this.formatter.formatDiff(failure.diff));
+      }
+    });
+
+    if (results.untested.length > 0) {
+      this.log(this.formatter.formatInfo(`Rules without examples: ${results.untested.join(', ')}`));
+    }
+
+    const summary = `${results.passed} example${results.passed === 1 ? '' : 's'} passed, ${results.failures.length} failed`;
+    if (results.failures.length > 0) {
+      console.error(this.formatter.formatError(new Error(summary)));
+      process.exitCode = 1;
+    } else {
+      this.log(this.formatter.formatSuccess(summary));
+    }
+    return results;
+  }
+
+  /**
+   * Set up the formatter and load the rules for commands that work on rules
+   * @param {Object} options - CLI options
+   * @returns {Promise<RuleEngine>} Rule engine with the rules loaded
+   */
+  async initializeRulesCommand(options) {
+    this.formatter = new Formatter({
+      colorEnabled: options.color !== false,
+      verbose: options.verbose
+    });
+    this.configLoader = new ConfigLoader();
+    this.applyConfig(options, this.configLoader.getConfig(process.cwd()));
+
+    // Without an error handler, rules that do not compile fail loudly instead of being skipped
+    this.ruleEngine = new RuleEngine(options.rules, {
+      regexTimeout: options.regexTimeout,
+      logger: (message) => this.log(message)
+    });
+    await this.ruleEngine.loadRules();
+    return this.ruleEngine;
+  }
+
+  /**
+   * Set up the formatter and a fixer for commands that work on backups
+   * @param {Object} options - CLI options
+   * @param {Object} fixerOptions - Extra Fixer options
+   * @returns {Fixer} Fixer for the backup directory
+   */
+  initializeBackupCommand(options, fixerOptions = {}) {
+    this.formatter = new Formatter({
+      colorEnabled: options.color !== false,
+      verbose: options.verbose
+    });
+    this.configLoader = new ConfigLoader();
+    this.applyConfig(options, this.configLoader.getConfig(process.cwd()));
+    return new Fixer({ backupDir: options.backupDir, ...fixerOptions });
+  }
+
+  /**
+   * Write file diffs to a patch that `git apply` accepts
+   * @param {Array} diffs - File diffs from the fixer
+   * @param {string} patchPath - Patch file path
+   * @returns {Promise<void>}
+   */
+  async writePatch(diffs, patchPath) {
+    await fs.outputFile(path.resolve(patchPath), diffs.map(({ diff }) => diff).join(''), 'utf8');
+    this.log(this.formatter.formatSuccess(
+      `Patch for ${diffs.length} file${diffs.length === 1 ? '' : 's'} written to ${patchPath}`
+    ));
+  }
+
   /**
    * Confirm fixes with user
    * @param {Array} fixableFindings - Fixable findings
@@ -402,17 +1322,138 @@ class CodeMigrationCLI {
       fileGroups[finding.filePath].push(finding);
     });
 
-    console.log(this.formatter.formatInfo(`About to fix ${fixableFindings.length} issues in ${Object.keys(fileGroups).length} files:`));
+    this.log(this.formatter.formatInfo(`About to fix ${fixableFindings.length} issues in ${Object.keys(fileGroups).length} files:`));
     
     // Show summary of what will be fixed
     Object.entries(fileGroups).forEach(([filePath, findings]) => {
       const relativePath = path.basename(filePath);
-      console.log(`  ${relativePath}: ${findings.length} issue${findings.length === 1 ? '' : 's'}`);
+      this.log(`  ${relativePath}: ${findings.length} issue${findings.length === 1 ? '' : 's'}`);
+    });
+
+    // Without a terminal there is nobody to ask, so keep scripted runs working
+    if (!this.isInteractiveTerminal()) {
+      return true;
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: this.promptOutput() });
+    try {
+      const answer = await new Promise(resolve => {
+        prompt.question('Apply these fixes? [y/N] ', resolve);
+        prompt.once('close', () => resolve(''));
+      });
+      return /^y(es)?$/i.test(answer.trim());
+    } finally {
+      prompt.close();
+    }
+  }
+
+  /**
+   * Let the user accept, skip or edit each fix
+   * @param {Array} fixableFindings - Fixable findings
+   * @returns {Promise<Array>} Findings to fix
+   */
+  async reviewFixes(fixableFindings) {
+    const reviewer = new FixReviewer({
+      input: process.stdin,
+      output: this.promptOutput(),
+      formatter: this.formatter,
+      basePath: process.cwd()
+    });
+
+    const { accepted, quit } = await reviewer.review(fixableFindings);
+    if (quit) {
+      this.log(this.formatter.formatInfo('Review stopped; remaining fixes were skipped'));
+    }
+    this.log(this.formatter.formatInfo(`Accepted ${accepted.length} of ${fixableFindings.length} fixes`));
+    return accepted;
+  }
+
+  /**
+   * Check whether the user can answer prompts
+   * @returns {boolean} True when stdin is a terminal
+   */
+  isInteractiveTerminal() {
+    return Boolean(process.stdin.isTTY);
+  }
+
+  /**
+   * Get the stream prompts are written to; stderr when stdout carries a report
+   * @returns {Object} Writable stream
+   */
+  promptOutput() {
+    return this.reportToStdout ? process.stderr : process.stdout;
+  }
+
+  /**
+   * Check whether a scan writes a report in a format
+   * @param {Object} options - CLI options
+   * @param {string} format - Report format
+   * @returns {boolean} True if --format or a configured reporter uses the format
+   */
+  writesReport(options, format) {
+    return options.format === format || (options.reporters || []).some(reporter => reporter.format === format);
+  }
+
+  /**
+   * Write the --format report and the reporters from the config files
+   * @param {Object} report - Findings, statistics, error summary, fix results and rules
+   * @param {Object} options - CLI options
+   * @returns {Promise<void>}
+   */
+  async writeReports(report, options) {
+    if (this.isReportFormat(options.format)) {
+      await this.writeReport(report, options);
+    }
+    for (const reporter of options.reporters || []) {
+      await this.writeReport(report, { ...options, ...reporter });
+    }
+  }
+
+  /**
+   * Write a report to the output file or stdout
+   * @param {Object} report - Findings, statistics, error summary, fix results and rules
+   * @param {Object} options - CLI options
+   * @returns {Promise<void>}
+   */
+  async writeReport(report, options) {
+    const Reporter = REPORTERS[options.format];
+    if (!Reporter) {
+      throw new Error(`Unknown report format: ${options.format}`);
+    }
+
+    const reporter = new Reporter({
+      groupBy: options.junitGroupBy
     });
+    const content = reporter.generate(report) + '\n';
 
-    // In a real CLI, you'd use a proper prompt library like inquirer
-    // For this implementation, we'll assume --yes flag or return true
-    return true;
+    if (options.output) {
+      await fs.outputFile(path.resolve(options.output), content, 'utf8');
+      this.log(this.formatter.formatSuccess(`${options.format.toUpperCase()} report written to ${options.output}`));
+    } else {
+      process.stdout.write(content);
+    }
+  }
+
+  /**
+   * Check whether a format produces a machine-readable report
+   * @param {string} format - Value of --format
+   * @returns {boolean} True for report formats other than text
+   */
+  isReportFormat(format) {
+    return Boolean(format) && format !== 'text';
+  }
+
+  /**
+   * Print human-readable output. When a report is written to stdout, this
+   * goes to stderr instead so stdout stays pipe-safe.
+   * @param {...*} args - Values to print
+   */
+  log(...args) {
+    if (this.reportToStdout) {
+      console.error(...args);
+    } else {
+      console.log(...args);
+    }
   }
 
   /**
@@ -476,11 +1517,11 @@ class CodeMigrationCLI {
     
     // Attempt cleanup if fixer was used
     if (this.fixer && this.fixer.getFixedFiles().length > 0) {
-      console.log(this.formatter.formatWarning('Attempting to rollback any changes made...'));
+      this.log(this.formatter.formatWarning('Attempting to rollback any changes made...'));
       try {
         const rollbackResult = await this.fixer.rollbackChanges();
         if (rollbackResult.filesRestored > 0) {
-          console.log(this.formatter.formatSuccess(`Rolled back ${rollbackResult.filesRestored} files`));
+          this.log(this.formatter.formatSuccess(`Rolled back ${rollbackResult.filesRestored} files`));
         }
       } catch (rollbackError) {
         console.error(this.formatter.formatError(new Error(`Rollback failed: ${rollbackError.message}`)));
@@ -494,11 +1535,30 @@ class CodeMigrationCLI {
     }
 
     // Suggest recovery actions
-    console.log(this.formatter.formatInfo('\nSuggested actions:'));
-    console.log('  • Check that the target directory exists and is readable');
-    console.log('  • Verify that the rules file is valid JSON');
-    console.log('  • Try running with --verbose for more details');
-    console.log('  • Check file permissions in the target directory');
+    this.log(this.formatter.formatInfo('\nSuggested actions:'));
+    this.log('  • Check that the target directory exists and is readable');
+    this.log('  • Verify that the rules file is valid JSON');
+    this.log('  • Try running with --verbose for more details');
+    this.log('  • Check file permissions in the target directory');
+  }
+
+  /**
+   * Release resources held by CLI components (regex worker threads)
+   */
+  async shutdown() {
+    if (this.ruleEngine) {
+      await this.ruleEngine.close();
+    }
+
+    // Nothing was committed, so the stash belongs on the branch we are still on
+    if (this.gitTree && this.gitTree.stashed && !this.gitTree.committed) {
+      try {
+        await this.git.stashPop();
+        this.log(this.formatter.formatInfo('Restored stashed changes'));
+      } catch (error) {
+        console.error(this.formatter.formatError(new Error(`Could not restore stashed changes, run "git stash pop": ${error.message}`)));
+      }
+    }
   }
 
   /**
@@ -536,28 +1596,147 @@ class CodeMigrationCLI {
  * Configure CLI arguments using yargs
  */
 function configureYargs() {
-  return yargs(hideBin(process.argv))
+  const parser = yargs(hideBin(process.argv));
+  return parser
     .scriptName('code-migrate')
-    .usage('Usage: $0 <directory> [options]')
+    .usage('Usage: $0 [paths..] [options]')
     .command(
-      '$0 <directory>',
-      'Scan directory for deprecated API usages and syntax patterns',
+      '$0 [paths..]',
+      'Scan files, directories or glob patterns for deprecated API usages and syntax patterns',
       (yargs) => {
-        yargs.positional('directory', {
-          describe: 'Directory to scan for code issues',
-          type: 'string',
-          normalize: true
-        });
+        yargs
+          .positional('paths', {
+            describe: 'Files, directories or glob patterns to scan',
+            type: 'string',
+            array: true,
+            normalize: true
+          })
+          .check((argv) => {
+            if (!argv.stdin && !argv.printConfig && (!argv.paths || argv.paths.length === 0)) {
+              throw new Error('Specify files, directories or glob patterns to scan, or --stdin');
+            }
+            return true;
+          });
       },
       async (argv) => {
         const cli = new CodeMigrationCLI();
+        if (argv.printConfig) {
+          await cli.printConfig(argv.printConfig, argv);
+          return;
+        }
         await cli.initialize(argv);
-        await cli.scan(argv.directory, argv);
+        try {
+          await cli.scan(argv.paths, argv);
+        } finally {
+          await cli.shutdown();
+        }
+      }
+    )
+    .command(
+      'undo [sessionId]',
+      'Revert a fix run using the backups it recorded',
+      (yargs) => {
+        yargs
+          .positional('sessionId', {
+            describe: 'Fix session to revert (defaults to the most recent one)',
+            type: 'string'
+          })
+          .option('force', {
+            describe: 'Restore files even if they were modified after the fix',
+            type: 'boolean',
+            default: false
+          });
+      },
+      async (argv) => {
+        const cli = new CodeMigrationCLI();
+        await cli.undo(argv.sessionId, argv);
+      }
+    )
+    .command(
+      'backups <command>',
+      'List, prune or restore backups made by --fix',
+      (yargs) => {
+        yargs
+          .command(
+            'list',
+            'List backup sessions',
+            () => {},
+            async (argv) => {
+              await new CodeMigrationCLI().listBackups(argv);
+            }
+          )
+          .command(
+            'prune',
+            'Delete backup sessions older than --max-age days',
+            (yargs) => {
+              yargs.option('max-age', {
+                describe: 'Age in days after which backups are deleted',
+                type: 'number',
+                default: 7
+              });
+            },
+            async (argv) => {
+              await new CodeMigrationCLI().pruneBackups(argv);
+            }
+          )
+          .command(
+            'restore <path>',
+            'Restore a file from its most recent backup',
+            (yargs) => {
+              yargs
+                .positional('path', {
+                  describe: 'File to restore',
+                  type: 'string'
+                })
+                .option('session', {
+                  describe: 'Restore the backup from this fix session',
+                  type: 'string'
+                });
+            },
+            async (argv) => {
+              await new CodeMigrationCLI().restoreBackup(argv.path, argv);
+            }
+          )
+          .demandCommand(1, 'Specify a backups command: list, prune or restore');
+      }
+    )
+    .command(
+      'rules <command>',
+      'Work with the rules in the rules files',
+      (yargs) => {
+        yargs
+          .command(
+            'test',
+            'Check every rule against the valid and invalid examples in its definition',
+            () => {},
+            async (argv) => {
+              const cli = new CodeMigrationCLI();
+              try {
+                await cli.testRules(argv);
+              } finally {
+                await cli.shutdown();
+              }
+            }
+          )
+          .command(
+            'lint',
+            'Check rules for ReDoS-prone patterns, broken replacements and other mistakes',
+            () => {},
+            async (argv) => {
+              const cli = new CodeMigrationCLI();
+              try {
+                await cli.lintRules(argv);
+              } finally {
+                await cli.shutdown();
+              }
+            }
+          )
+          .demandCommand(1, 'Specify a rules command: test or lint');
       }
     )
     .option('rules', {
       alias: 'r',
-      describe: 'Path to rules configuration file',
+      describe: 'Path to rules configuration file (can be used multiple times)',
       type: 'string',
       default: 'rules.json'
     })
@@ -573,16 +1752,21 @@ function configureYargs() {
       type: 'boolean',
       default: false
     })
+    .option('interactive', {
+      describe: 'Review each fix and choose to apply, skip or edit it',
+      type: 'boolean',
+      default: false
+    })
     .option('verbose', {
       alias: 'v',
       describe: 'Show detailed output',
       type: 'boolean',
       default: false
     })
-    .option('no-color', {
-      describe: 'Disable colored output',
+    .option('color', {
+      describe: 'Colorize output (disable with --no-color)',
       type: 'boolean',
-      default: false
+      default: true
     })
     .option('extensions', {
       alias: 'e',
@@ -596,6 +1780,16 @@ function configureYargs() {
       type: 'array',
       default: []
     })
+    .option('ignore-files', {
+      describe: 'Honor .gitignore and .codemigrateignore files (disable with --no-ignore-files)',
+      type: 'boolean',
+      default: true
+    })
+    .option('lint-rules', {
+      describe: 'Check rules for broken and ReDoS-prone patterns before scanning (disable with --no-lint-rules)',
+      type: 'boolean',
+      default: true
+    })
     .option('max-file-size', {
       describe: 'Maximum file size to process (e.g., 1MB, 500KB)',
       type: 'string',
@@ -606,8 +1800,22 @@ function configureYargs() {
       type: 'string',
       default: '.code-migration-backups'
     })
-    .option('no-backup', {
-      describe: 'Skip creating backup files when fixing',
+    .option('backup', {
+      describe: 'Back up files before fixing them (disable with --no-backup)',
+      type: 'boolean',
+      default: true
+    })
+    .option('git', {
+      describe: 'Commit fixes on a new branch, one commit per rule, instead of creating backups',
+      type: 'boolean',
+      default: false
+    })
+    .option('git-branch', {
+      describe: 'Branch to create with --git (default code-migrate/<timestamp>)',
+      type: 'string'
+    })
+    .option('git-stash', {
+      describe: 'Stash uncommitted changes instead of refusing to run --git on a dirty tree',
       type: 'boolean',
       default: false
     })
@@ -617,16 +1825,106 @@ function configureYargs() {
       type: 'boolean',
       default: false
     })
+    .option('patch', {
+      describe: 'Write the fixes as a patch file for git apply (implies --dry-run without --fix)',
+      type: 'string'
+    })
     .option('regex-timeout', {
       describe: 'Timeout for regex operations in milliseconds',
       type: 'number',
       default: 5000
     })
+    .option('context', {
+      describe: 'Show a code frame with this many lines of context around each finding',
+      type: 'number'
+    })
+    .option('format', {
+      describe: 'Output format',
+      choices: ['text', ...Object.keys(REPORTERS)],
+      default: 'text'
+    })
+    .option('output', {
+      alias: 'o',
+      describe: 'Write the report to a file instead of stdout (report formats only)',
+      type: 'string'
+    })
+    .option('junit-group-by', {
+      describe: 'Group JUnit test suites by file or by rule',
+      choices: ['file', 'rule'],
+      default: 'file'
+    })
+    .option('baseline', {
+      describe: 'Only report findings that are not in this baseline file',
+      type: 'string'
+    })
+    .option('update-baseline', {
+      describe: 'Record all current findings in a baseline file',
+      type: 'string'
+    })
+    .option('print-config', {
+      describe: 'Print the configuration that applies to a file and exit',
+      type: 'string'
+    })
+    .option('stdin', {
+      describe: 'Scan source read from stdin; with --fix, write the fixed source to stdout',
+      type: 'boolean',
+      default: false
+    })
+    .option('stdin-filename', {
+      describe: 'File name for source read with --stdin (selects rules by extension)',
+      type: 'string'
+    })
+    .option('changed-since', {
+      describe: 'Only scan files changed since this git revision (compared with its merge base)',
+      type: 'string'
+    })
+    .option('staged', {
+      describe: 'Only scan files with staged changes',
+      type: 'boolean'
+    })
+    .option('diff-only', {
+      describe: 'Only report findings on changed lines (with --changed-since or --staged)',
+      type: 'boolean',
+      default: false
+    })
+    .conflicts('changed-since', 'staged')
+    .option('concurrency', {
+      alias: 'j',
+      describe: 'Number of files to analyze in parallel',
+      type: 'number',
+      default: os.cpus().length
+    })
     .example('$0 ./src', 'Scan the src directory for issues')
     .example('$0 ./src --fix', 'Scan and automatically fix issues')
     .example('$0 ./src --dry-run', 'Show what would be fixed without making changes')
+    .example('$0 ./src --fix --interactive', 'Review each fix before it is applied')
+    .example('$0 ./src --fix --git', 'Commit fixes on a new branch, one commit per rule')
+    .example('$0 undo', 'Revert the most recent fix run')
+    .example('$0 backups restore src/app.js', 'Restore a file from its most recent backup')
+    .example('$0 ./src --dry-run --patch migration.patch', 'Write the fixes as a patch for review')
+    .example('$0 src/app.js "lib/**/*.ts"', 'Scan a file and the files matching a glob')
+    .example('$0 --stdin --stdin-filename src/app.ts --fix < src/app.ts', 'Fix source from stdin and print the result')
+    .example('$0 ./src -r org-rules.json -r team-rules.json', 'Combine the rules from two files')
+    .example('$0 rules test -r rules.json', 'Check rules against the examples in their definitions')
+    .example('$0 rules lint -r rules.json', 'Check rules for ReDoS-prone patterns and broken replacements')
     .example('$0 ./src --extensions js,ts', 'Only scan JavaScript and TypeScript files')
     .example('$0 ./src --ignore "*.min.js" --ignore "dist/**"', 'Ignore minified files and dist directory')
+    .example('$0 ./src --context 2', 'Show two lines of code around each finding')
+    .example('$0 . --changed-since origin/main --diff-only', 'Report findings on lines changed in this branch')
+    .example('$0 . --staged', 'Scan files staged for commit')
+    .example('$0 ./src --concurrency 4', 'Analyze up to 4 files at a time')
+    .example('$0 ./src --update-baseline .code-migrate-baseline.json', 'Record existing findings in a baseline')
+    .example('$0 ./src --baseline .code-migrate-baseline.json', 'Only report findings added since the baseline')
+    .example('$0 ./src --format json > report.json', 'Write a JSON report to stdout')
+    .example('$0 ./src --format sarif -o results.sarif', 'Write a SARIF report for code scanning')
+    .example('$0 ./src --format junit -o junit.xml', 'Write a JUnit XML report for CI')
+    .example('$0 ./src --format html -o report.html', 'Write a self-contained HTML migration report')
+    .example('$0 --print-config src/app.js', 'Show the configuration that applies to a file')
+    .middleware((argv) => {
+      // Config files may override defaults but not options given on the command line
+      argv.defaulted = Object.keys((parser.parsed && parser.parsed.defaulted) || {})
+        .map(key => key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()));
+    })
     .help('h')
     .alias('h', 'help')
     .version()
@@ -0,0 +1,62 @@
+/**
+ * Built-in checks for AST rules, by name. See AstMatcher for the contract.
+ */
+
+const LOOP_TYPES = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'Program'];
+
+// Statement lists that may hold a lexical declaration
+const STATEMENT_LISTS = ['BlockStatement', 'StaticBlock', 'Program', 'SwitchCase', 'ExportNamedDeclaration'];
+
+/**
+ * Report `var` declarations and replace the keyword with `const`, or with
+ * `let` when a variable is reassigned or not initialized. The fix is left
+ * out where block scoping would change behavior: variables used before their
+ * declaration or outside the enclosing block, declared more than once, or
+ * captured by a closure inside a loop.
+ * @param {Object} node - VariableDeclaration node
+ * @param {Object} context - Check context
+ * @returns {Object|null} Reported range and fix
+ */
+function varToConst(node, context) {
+  if (node.type !== 'VariableDeclaration' || node.kind !== 'var') {
+    return null;
+  }
+  const range = [node.start, node.start + 'var'.length];
+
+  const parent = context.getParent(node);
+  const inLoopHead = (parent.type === 'ForStatement' && parent.init === node) ||
+    (['ForInStatement', 'ForOfStatement'].includes(parent.type) && parent.left === node);
+  if (!inLoopHead && !STATEMENT_LISTS.includes(parent.type)) {
+    return { range }; // e.g. `if (a) var b = 1;`, where let and const are not allowed
+  }
+
+  // The block a let or const would be scoped to
+  const block = inLoopHead || parent.type === 'BlockStatement' || parent.type === 'StaticBlock' || parent.type === 'Program'
+    ? parent
+    : context.getParent(parent);
+  const ancestors = context.getAncestors(node);
+  const functionIndex = ancestors.map(ancestor => FUNCTION_TYPES.includes(ancestor.type)).lastIndexOf(true);
+  const inLoop = inLoopHead || ancestors.slice(functionIndex + 1).some(ancestor => LOOP_TYPES.includes(ancestor.type));
+
+  const variables = context.getDeclaredVariables(node);
+  const unsafe = variables.some(variable => variable.defs.length > 1 || variable.references.some(reference => {
+    const identifier = reference.identifier;
+    return identifier.start < node.start ||
+      identifier.start < block.start || identifier.end > block.end ||
+      (inLoop && reference.from.variableScope !== variable.scope.variableScope);
+  }));
+  if (unsafe) {
+    return { range };
+  }
+
+  // for-in and for-of assign the variable on every iteration; a for(;;) init needs an initializer
+  const initialized = (inLoopHead && parent.type !== 'ForStatement') ||
+    node.declarations.every(declarator => declarator.init !== null);
+  const kind = initialized && !variables.some(variable => context.isReassigned(variable)) ? 'const' : 'let';
+  return { range, fix: { range, text: kind } };
+}
+
+module.exports = {
+  'var-to-const': varToConst
+};
@@ -0,0 +1,268 @@
+const path = require('path');
+const { parse } = require('@babel/parser');
+const eslintScope = require('eslint-scope');
+const esquery = require('esquery');
+const astChecks = require('./astChecks');
+
+/**
+ * Parser plugins for each file type AST rules apply to
+ */
+const PARSER_PLUGINS = {
+  js: ['jsx'],
+  jsx: ['jsx'],
+  mjs: ['jsx'],
+  cjs: ['jsx'],
+  ts: ['typescript'],
+  tsx: ['typescript', 'jsx']
+};
+
+const FILE_TYPES = Object.keys(PARSER_PLUGINS);
+
+// Node properties that are not child nodes
+const NON_CHILD_KEYS = new Set(['parent', 'loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * AstMatcher runs AST rules: it parses JavaScript and TypeScript into an
+ * ESTree AST, finds the nodes each rule's selector matches and turns them
+ * into findings with the same shape as regex findings, so they are reported
+ * and fixed the same way.
+ *
+ * A rule's optional check decides what to do with each matched node. It is
+ * either the name of a built-in check (see astChecks.js) or a module path
+ * relative to the rules file, and receives the node and a context with
+ * parent and scope information. It returns nothing to skip the node, true to
+ * report it, or { range, fix }: fix ({ range, text }) replaces part of the
+ * source and is what gets reported; without a fix, range ([start, end]) is
+ * reported instead of the whole node.
+ */
+class AstMatcher {
+  constructor() {
+    this.contexts = new WeakMap(); // Program node -> check context
+  }
+
+  /**
+   * Compile an AST rule
+   * @param {Object} rule - Validated rule with a selector
+   * @param {string} rulesPath - Rules file the rule came from, for relative check modules
+   * @returns {Object} Compiled rule ({ selector, check })
+   */
+  compile(rule, rulesPath) {
+    let selector;
+    try {
+      selector = esquery.parse(rule.selector);
+    } catch (error) {
+      throw new Error(`Invalid selector in rule "${rule.id}": ${error.message}`);
+    }
+    return { selector, check: rule.check ? this.loadCheck(rule, rulesPath) : null };
+  }
+
+  /**
+   * Find the function behind a rule's check
+   * @param {Object} rule - Rule with a check
+   * @param {string} rulesPath - Rules file the rule came from
+   * @returns {Function} Check function
+   */
+  loadCheck(rule, rulesPath) {
+    if (!rule.check.startsWith('.') && !path.isAbsolute(rule.check)) {
+      if (!astChecks[rule.check]) {
+        throw new Error(`Unknown check "${rule.check}" in rule "${rule.id}"; built-in checks: ${Object.keys(astChecks).join(', ')}`);
+      }
+      return astChecks[rule.check];
+    }
+
+    const modulePath = path.resolve(path.dirname(rulesPath || ''), rule.check);
+    let check;
+    try {
+      check = require(modulePath);
+    } catch (error) {
+      throw new Error(`Cannot load check for rule "${rule.id}" from ${modulePath}: ${error.message}`);
+    }
+    if (typeof check !== 'function') {
+      throw new Error(`Check for rule "${rule.id}" in ${modulePath} must export a function`);
+    }
+    return check;
+  }
+
+  /**
+   * Parse source into an ESTree program
+   * @param {string} content - File content
+   * @param {string} fileExtension - File extension (without dot)
+   * @returns {Object} Program node
+   */
+  parse(content, fileExtension) {
+    const file = parse(content, {
+      sourceType: fileExtension === 'mjs' ? 'module' : fileExtension === 'cjs' ? 'script' : 'unambiguous',
+      allowReturnOutsideFunction: true,
+      plugins: [...(PARSER_PLUGINS[fileExtension] || PARSER_PLUGINS.js), 'estree'],
+      ranges: true,
+      attachComment: false
+    });
+    return file.program;
+  }
+
+  /**
+   * Apply AST rules to a parsed file
+   * @param {Array} rules - Rules with their compiled form ({ rule, compiled })
+   * @param {Object} program - Program node from parse()
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @returns {Array} Findings
+   */
+  apply(rules, program, content, filePath) {
+    const context = this.getContext(program, content, filePath);
+    const findings = [];
+
+    for (const { rule, compiled } of rules) {
+      const nodes = esquery.match(program, compiled.selector, { fallback: getChildKeys });
+      for (const node of nodes) {
+        const result = compiled.check ? compiled.check(node, context) : true;
+        if (!result) {
+          continue;
+        }
+
+        if (result === true) {
+          // Without a check, a replacement stands in for the whole node
+          const fix = rule.replacement !== null && rule.replacement !== undefined && !compiled.check
+            ? { range: [node.start, node.end], text: rule.replacement }
+            : null;
+          findings.push(this.createFinding(rule, [node.start, node.end], fix, content, filePath));
+        } else {
+          const range = result.fix ? result.fix.range : result.range || [node.start, node.end];
+          findings.push(this.createFinding(rule, range, result.fix || null, content, filePath));
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Get the context passed to checks for a file, shared by all rules
+   * @param {Object} program - Program node
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @returns {Object} Check context
+   */
+  getContext(program, content, filePath) {
+    if (!this.contexts.has(program)) {
+      this.contexts.set(program, this.createContext(program, content, filePath));
+    }
+    return this.contexts.get(program);
+  }
+
+  /**
+   * Create the context passed to checks for one file
+   * @param {Object} program - Program node
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @returns {Object} Check context
+   */
+  createContext(program, content, filePath) {
+    let parents = null;
+    let scopeManager = null;
+
+    const context = {
+      filePath,
+      content,
+      program,
+      getText: (node) => content.slice(node.start, node.end),
+      getParent: (node) => {
+        if (!parents) {
+          parents = buildParentMap(program);
+        }
+        return parents.get(node) || null;
+      },
+      getAncestors: (node) => {
+        const ancestors = [];
+        for (let current = context.getParent(node); current; current = context.getParent(current)) {
+          ancestors.unshift(current);
+        }
+        return ancestors;
+      },
+      getScopeManager: () => {
+        if (!scopeManager) {
+          scopeManager = eslintScope.analyze(program, {
+            ecmaVersion: 2022,
+            sourceType: program.sourceType,
+            // Top-level bindings of CommonJS files are module-scoped, not global
+            nodejsScope: program.sourceType === 'script',
+            fallback: getChildKeys
+          });
+        }
+        return scopeManager;
+      },
+      getDeclaredVariables: (node) => context.getScopeManager().getDeclaredVariables(node),
+      isReassigned: (variable) => variable.references.some(reference => reference.isWrite() && !reference.init)
+    };
+    return context;
+  }
+
+  /**
+   * Build a finding object for a source range
+   * @param {Object} rule - Rule that matched
+   * @param {Array} range - Reported range ([start, end])
+   * @param {Object|null} fix - Replacement ({ range, text }), or null
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @returns {Object} Finding object
+   */
+  createFinding(rule, range, fix, content, filePath) {
+    const [startOffset, endOffset] = range;
+    const beforeMatch = content.substring(0, startOffset);
+    const lineNumber = beforeMatch.split('\n').length;
+    const columnNumber = beforeMatch.length - beforeMatch.lastIndexOf('\n');
+
+    return {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      description: rule.description,
+      filePath,
+      lineNumber,
+      columnNumber,
+      startOffset,
+      endOffset,
+      matchedText: content.substring(startOffset, endOffset),
+      severity: rule.severity,
+      fixable: fix !== null,
+      replacement: fix ? fix.text : null,
+      replacementText: fix ? fix.text : null,
+      pattern: rule.selector
+    };
+  }
+}
+
+/**
+ * List the properties of a node that hold child nodes, for node types the
+ * traversal libraries do not know (TypeScript and JSX)
+ * @param {Object} node - AST node
+ * @returns {Array} Property names
+ */
+function getChildKeys(node) {
+  return Object.keys(node).filter(key => !NON_CHILD_KEYS.has(key) && node[key] !== null && typeof node[key] === 'object');
+}
+
+/**
+ * Map every node to its parent
+ * @param {Object} program - Program node
+ * @returns {Map} Node -> parent node
+ */
+function buildParentMap(program) {
+  const parents = new Map();
+  const stack = [program];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    for (const key of getChildKeys(node)) {
+      for (const child of [].concat(node[key])) {
+        if (child && typeof child.type === 'string') {
+          parents.set(child, node);
+          stack.push(child);
+        }
+      }
+    }
+  }
+  return parents;
+}
+
+AstMatcher.FILE_TYPES = FILE_TYPES;
+
+module.exports = AstMatcher;
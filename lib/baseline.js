@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const BASELINE_VERSION = '1.0';
+
+/**
+ * Baseline records the findings that existed when it was created so later
+ * scans only report new ones. Findings are fingerprinted by rule, file and
+ * normalized match text and line context, so moving code around does not
+ * invalidate the baseline.
+ */
+class Baseline {
+  constructor(baselinePath) {
+    this.baselinePath = path.resolve(baselinePath);
+    this.baseDir = path.dirname(this.baselinePath);
+    this.entries = new Map(); // fingerprint -> { ruleId, file, matchedText, count }
+  }
+
+  /**
+   * Load baseline entries from disk
+   * @returns {Promise<Baseline>} This baseline
+   */
+  async load() {
+    if (!(await fs.pathExists(this.baselinePath))) {
+      throw new Error(`Baseline file not found: ${this.baselinePath}`);
+    }
+
+    let data;
+    try {
+      data = await fs.readJson(this.baselinePath);
+    } catch (error) {
+      throw new Error(`Invalid baseline file ${this.baselinePath}: ${error.message}`);
+    }
+
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error(`Invalid baseline file ${this.baselinePath}: missing "entries" array`);
+    }
+
+    this.entries.clear();
+    for (const entry of data.entries) {
+      if (!entry.fingerprint) {
+        continue;
+      }
+      this.entries.set(entry.fingerprint, {
+        ruleId: entry.ruleId,
+        file: entry.file,
+        matchedText: entry.matchedText,
+        count: entry.count || 1
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Replace the baseline entries with the given findings and write the file
+   * @param {Array} findings - Findings with fingerprints
+   * @returns {Promise<number>} Number of findings recorded
+   */
+  async save(findings) {
+    this.entries.clear();
+    for (const finding of findings) {
+      const existing = this.entries.get(finding.fingerprint);
+      if (existing) {
+        existing.count++;
+      } else {
+        this.entries.set(finding.fingerprint, {
+          ruleId: finding.ruleId,
+          file: this.relativePath(finding.filePath),
+          matchedText: finding.matchedText,
+          count: 1
+        });
+      }
+    }
+
+    // Sort entries so the file diffs cleanly between updates
+    const entries = Array.from(this.entries.entries())
+      .map(([fingerprint, entry]) => ({ fingerprint, ...entry }))
+      .sort((a, b) => a.file.localeCompare(b.file) ||
+        a.ruleId.localeCompare(b.ruleId) ||
+        a.fingerprint.localeCompare(b.fingerprint));
+
+    await fs.outputJson(this.baselinePath, { version: BASELINE_VERSION, entries }, { spaces: 2 });
+    return findings.length;
+  }
+
+  /**
+   * Compute the fingerprint of a finding. Line numbers are left out and
+   * whitespace is collapsed so the fingerprint survives unrelated edits.
+   * @param {Object} finding - Finding from the rule engine
+   * @param {string} content - Content of the file the finding is in
+   * @returns {string} Fingerprint
+   */
+  fingerprint(finding, content) {
+    const lines = content.split('\n');
+    const lineCount = finding.matchedText.split('\n').length;
+    const context = lines.slice(finding.lineNumber - 1, finding.lineNumber - 1 + lineCount).join('\n');
+
+    return crypto.createHash('sha256')
+      .update([
+        finding.ruleId,
+        this.relativePath(finding.filePath),
+        this.normalize(finding.matchedText),
+        this.normalize(context)
+      ].join('\0'))
+      .digest('hex')
+      .substring(0, 32);
+  }
+
+  /**
+   * Split findings into new and baselined ones. Each baseline entry
+   * absorbs as many identical findings as it recorded; anything beyond
+   * that is new.
+   * @param {Array} findings - Findings with fingerprints
+   * @param {Array} scannedFiles - Files that were scanned, to detect fixed entries
+   * @returns {Object} New findings, baselined findings and fixed entries
+   */
+  filter(findings, scannedFiles = []) {
+    const remaining = new Map();
+    for (const [fingerprint, entry] of this.entries) {
+      remaining.set(fingerprint, entry.count);
+    }
+
+    const newFindings = [];
+    const baselined = [];
+    for (const finding of findings) {
+      const count = remaining.get(finding.fingerprint) || 0;
+      if (count > 0) {
+        remaining.set(finding.fingerprint, count - 1);
+        baselined.push(finding);
+      } else {
+        newFindings.push(finding);
+      }
+    }
+
+    // Only entries for files that were scanned can be known to be fixed
+    const scanned = new Set(scannedFiles.map(filePath => this.relativePath(filePath)));
+    const fixed = [];
+    for (const [fingerprint, count] of remaining) {
+      const entry = this.entries.get(fingerprint);
+      if (count > 0 && scanned.has(entry.file)) {
+        fixed.push({ fingerprint, ...entry, count });
+      }
+    }
+
+    return { newFindings, baselined, fixed };
+  }
+
+  /**
+   * Collapse whitespace so formatting changes don't alter fingerprints
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Get a forward-slash path relative to the baseline file
+   * @param {string} filePath - File path
+   * @returns {string} Relative path
+   */
+  relativePath(filePath) {
+    return path.relative(this.baseDir, path.resolve(filePath)).split(path.sep).join('/');
+  }
+}
+
+Baseline.BASELINE_VERSION = BASELINE_VERSION;
+
+module.exports = Baseline;
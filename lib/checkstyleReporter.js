@@ -0,0 +1,57 @@
+const path = require('path');
+const { escapeXml } = require('./xml');
+
+/**
+ * CheckstyleReporter renders findings in Checkstyle XML, which most CI
+ * code-quality plugins can import
+ */
+class CheckstyleReporter {
+  constructor(options = {}) {
+    this.options = {
+      sourcePrefix: options.sourcePrefix || 'code-migrate',
+      ...options
+    };
+  }
+
+  /**
+   * Generate the Checkstyle XML report
+   * @param {Object} report - Scan report data
+   * @param {Array} report.findings - Findings from the rule engine
+   * @param {Array} report.files - Files that were scanned
+   * @returns {string} Checkstyle XML document
+   */
+  generate(report) {
+    const { findings = [], files = [] } = report;
+    const findingsByFile = new Map();
+
+    // List every scanned file so clean files are reported as clean
+    for (const filePath of files) {
+      findingsByFile.set(filePath, []);
+    }
+    for (const finding of findings) {
+      if (!findingsByFile.has(finding.filePath)) {
+        findingsByFile.set(finding.filePath, []);
+      }
+      findingsByFile.get(finding.filePath).push(finding);
+    }
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<checkstyle version="4.3">\n';
+
+    for (const [filePath, fileFindings] of findingsByFile) {
+      xml += `  <file name="${escapeXml(path.resolve(filePath))}">\n`;
+      for (const finding of fileFindings) {
+        xml += `    <error line="${finding.lineNumber}" column="${finding.columnNumber}"`;
+        xml += ` severity="${escapeXml(finding.severity)}"`;
+        xml += ` message="${escapeXml(`${finding.ruleName}: ${finding.description}`)}"`;
+        xml += ` source="${escapeXml(`${this.options.sourcePrefix}.${finding.ruleId}`)}" />\n`;
+      }
+      xml += '  </file>\n';
+    }
+
+    xml += '</checkstyle>';
+    return xml;
+  }
+}
+
+module.exports = CheckstyleReporter;
@@ -0,0 +1,218 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Config files looked for in every directory; the first one found wins
+ */
+const CONFIG_FILES = ['.codemigraterc', 'codemigrate.config.js', 'package.json'];
+
+/**
+ * Key holding the configuration in package.json
+ */
+const PACKAGE_KEY = 'codeMigrate';
+
+/**
+ * Options a config file may set, by the type of value they take
+ */
+const CONFIG_KEYS = {
+  root: 'boolean',
+  rules: 'string|array',
+  extensions: 'array',
+  ignore: 'array',
+  maxFileSize: 'string',
+  backupDir: 'string',
+  severity: 'object',
+  format: 'string',
+  output: 'string',
+  reporters: 'array'
+};
+
+/**
+ * Options holding paths, which are relative to the config file (rules may list several)
+ */
+const PATH_KEYS = ['rules', 'backupDir', 'output'];
+
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+/**
+ * ConfigLoader finds and merges project configuration. Config files are read
+ * from the filesystem root (or the nearest file with `root: true`) down to a
+ * directory, and settings in deeper files override those above them, so a
+ * config file in a subdirectory overrides settings for the files below it.
+ */
+class ConfigLoader {
+  constructor() {
+    this.files = new Map(); // dir -> config file in that directory, or null
+    this.configs = new Map(); // dir -> merged configuration
+  }
+
+  /**
+   * Get the merged configuration that applies to a directory
+   * @param {string} dir - Directory path
+   * @returns {Object} Configuration; `ignore` holds pattern sets ({ patterns, base, source }) and `files` the config files used
+   */
+  getConfig(dir) {
+    const absolute = path.resolve(dir);
+    if (!this.configs.has(absolute)) {
+      this.configs.set(absolute, mergeConfigs(this.getConfigFiles(absolute)));
+    }
+    return this.configs.get(absolute);
+  }
+
+  /**
+   * List the config files that apply to a directory
+   * @param {string} dir - Absolute directory path
+   * @returns {Array} Config files ({ filePath, dir, config }), outermost first
+   */
+  getConfigFiles(dir) {
+    const files = [];
+    let current = dir;
+    for (;;) {
+      const file = this.loadDirectory(current);
+      if (file) {
+        files.unshift(file);
+        if (file.config.root) {
+          break;
+        }
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        break;
+      }
+      current = parent;
+    }
+    return files;
+  }
+
+  /**
+   * Read the config file of one directory
+   * @param {string} dir - Absolute directory path
+   * @returns {Object|null} Config file ({ filePath, dir, config }), or null if there is none
+   */
+  loadDirectory(dir) {
+    if (!this.files.has(dir)) {
+      let found = null;
+      for (const name of CONFIG_FILES) {
+        const filePath = path.join(dir, name);
+        if (!fs.existsSync(filePath)) {
+          continue;
+        }
+        const raw = this.readFile(filePath);
+        if (raw !== undefined) {
+          found = { filePath, dir, config: this.normalize(raw, filePath) };
+          break;
+        }
+      }
+      this.files.set(dir, found);
+    }
+    return this.files.get(dir);
+  }
+
+  /**
+   * Read the raw configuration from a config file
+   * @param {string} filePath - Path to config file
+   * @returns {Object|undefined} Configuration, or undefined for a package.json without one
+   */
+  readFile(filePath) {
+    try {
+      if (filePath.endsWith('.js')) {
+        return require(filePath);
+      }
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return path.basename(filePath) === 'package.json' ? data[PACKAGE_KEY] : data;
+    } catch (error) {
+      throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a configuration and resolve its paths
+   * @param {Object} raw - Configuration as written
+   * @param {string} filePath - Config file it came from
+   * @returns {Object} Configuration with absolute paths
+   */
+  normalize(raw, filePath) {
+    const fail = (message) => {
+      throw new Error(`Invalid config file ${filePath}: ${message}`);
+    };
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fail('expected an object');
+    }
+
+    const dir = path.dirname(filePath);
+    const config = {};
+    for (const [key, value] of Object.entries(raw)) {
+      const type = CONFIG_KEYS[key];
+      if (!type) {
+        fail(`unknown option "${key}"`);
+      }
+
+      // Extensions may also be written the way --extensions takes them
+      const normalized = key === 'extensions' && typeof value === 'string'
+        ? value.split(',').map(ext => ext.trim())
+        : value;
+      const actual = Array.isArray(normalized) ? 'array' : typeof normalized;
+      if (!type.split('|').includes(actual) || normalized === null) {
+        fail(`"${key}" must be ${type.split('|').map(name => name === 'array' ? 'an array' : `a ${name}`).join(' or ')}`);
+      }
+      config[key] = PATH_KEYS.includes(key) ? resolvePaths(dir, normalized) : normalized;
+    }
+
+    for (const [ruleId, severity] of Object.entries(config.severity || {})) {
+      if (!SEVERITIES.includes(severity)) {
+        fail(`severity of "${ruleId}" must be one of: ${SEVERITIES.join(', ')}`);
+      }
+    }
+
+    if (config.reporters) {
+      config.reporters = config.reporters.map(reporter => {
+        if (!reporter || typeof reporter.format !== 'string' || typeof reporter.output !== 'string') {
+          fail('each entry in "reporters" needs "format" and "output"');
+        }
+        return { format: reporter.format, output: path.resolve(dir, reporter.output) };
+      });
+    }
+
+    if (config.ignore) {
+      config.ignore = [{ patterns: config.ignore, base: dir, source: filePath }];
+    }
+    return config;
+  }
+}
+
+/**
+ * Resolve one path or an array of them
+ * @param {string} dir - Directory paths are relative to
+ * @param {string|Array} value - Path or paths
+ * @returns {string|Array} Absolute path or paths
+ */
+function resolvePaths(dir, value) {
+  return Array.isArray(value) ? value.map(item => path.resolve(dir, item)) : path.resolve(dir, value);
+}
+
+/**
+ * Merge config files, later ones overriding earlier ones. Severity overrides
+ * are merged per rule and ignore pattern sets accumulate.
+ * @param {Array} files - Config files, outermost first
+ * @returns {Object} Merged configuration
+ */
+function mergeConfigs(files) {
+  const merged = { severity: {}, ignore: [], files: [] };
+  for (const { filePath, config } of files) {
+    for (const [key, value] of Object.entries(config)) {
+      if (key === 'severity') {
+        Object.assign(merged.severity, value);
+      } else if (key === 'ignore') {
+        merged.ignore.push(...value);
+      } else if (key !== 'root') {
+        merged[key] = value;
+      }
+    }
+    merged.files.push(filePath);
+  }
+  return merged;
+}
+
+ConfigLoader.CONFIG_FILES = CONFIG_FILES;
+
+module.exports = ConfigLoader;
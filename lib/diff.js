@@ -0,0 +1,229 @@
+/**
+ * Line-based unified diffs in the format `git apply` and `patch -p1` accept
+ */
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Split content into lines that keep their line terminator, so a missing
+ * newline at the end of the file shows up as a difference
+ * @param {string} content - File content
+ * @returns {Array} Lines including terminators
+ */
+function splitLines(content) {
+  return content.split(/(?<=\n)/).filter(line => line.length > 0);
+}
+
+/**
+ * Compute the shortest edit script between two line arrays using Myers'
+ * O(ND) algorithm. Common leading and trailing lines are trimmed first
+ * because fixes usually touch a few lines of a large file.
+ * @param {Array} oldLines - Original lines
+ * @param {Array} newLines - Modified lines
+ * @returns {Array} Edits of the form { type: ' ' | '-' | '+', line }
+ */
+function diffLines(oldLines, newLines) {
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+
+  const edits = [];
+  for (let i = 0; i < prefix; i++) {
+    edits.push({ type: ' ', line: oldLines[i] });
+  }
+  edits.push(...myers(a, b));
+  for (let i = oldLines.length - suffix; i < oldLines.length; i++) {
+    edits.push({ type: ' ', line: oldLines[i] });
+  }
+  return edits;
+}
+
+/**
+ * Myers diff with a trace of the furthest-reaching paths for backtracking
+ * @param {Array} a - Original lines
+ * @param {Array} b - Modified lines
+ * @returns {Array} Edits
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d..d can be read while backtracking from step d
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Walk the Myers trace back from the end to recover the edit script
+ * @param {Array} a - Original lines
+ * @param {Array} b - Modified lines
+ * @param {Array} trace - V arrays recorded before each step
+ * @returns {Array} Edits
+ */
+function backtrack(a, b, trace) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const get = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: '+', line: b[y - 1] });
+      } else {
+        edits.push({ type: '-', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Group edits into hunks with surrounding context lines
+ * @param {Array} edits - Edit script from diffLines
+ * @param {number} context - Lines of context around each change
+ * @returns {Array} Hunks with old/new start, counts and edits
+ */
+function buildHunks(edits, context) {
+  // Line numbers in the old and new file at each edit
+  const oldLines = [];
+  const newLines = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const edit of edits) {
+    oldLines.push(oldLine);
+    newLines.push(newLine);
+    if (edit.type !== '+') oldLine++;
+    if (edit.type !== '-') newLine++;
+  }
+
+  // Merge changes whose context windows touch or overlap
+  const ranges = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - context);
+    const end = Math.min(edits.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const hunkEdits = edits.slice(start, end + 1);
+    return {
+      oldStart: oldLines[start],
+      newStart: newLines[start],
+      oldCount: hunkEdits.filter(edit => edit.type !== '+').length,
+      newCount: hunkEdits.filter(edit => edit.type !== '-').length,
+      edits: hunkEdits
+    };
+  });
+}
+
+/**
+ * Format a hunk range, which points at the line before an empty range
+ * @param {number} start - First line of the range
+ * @param {number} count - Number of lines
+ * @returns {string} Range for the hunk header
+ */
+function formatRange(start, count) {
+  return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Create a unified diff for one file. Returns an empty string when the
+ * contents are identical.
+ * @param {string} filePath - Forward-slash path relative to the repository root
+ * @param {string} oldContent - Original content
+ * @param {string} newContent - Modified content
+ * @param {Object} options - Diff options
+ * @param {number} options.context - Lines of context around each change (default 3)
+ * @returns {string} Unified diff
+ */
+function createPatch(filePath, oldContent, newContent, options = {}) {
+  const context = options.context === undefined ? 3 : options.context;
+  if (oldContent === newContent) {
+    return '';
+  }
+
+  const hunks = buildHunks(diffLines(splitLines(oldContent), splitLines(newContent)), context);
+
+  let patch = `diff --git a/${filePath} b/${filePath}\n`;
+  patch += `--- a/${filePath}\n`;
+  patch += `+++ b/${filePath}\n`;
+
+  for (const hunk of hunks) {
+    patch += `@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@\n`;
+    for (const edit of hunk.edits) {
+      if (edit.line.endsWith('\n')) {
+        patch += edit.type + edit.line;
+      } else {
+        patch += `${edit.type}${edit.line}\n${NO_NEWLINE_MARKER}\n`;
+      }
+    }
+  }
+
+  return patch;
+}
+
+module.exports = {
+  createPatch,
+  diffLines,
+  splitLines
+};
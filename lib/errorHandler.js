@@ -14,6 +14,7 @@ class ErrorHandler {
       timeout: 0,
       memory: 0,
       regex: 0,
+      parse: 0,
       filesystem: 0,
       unknown: 0
     };
@@ -103,6 +104,33 @@ class ErrorHandler {
     return result;
   }
 
+  /**
+   * Handle files AST rules cannot parse
+   * @param {string} filePath - Path to the file
+   * @param {Error} error - The parse error
+   * @returns {Object} Error handling result
+   */
+  handleParseError(filePath, error) {
+    this.errorCounts.parse++;
+
+    const result = {
+      type: 'parse',
+      filePath,
+      message: `Cannot parse ${path.basename(filePath)}: ${error.message}`,
+      suggestion: 'AST rules were skipped for this file; regex rules still apply',
+      recoverable: true,
+      skipRule: true
+    };
+
+    if (this.errorCounts.parse <= 5) {
+      console.warn(this.formatter.formatWarning(
+        `${result.message} - ${result.suggestion}`
+      ));
+    }
+
+    return result;
+  }
+
   /**
    * Handle regex timeout errors
    * @param {string} ruleId - ID of the rule that timed out
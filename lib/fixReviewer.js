@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const Fixer = require('./fixer');
+
+const CHOICES = [
+  { key: 'y', help: 'apply this fix' },
+  { key: 'n', help: 'skip this fix' },
+  { key: 'a', help: 'apply this fix and all remaining fixes for this rule' },
+  { key: 'd', help: 'skip this fix and all remaining fixes for this rule' },
+  { key: 'e', help: 'edit the replacement text, then apply it' },
+  { key: 'q', help: 'quit; skip this fix and all remaining fixes' },
+  { key: '?', help: 'print help' }
+];
+
+/**
+ * FixReviewer walks fixable findings one at a time and asks the user which
+ * to apply, showing a before/after preview of each change
+ */
+class FixReviewer {
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.formatter = options.formatter; // Formats previews and supplies colors that honor --no-color
+    this.basePath = options.basePath || '';
+
+    this.sources = new Map();
+    this.pendingLines = [];
+    this.waiting = null;
+    this.closed = false;
+  }
+
+  /**
+   * Review findings interactively
+   * @param {Array} findings - Fixable findings
+   * @returns {Promise<Object>} Accepted findings (edited ones are copies) and whether the user quit
+   */
+  async review(findings) {
+    const accepted = [];
+    const ruleDecisions = new Map(); // ruleId -> 'accept' | 'skip'
+    let quit = false;
+
+    this.open();
+    try {
+      for (let index = 0; index < findings.length; index++) {
+        const finding = findings[index];
+        const decision = ruleDecisions.get(finding.ruleId);
+        if (decision) {
+          if (decision === 'accept') accepted.push(finding);
+          continue;
+        }
+
+        await this.showFinding(finding, index, findings.length);
+        const answer = await this.askChoice();
+
+        if (answer === 'y') {
+          accepted.push(finding);
+        } else if (answer === 'a') {
+          accepted.push(finding);
+          ruleDecisions.set(finding.ruleId, 'accept');
+        } else if (answer === 'd') {
+          ruleDecisions.set(finding.ruleId, 'skip');
+        } else if (answer === 'e') {
+          const edited = await this.editReplacement(finding);
+          if (edited) accepted.push(edited);
+        } else if (answer === 'q') {
+          quit = true;
+          break;
+        }
+      }
+    } finally {
+      this.close();
+    }
+
+    return { accepted, quit };
+  }
+
+  /**
+   * Print a finding with the lines its fix would change
+   * @param {Object} finding - Fixable finding
+   * @param {number} index - Position in the review
+   * @param {number} total - Number of findings being reviewed
+   * @returns {Promise<void>}
+   */
+  async showFinding(finding, index, total) {
+    const relativePath = this.basePath ? path.relative(this.basePath, finding.filePath) : finding.filePath;
+    const source = await this.readSource(finding.filePath);
+    const { colors } = this.formatter;
+
+    let text = '\n' + colors.bold(`(${index + 1}/${total}) ${relativePath}:${finding.lineNumber}:${finding.columnNumber}`);
+    text += ` ${finding.ruleName} ${colors.dim(`[${finding.ruleId}]`)}\n`;
+    if (typeof source === 'string') {
+      text += this.formatter.formatFixPreview(finding, source) + '\n';
+    } else {
+      text += colors.red(`    - ${finding.matchedText}`) + '\n';
+      text += colors.green(`    + ${Fixer.getReplacementText(finding)}`) + '\n';
+    }
+    this.output.write(text);
+  }
+
+  /**
+   * Ask until the user gives a valid choice
+   * @returns {Promise<string>} Choice key
+   */
+  async askChoice() {
+    const keys = CHOICES.map(choice => choice.key).join(',');
+    const { colors } = this.formatter;
+    for (;;) {
+      const answer = await this.ask(colors.blue(`Apply this fix [${keys}]? `));
+      if (answer === null) {
+        return 'q'; // Input closed
+      }
+
+      const key = answer.trim().toLowerCase();
+      if (key === '?' || key === 'h') {
+        this.output.write(CHOICES.map(choice => `${choice.key} - ${choice.help}`).join('\n') + '\n');
+      } else if (CHOICES.some(choice => choice.key === key)) {
+        return key;
+      } else {
+        this.output.write(colors.yellow(`Unknown choice "${answer.trim()}", type ? for help\n`));
+      }
+    }
+  }
+
+  /**
+   * Ask for new replacement text
+   * @param {Object} finding - Fixable finding
+   * @returns {Promise<Object|null>} Copy of the finding with the edited replacement, or null to skip
+   */
+  async editReplacement(finding) {
+    const current = Fixer.getReplacementText(finding);
+    const { colors } = this.formatter;
+    this.output.write(colors.dim(`Current replacement: ${current}\n`));
+    const answer = await this.ask(colors.blue('New replacement (empty to keep, "-" to skip): '));
+
+    if (answer === null || answer === '-') {
+      return null;
+    }
+    if (answer === '') {
+      return finding;
+    }
+    return { ...finding, replacementText: answer };
+  }
+
+  /**
+   * Prompt for one line of input
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string|null>} Line, or null when input has ended
+   */
+  ask(prompt) {
+    this.output.write(prompt);
+    if (this.pendingLines.length > 0) {
+      return Promise.resolve(this.pendingLines.shift());
+    }
+    if (this.closed) {
+      return Promise.resolve(null);
+    }
+    return new Promise(resolve => {
+      this.waiting = resolve;
+    });
+  }
+
+  /**
+   * Start reading lines. Lines that arrive before a prompt are queued so
+   * piped answers are not lost.
+   */
+  open() {
+    this.readline = readline.createInterface({ input: this.input, terminal: false });
+    this.readline.on('line', line => {
+      if (this.waiting) {
+        const resolve = this.waiting;
+        this.waiting = null;
+        resolve(line);
+      } else {
+        this.pendingLines.push(line);
+      }
+    });
+    this.readline.on('close', () => {
+      this.closed = true;
+      if (this.waiting) {
+        const resolve = this.waiting;
+        this.waiting = null;
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Stop reading input
+   */
+  close() {
+    if (this.readline) {
+      this.readline.close();
+      this.readline = null;
+    }
+  }
+
+  /**
+   * Read a source file once for previews
+   * @param {string} filePath - Path to file
+   * @returns {Promise<string|null>} File content, or null if unreadable
+   */
+  async readSource(filePath) {
+    if (!this.sources.has(filePath)) {
+      try {
+        this.sources.set(filePath, await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        this.sources.set(filePath, null);
+      }
+    }
+    return this.sources.get(filePath);
+  }
+}
+
+FixReviewer.CHOICES = CHOICES;
+
+module.exports = FixReviewer;
@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
+const { createPatch } = require('./diff');
+
+const SESSION_ID_PATTERN = /^\d{8}T\d{6}-[0-9a-f]{6}$/;
 
 /**
  * Fixer class handles backup creation and automatic pattern replacement
@@ -10,12 +14,36 @@ class Fixer {
       backupDir: options.backupDir || '.code-migration-backups',
       createTimestampedBackups: options.createTimestampedBackups !== false,
       dryRun: options.dryRun || false,
+      generateDiffs: options.generateDiffs || false, // Dry runs always produce diffs
+      basePath: options.basePath || process.cwd(), // Root that patch and backup paths are relative to
       maxBackupAge: options.maxBackupAge || 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
       ...options
     };
     
     this.backupRegistry = new Map(); // Track created backups for rollback
     this.fixedFiles = new Set(); // Track files that have been modified
+    this.sessionId = null; // Fix session that new backups belong to
+  }
+
+  /**
+   * Get the ID of the current fix session, starting one if needed. Session
+   * IDs sort in creation order.
+   * @returns {string} Session ID
+   */
+  getSessionId() {
+    if (!this.sessionId) {
+      const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+      this.sessionId = `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+    return this.sessionId;
+  }
+
+  /**
+   * Get the directory that fix session manifests are stored in
+   * @returns {string} Sessions directory
+   */
+  getSessionsDir() {
+    return path.join(path.resolve(this.options.backupDir), 'sessions');
   }
 
   /**
@@ -34,18 +62,15 @@ class Fixer {
         throw new Error(`Cannot backup non-file: ${filePath}`);
       }
 
-      // Create backup directory if it doesn't exist
+      // Mirror the file's relative path so equal basenames can't collide
       const backupDir = path.resolve(this.options.backupDir);
-      await fs.ensureDir(backupDir);
-
-      // Generate backup filename with timestamp
-      const originalName = path.basename(filePath);
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupName = this.options.createTimestampedBackups 
-        ? `${originalName}.${timestamp}.backup`
-        : `${originalName}.backup`;
-      
-      const backupPath = path.join(backupDir, backupName);
+      const backupPath = this.getBackupPath(filePath);
+      await fs.ensureDir(path.dirname(backupPath));
+
+      // The first backup this session makes of a file holds its content from before the session
+      if (this.backupRegistry.has(filePath)) {
+        return this.backupRegistry.get(filePath);
+      }
 
       // Check available disk space (basic check)
       await this.checkDiskSpace(filePath, backupDir);
@@ -53,7 +78,7 @@ class Fixer {
       // Copy file to backup location
       await fs.copy(filePath, backupPath, {
         preserveTimestamps: true,
-        overwrite: false // Don't overwrite existing backups
+        overwrite: true // Replace a backup left by an earlier run
       });
 
       // Register backup for potential rollback
@@ -65,6 +90,36 @@ class Fixer {
     }
   }
 
+  /**
+   * Get the backup location of a file: its path relative to the base path,
+   * mirrored under a directory for the current session
+   * @param {string} filePath - Path to file
+   * @returns {string} Backup file path
+   */
+  getBackupPath(filePath) {
+    const backupDir = path.resolve(this.options.backupDir);
+    const root = this.options.createTimestampedBackups
+      ? path.join(backupDir, this.getSessionId())
+      : backupDir;
+    return path.join(root, `${this.getMirroredPath(filePath)}.backup`);
+  }
+
+  /**
+   * Get the relative path a file is mirrored at. Files outside the base
+   * path are mirrored by their absolute path under "_external".
+   * @param {string} filePath - Path to file
+   * @returns {string} Relative path
+   */
+  getMirroredPath(filePath) {
+    const absolutePath = path.resolve(filePath);
+    const relative = path.relative(path.resolve(this.options.basePath), absolutePath);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return path.join('_external', absolutePath.replace(/^[a-zA-Z]:/, '').replace(/^[\\/]+/, ''));
+    }
+    return relative;
+  }
+
   /**
    * Apply fixes to files based on findings
    * @param {Array} findings - Array of findings with fix information
@@ -79,13 +134,21 @@ class Fixer {
     } = options;
 
     const results = {
+      dryRun: this.options.dryRun,
       filesProcessed: 0,
       filesFixed: 0,
       patternsReplaced: 0,
       errors: [],
+      conflicts: [],
+      diffs: [],
       backupsCreated: [],
-      fixedFiles: []
+      fixedFiles: [],
+      sessionId: null
     };
+    const sessionFiles = [];
+
+    // Each run backs up into a session of its own
+    this.sessionId = null;
 
     try {
       // Filter fixable findings
@@ -112,6 +175,10 @@ class Fixer {
 
           // Apply fixes to the file
           const fixResult = await this.fixFile(filePath, fileFindings, options);
+          results.conflicts.push(...fixResult.conflicts);
+          if (fixResult.diff) {
+            results.diffs.push({ filePath, diff: fixResult.diff });
+          }
           
           if (fixResult.patternsReplaced > 0) {
             results.filesFixed++;
@@ -120,6 +187,15 @@ class Fixer {
             this.fixedFiles.add(filePath);
           }
 
+          if (backupPath) {
+            sessionFiles.push({
+              path: path.resolve(filePath),
+              backupPath,
+              originalHash: fixResult.originalHash,
+              fixedHash: fixResult.modifiedHash
+            });
+          }
+
         } catch (error) {
           const errorInfo = {
             filePath,
@@ -134,6 +210,11 @@ class Fixer {
         }
       }
 
+      // Record the run so it can be undone after this process exits
+      if (results.filesFixed > 0 && sessionFiles.length > 0) {
+        results.sessionId = await this.writeSession(sessionFiles);
+      }
+
       return results;
     } catch (error) {
       // If there's a critical error, attempt to rollback
@@ -155,26 +236,8 @@ class Fixer {
     try {
       // Read current file content
       const originalContent = await fs.readFile(filePath, 'utf8');
-      let modifiedContent = originalContent;
-      let patternsReplaced = 0;
-
-      // Sort findings by position (descending) to avoid offset issues
-      const sortedFindings = findings.sort((a, b) => {
-        if (a.lineNumber !== b.lineNumber) {
-          return b.lineNumber - a.lineNumber;
-        }
-        return b.columnNumber - a.columnNumber;
-      });
-
-      // Apply each fix
-      for (const finding of sortedFindings) {
-        const beforeContent = modifiedContent;
-        modifiedContent = this.applyPatternReplacement(modifiedContent, finding);
-        
-        if (modifiedContent !== beforeContent) {
-          patternsReplaced++;
-        }
-      }
+      const { content: modifiedContent, applied, conflicts } = this.computeFixes(originalContent, findings);
+      const patternsReplaced = applied.length;
 
       // Write modified content back to file (unless dry run)
       if (!this.options.dryRun && modifiedContent !== originalContent) {
@@ -184,9 +247,18 @@ class Fixer {
         await fs.chmod(filePath, stats.mode);
       }
 
+      let diff = null;
+      if ((this.options.dryRun || this.options.generateDiffs) && modifiedContent !== originalContent) {
+        diff = createPatch(this.getPatchPath(filePath), originalContent, modifiedContent);
+      }
+
       return {
         filePath,
         patternsReplaced,
+        conflicts,
+        diff,
+        originalHash: this.options.dryRun ? null : this.hashContent(originalContent),
+        modifiedHash: this.options.dryRun ? null : this.hashContent(modifiedContent),
         originalSize: originalContent.length,
         modifiedSize: modifiedContent.length,
         dryRun: this.options.dryRun
@@ -196,6 +268,298 @@ class Fixer {
     }
   }
 
+  /**
+   * Apply findings to file content in memory
+   * @param {string} originalContent - File content the findings were scanned from
+   * @param {Array} findings - Findings for this file
+   * @returns {Object} Modified content, the findings that changed it, and conflicts
+   */
+  computeFixes(originalContent, findings) {
+    let content = originalContent;
+    const applied = [];
+
+    // Findings with offsets are spliced in place; older findings without
+    // position information fall back to a single text replacement
+    const positioned = findings.filter(f => this.hasPosition(f));
+    const unpositioned = findings.filter(f => !this.hasPosition(f));
+
+    const { accepted, conflicts } = this.resolveOverlaps(originalContent, positioned);
+
+    // Splice from the end of the file so earlier offsets stay valid
+    const sortedFindings = [...accepted].sort((a, b) => b.startOffset - a.startOffset);
+
+    for (const finding of sortedFindings.concat(unpositioned)) {
+      const beforeContent = content;
+      content = this.applyPatternReplacement(content, finding);
+
+      if (content !== beforeContent) {
+        applied.push(finding);
+      }
+    }
+
+    return { content, applied, conflicts };
+  }
+
+  /**
+   * Make sure the working tree can be fixed with --git. Run this before
+   * scanning, so findings are computed against the content that gets
+   * committed.
+   * @param {Git} git - Git wrapper for the repository
+   * @param {Object} options - Options
+   * @param {boolean} options.stash - Stash uncommitted changes instead of refusing to run
+   * @returns {Promise<Object>} Repository root and whether changes were stashed
+   */
+  async prepareGitTree(git, options = {}) {
+    const root = await git.getRoot();
+    const status = await git.getStatus();
+
+    if (status.length === 0) {
+      return { root, stashed: false };
+    }
+    if (!options.stash) {
+      throw new Error(
+        `Working tree has ${status.length} uncommitted change${status.length === 1 ? '' : 's'}; ` +
+        'commit or stash them first, or use --git-stash'
+      );
+    }
+
+    await git.stash('code-migrate: changes stashed before fixing');
+    return { root, stashed: true };
+  }
+
+  /**
+   * Apply fixes on a new git branch with one commit per rule. Git replaces
+   * file backups as the rollback mechanism: the tree must be clean (see
+   * prepareGitTree), and on failure the original branch is checked out
+   * again and the new branch deleted.
+   * @param {Array} findings - Array of findings with fix information
+   * @param {Git} git - Git wrapper for the repository containing the files
+   * @param {Object} options - Fix options
+   * @param {string} options.branch - Branch to create (default code-migrate/<session ID>)
+   * @param {boolean} options.stashed - Whether prepareGitTree stashed changes
+   * @returns {Promise<Object>} Fix results summary with the branch and commits
+   */
+  async applyGitFixes(findings, git, options = {}) {
+    const results = {
+      dryRun: false,
+      filesProcessed: 0,
+      filesFixed: 0,
+      patternsReplaced: 0,
+      errors: [],
+      conflicts: [],
+      diffs: [],
+      backupsCreated: [],
+      fixedFiles: [],
+      sessionId: null,
+      branch: null,
+      baseBranch: null,
+      stashed: Boolean(options.stashed),
+      commits: []
+    };
+
+    this.sessionId = null;
+
+    const fixableFindings = findings.filter(finding => finding.fixable && finding.replacement !== null);
+    if (fixableFindings.length === 0) {
+      return results;
+    }
+
+    const findingsByFile = this.groupFindingsByFile(fixableFindings);
+    const root = await git.getRoot();
+
+    const outside = Object.keys(findingsByFile).find(filePath => {
+      const relative = path.relative(root, path.resolve(filePath));
+      return relative.startsWith('..') || path.isAbsolute(relative);
+    });
+    if (outside) {
+      throw new Error(`Cannot fix ${outside} with --git: it is outside the repository at ${root}`);
+    }
+
+    // Without a clean tree the new branch would not hold every file's previous content
+    if ((await git.getStatus()).length > 0) {
+      throw new Error('Working tree has uncommitted changes; --git needs a clean tree to roll back to');
+    }
+
+    results.branch = options.branch || `code-migrate/${this.getSessionId()}`;
+    results.baseBranch = await git.getCurrentBranch() || await git.getHead();
+
+    await git.createBranch(results.branch);
+
+    try {
+      // Plan every file against its scanned content first, so each commit
+      // can rebuild the file from the original with one more rule applied
+      const plans = [];
+      for (const [filePath, fileFindings] of Object.entries(findingsByFile)) {
+        results.filesProcessed++;
+        const original = await fs.readFile(filePath, 'utf8');
+        const { content, applied, conflicts } = this.computeFixes(original, fileFindings);
+        results.conflicts.push(...conflicts);
+        if (applied.length > 0) {
+          plans.push({ filePath, original, content, applied });
+        }
+      }
+
+      // Commit rules in the order their findings were reported
+      const appliedFindings = new Set(plans.flatMap(plan => plan.applied));
+      const ruleIds = [...new Set(fixableFindings.filter(finding => appliedFindings.has(finding)).map(finding => finding.ruleId))];
+      const committedRules = new Set();
+
+      for (const ruleId of ruleIds) {
+        committedRules.add(ruleId);
+        const ruleFindings = [];
+        const ruleFiles = [];
+
+        for (const plan of plans) {
+          const forRule = plan.applied.filter(finding => finding.ruleId === ruleId);
+          if (forRule.length === 0) {
+            continue;
+          }
+          const { content } = this.computeFixes(
+            plan.original,
+            plan.applied.filter(finding => committedRules.has(finding.ruleId))
+          );
+          const stats = await fs.stat(plan.filePath);
+          await fs.writeFile(plan.filePath, content, 'utf8');
+          await fs.chmod(plan.filePath, stats.mode);
+
+          ruleFindings.push(...forRule);
+          ruleFiles.push(plan.filePath);
+        }
+
+        const sha = await git.commit(ruleFiles, this.formatCommitMessage(ruleFindings, root));
+        results.commits.push({ ruleId, sha, files: ruleFiles, patternsReplaced: ruleFindings.length });
+      }
+
+      for (const plan of plans) {
+        results.filesFixed++;
+        results.patternsReplaced += plan.applied.length;
+        results.fixedFiles.push(plan.filePath);
+        this.fixedFiles.add(plan.filePath);
+        if (this.options.generateDiffs) {
+          results.diffs.push({
+            filePath: plan.filePath,
+            diff: createPatch(this.getPatchPath(plan.filePath), plan.original, plan.content)
+          });
+        }
+      }
+
+      return results;
+    } catch (error) {
+      // Everything changed lives on the new branch, so dropping it restores the tree
+      await git.forceCheckout(results.baseBranch);
+      await git.deleteBranch(results.branch);
+      throw new Error(`Fix on branch ${results.branch} failed and was rolled back: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the commit message for the fixes of one rule
+   * @param {Array} findings - Applied findings of a single rule
+   * @param {string} root - Repository root that file paths are shown relative to
+   * @returns {string} Commit message
+   */
+  formatCommitMessage(findings, root) {
+    const [first] = findings;
+    const counts = new Map();
+    findings.forEach(finding => {
+      const relative = path.relative(root, path.resolve(finding.filePath)).split(path.sep).join('/');
+      counts.set(relative, (counts.get(relative) || 0) + 1);
+    });
+
+    const lines = [`Fix ${first.ruleId}: ${first.ruleName || first.ruleId}`, ''];
+    if (first.description) {
+      lines.push(first.description, '');
+    }
+    lines.push(`Rule: ${first.ruleId}`);
+    lines.push(`Files (${findings.length} fix${findings.length === 1 ? '' : 'es'}):`);
+    [...counts.keys()].sort().forEach(file => {
+      lines.push(`- ${file} (${counts.get(file)})`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Get the forward-slash path used for a file in patches
+   * @param {string} filePath - Path to file
+   * @returns {string} Path relative to the diff base path
+   */
+  getPatchPath(filePath) {
+    const relative = path.relative(path.resolve(this.options.basePath), path.resolve(filePath));
+    return relative.split(path.sep).join('/');
+  }
+
+  /**
+   * Select the findings that can be applied together without overlapping.
+   * When two fixes touch the same text, the one that starts first wins and
+   * the other is reported as a conflict. Findings whose recorded text no
+   * longer matches the file are reported as stale.
+   * @param {string} content - Current file content
+   * @param {Array} findings - Findings with start/end offsets
+   * @returns {Object} Accepted findings and conflicts
+   */
+  resolveOverlaps(content, findings) {
+    const accepted = [];
+    const conflicts = [];
+    let lastAccepted = null;
+
+    const ordered = [...findings].sort((a, b) => {
+      if (a.startOffset !== b.startOffset) {
+        return a.startOffset - b.startOffset;
+      }
+      return a.endOffset - b.endOffset;
+    });
+
+    for (const finding of ordered) {
+      if (content.substring(finding.startOffset, finding.endOffset) !== finding.matchedText) {
+        conflicts.push({
+          finding,
+          reason: 'stale',
+          message: `Text at ${finding.lineNumber}:${finding.columnNumber} changed since it was scanned`
+        });
+        continue;
+      }
+
+      if (lastAccepted && this.rangesOverlap(lastAccepted, finding)) {
+        conflicts.push({
+          finding,
+          conflictsWith: lastAccepted,
+          reason: 'overlap',
+          message: `Fix for "${finding.ruleId}" at ${finding.lineNumber}:${finding.columnNumber} overlaps fix for "${lastAccepted.ruleId}"`
+        });
+        continue;
+      }
+
+      accepted.push(finding);
+      lastAccepted = finding;
+    }
+
+    return { accepted, conflicts };
+  }
+
+  /**
+   * Check whether two findings touch overlapping text
+   * @param {Object} a - First finding (starting at or before b)
+   * @param {Object} b - Second finding
+   * @returns {boolean} True if the ranges overlap
+   */
+  rangesOverlap(a, b) {
+    if (b.startOffset < a.endOffset) {
+      return true;
+    }
+    // Two edits anchored at the same point would be applied in arbitrary order
+    return a.startOffset === b.startOffset;
+  }
+
+  /**
+   * Check whether a finding carries exact offsets into the file
+   * @param {Object} finding - Finding to check
+   * @returns {boolean} True if start/end offsets are present
+   */
+  hasPosition(finding) {
+    return Number.isInteger(finding.startOffset) && Number.isInteger(finding.endOffset);
+  }
+
   /**
    * Apply a single pattern replacement
    * @param {string} content - File content
@@ -203,28 +567,43 @@ class Fixer {
    * @returns {string} Modified content
    */
   applyPatternReplacement(content, finding) {
-    try {
-      // Use the original pattern if available, otherwise fall back to simple string replacement
-      if (finding.pattern) {
-        const pattern = new RegExp(finding.pattern, 'g');
-        const modifiedContent = content.replace(pattern, finding.replacement);
-        return modifiedContent;
-      } else {
-        // Simple string replacement as fallback
-        return content.replace(finding.matchedText, finding.replacement);
-      }
-    } catch (error) {
-      // If regex replacement fails, try simple string replacement
-      return content.replace(finding.matchedText, finding.replacement);
+    const text = Fixer.getReplacementText(finding);
+
+    if (this.hasPosition(finding)) {
+      return content.substring(0, finding.startOffset) + text + content.substring(finding.endOffset);
+    }
+
+    // Without offsets, replace only the first occurrence of the matched text
+    const index = content.indexOf(finding.matchedText);
+    if (index === -1) {
+      return content;
+    }
+    return content.substring(0, index) + text + content.substring(index + finding.matchedText.length);
+  }
+
+  /**
+   * Get the text a finding's match should be replaced with: the replacement
+   * with capture groups expanded by the rule engine, or the rule's
+   * replacement as written for findings made without one
+   * @param {Object} finding - Finding with replacement information
+   * @returns {string|null} Replacement text, or null if the rule has none
+   */
+  static getReplacementText(finding) {
+    if (typeof finding.replacementText === 'string') {
+      return finding.replacementText;
     }
+    return typeof finding.replacement === 'string' ? finding.replacement : null;
   }
 
   /**
-   * Restore files from backup
+   * Restore files from backup. Backups made by this Fixer are used first,
+   * then the most recent backup recorded in a fix session.
    * @param {string|Array} filePaths - File path(s) to restore
+   * @param {Object} options - Restore options
+   * @param {string} options.sessionId - Only restore backups from this session
    * @returns {Promise<Object>} Restore results
    */
-  async restoreFromBackup(filePaths) {
+  async restoreFromBackup(filePaths, options = {}) {
     const paths = Array.isArray(filePaths) ? filePaths : [filePaths];
     const results = {
       filesRestored: 0,
@@ -233,7 +612,8 @@ class Fixer {
 
     for (const filePath of paths) {
       try {
-        const backupPath = this.backupRegistry.get(filePath);
+        const backupPath = (!options.sessionId && this.backupRegistry.get(filePath)) ||
+          await this.findLatestBackup(filePath, options.sessionId);
         
         if (!backupPath) {
           throw new Error(`No backup found for ${filePath}`);
@@ -277,12 +657,170 @@ class Fixer {
   }
 
   /**
-   * Clean up old backup files
+   * Write a session manifest for a fix run
+   * @param {Array} files - Fixed files with backup paths and content hashes
+   * @returns {Promise<string>} Session ID
+   */
+  async writeSession(files) {
+    const id = this.getSessionId();
+    const session = {
+      id,
+      createdAt: new Date().toISOString(),
+      cwd: process.cwd(),
+      status: 'applied',
+      files
+    };
+
+    await fs.outputJson(path.join(this.getSessionsDir(), `${id}.json`), session, { spaces: 2 });
+    return id;
+  }
+
+  /**
+   * List recorded fix sessions, newest first
+   * @returns {Promise<Array>} Session manifests
+   */
+  async listSessions() {
+    const sessionsDir = this.getSessionsDir();
+    if (!(await fs.pathExists(sessionsDir))) {
+      return [];
+    }
+
+    const sessions = [];
+    for (const file of await fs.readdir(sessionsDir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        sessions.push(await fs.readJson(path.join(sessionsDir, file)));
+      } catch (error) {
+        // Skip manifests that can't be parsed
+      }
+    }
+
+    return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Load a session by ID, or the most recent session that hasn't been undone
+   * @param {string} [sessionId] - Session ID
+   * @returns {Promise<Object>} Session manifest
+   */
+  async loadSession(sessionId) {
+    if (sessionId) {
+      const manifestPath = path.join(this.getSessionsDir(), `${sessionId}.json`);
+      if (!(await fs.pathExists(manifestPath))) {
+        throw new Error(`Fix session not found: ${sessionId}`);
+      }
+      return fs.readJson(manifestPath);
+    }
+
+    const session = (await this.listSessions()).find(entry => entry.status !== 'undone');
+    if (!session) {
+      throw new Error(`No fix sessions to undo in ${path.resolve(this.options.backupDir)}`);
+    }
+    return session;
+  }
+
+  /**
+   * Restore the files changed by a fix session from their backups. If any
+   * file changed after the fix, the whole undo is refused unless force is
+   * set, so a session is never half undone.
+   * @param {string} [sessionId] - Session ID (defaults to the latest session)
+   * @param {Object} options - Undo options
+   * @param {boolean} options.force - Restore files even if they were modified after the fix
+   * @returns {Promise<Object>} Undo results
+   */
+  async undoSession(sessionId, options = {}) {
+    const { force = false } = options;
+    const session = await this.loadSession(sessionId);
+    const results = {
+      sessionId: session.id,
+      refused: false,
+      filesRestored: 0,
+      alreadyRestored: [],
+      modified: [],
+      errors: []
+    };
+
+    if (session.status === 'undone' && !force) {
+      throw new Error(`Fix session ${session.id} was already undone at ${session.undoneAt}`);
+    }
+
+    // Check every file first so a refused undo changes nothing
+    const plan = [];
+    for (const file of session.files) {
+      // Files that were backed up but not changed need no restoring
+      if (file.fixedHash === file.originalHash) {
+        continue;
+      }
+
+      try {
+        if (!(await fs.pathExists(file.backupPath))) {
+          throw new Error(`Backup file not found: ${file.backupPath}`);
+        }
+        const backupContent = await fs.readFile(file.backupPath, 'utf8');
+        if (this.hashContent(backupContent) !== file.originalHash) {
+          throw new Error(`Backup does not match the original content: ${file.backupPath}`);
+        }
+
+        const currentHash = (await fs.pathExists(file.path))
+          ? this.hashContent(await fs.readFile(file.path, 'utf8'))
+          : null;
+
+        if (currentHash === file.originalHash) {
+          results.alreadyRestored.push(file.path);
+          continue;
+        }
+        if (currentHash !== file.fixedHash) {
+          results.modified.push(file.path);
+        }
+        plan.push(file);
+      } catch (error) {
+        results.errors.push({ filePath: file.path, error: error.message });
+      }
+    }
+
+    if (results.modified.length > 0 && !force) {
+      results.refused = true;
+      return results;
+    }
+
+    for (const file of plan) {
+      try {
+        await fs.copy(file.backupPath, file.path, { overwrite: true });
+        results.filesRestored++;
+      } catch (error) {
+        results.errors.push({ filePath: file.path, error: error.message });
+      }
+    }
+
+    if (results.errors.length === 0) {
+      session.status = 'undone';
+      session.undoneAt = new Date().toISOString();
+      await fs.outputJson(path.join(this.getSessionsDir(), `${session.id}.json`), session, { spaces: 2 });
+    }
+
+    return results;
+  }
+
+  /**
+   * Hash file content for change detection
+   * @param {string} content - File content
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * Clean up backup sessions (and legacy flat backup files) older than
+   * maxBackupAge, along with their session manifests
    * @returns {Promise<Object>} Cleanup results
    */
   async cleanupOldBackups() {
     const results = {
       filesDeleted: 0,
+      sessionsDeleted: 0,
       errors: []
     };
 
@@ -293,26 +831,41 @@ class Fixer {
         return results;
       }
 
-      const files = await fs.readdir(backupDir);
+      const entries = await fs.readdir(backupDir, { withFileTypes: true });
+      const sessions = new Map((await this.listSessions()).map(session => [session.id, session]));
       const now = Date.now();
 
-      for (const file of files) {
+      for (const entry of entries) {
+        const entryPath = path.join(backupDir, entry.name);
         try {
-          if (!file.endsWith('.backup')) {
+          if (entry.isFile() && entry.name.endsWith('.backup')) {
+            const stats = await fs.stat(entryPath);
+            if (now - stats.mtime.getTime() > this.options.maxBackupAge) {
+              await fs.remove(entryPath);
+              results.filesDeleted++;
+            }
             continue;
           }
 
-          const filePath = path.join(backupDir, file);
-          const stats = await fs.stat(filePath);
-          const age = now - stats.mtime.getTime();
+          if (!entry.isDirectory() || !SESSION_ID_PATTERN.test(entry.name)) {
+            continue;
+          }
 
-          if (age > this.options.maxBackupAge) {
-            await fs.remove(filePath);
-            results.filesDeleted++;
+          // Backups keep the original mtime, so age sessions by creation time
+          const session = sessions.get(entry.name);
+          const createdAt = session
+            ? Date.parse(session.createdAt)
+            : (await fs.stat(entryPath)).mtime.getTime();
+
+          if (now - createdAt > this.options.maxBackupAge) {
+            results.filesDeleted += (await this.listBackupFiles(entryPath)).length;
+            await fs.remove(entryPath);
+            await fs.remove(path.join(this.getSessionsDir(), `${entry.name}.json`));
+            results.sessionsDeleted++;
           }
         } catch (error) {
           results.errors.push({
-            file,
+            file: entry.name,
             error: error.message
           });
         }
@@ -327,6 +880,46 @@ class Fixer {
     return results;
   }
 
+  /**
+   * List backup files below a directory
+   * @param {string} dir - Directory to walk
+   * @returns {Promise<Array>} Backup file paths
+   */
+  async listBackupFiles(dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listBackupFiles(entryPath));
+      } else if (entry.name.endsWith('.backup')) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Find the most recent recorded backup of a file
+   * @param {string} filePath - Path to the original file
+   * @param {string} [sessionId] - Only look in this session
+   * @returns {Promise<string|null>} Backup path, or null if there is none
+   */
+  async findLatestBackup(filePath, sessionId = null) {
+    const absolutePath = path.resolve(filePath);
+
+    for (const session of await this.listSessions()) {
+      if (sessionId && session.id !== sessionId) {
+        continue;
+      }
+      const file = session.files.find(entry => entry.path === absolutePath);
+      if (file && await fs.pathExists(file.backupPath)) {
+        return file.backupPath;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get list of files that have been fixed in this session
    * @returns {Array} Array of fixed file paths
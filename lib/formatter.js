@@ -1,5 +1,6 @@
 const chalk = require('chalk');
 const path = require('path');
+const Fixer = require('./fixer');
 
 /**
  * Formatter class handles colored terminal output for scan results and reports
@@ -10,19 +11,18 @@ class Formatter {
       colorEnabled: options.colorEnabled !== false, // Enable colors by default
       verbose: options.verbose || false,
       maxLineLength: options.maxLineLength || 120,
+      contextLines: null, // Lines of code frame context; null disables code frames
       ...options
     };
 
-    // Configure chalk based on color support
-    if (!this.options.colorEnabled) {
-      chalk.level = 0; // Disable colors
-    }
+    // Colors for this formatter and the modules that print through it (such as FixReviewer)
+    this.colors = this.options.colorEnabled ? chalk : new chalk.Instance({ level: 0 });
 
     // Define color schemes for different severity levels
     this.severityColors = {
-      error: chalk.red,
-      warning: chalk.yellow,
-      info: chalk.blue
+      error: this.colors.red,
+      warning: this.colors.yellow,
+      info: this.colors.blue
     };
 
     this.severityIcons = {
@@ -36,20 +36,21 @@ class Formatter {
    * Format a single finding with colors and proper layout
    * @param {Object} finding - Finding object from rule engine
    * @param {string} basePath - Base path for relative file paths
+   * @param {string} [source] - File content, used for the code frame
    * @returns {string} Formatted finding string
    */
-  formatFinding(finding, basePath = '') {
-    const colorFn = this.severityColors[finding.severity] || chalk.white;
+  formatFinding(finding, basePath = '', source = null) {
+    const colorFn = this.severityColors[finding.severity] || this.colors.white;
     const icon = this.severityIcons[finding.severity] || '•';
     
     // Get relative path for cleaner display
     const relativePath = basePath ? path.relative(basePath, finding.filePath) : finding.filePath;
     
     // Format file location
-    const location = chalk.dim(`${relativePath}:${finding.lineNumber}:${finding.columnNumber}`);
+    const location = this.colors.dim(`${relativePath}:${finding.lineNumber}:${finding.columnNumber}`);
     
     // Format rule information
-    const ruleInfo = chalk.dim(`[${finding.ruleId}]`);
+    const ruleInfo = this.colors.dim(`[${finding.ruleId}]`);
     
     // Format the main message
     const message = `${colorFn(icon)} ${finding.ruleName}`;
@@ -59,34 +60,129 @@ class Formatter {
     if (matchedText.length > 50) {
       matchedText = matchedText.substring(0, 47) + '...';
     }
-    const matchInfo = chalk.gray(`"${matchedText}"`);
+    const matchInfo = this.colors.gray(`"${matchedText}"`);
     
     // Build the formatted line
     let formattedLine = `  ${message} ${location}`;
     
     if (this.options.verbose) {
-      formattedLine += `\n    ${chalk.dim('Description:')} ${finding.description}`;
-      formattedLine += `\n    ${chalk.dim('Matched:')} ${matchInfo}`;
+      formattedLine += `\n    ${this.colors.dim('Description:')} ${finding.description}`;
+      formattedLine += `\n    ${this.colors.dim('Matched:')} ${matchInfo}`;
       if (finding.fixable) {
-        formattedLine += `\n    ${chalk.green('✓ Fixable')}`;
+        formattedLine += `\n    ${this.colors.green('✓ Fixable')}`;
       }
       formattedLine += ` ${ruleInfo}`;
     } else {
       formattedLine += ` ${matchInfo} ${ruleInfo}`;
     }
 
+    if (Number.isInteger(this.options.contextLines) && typeof source === 'string') {
+      formattedLine += '\n' + this.formatCodeFrame(finding, source);
+      if (finding.fixable) {
+        formattedLine += '\n' + this.formatFixPreview(finding, source);
+      }
+    }
+
     return formattedLine;
   }
 
+  /**
+   * Format a code frame around a finding with the matched span underlined
+   * @param {Object} finding - Finding object from rule engine
+   * @param {string} source - File content
+   * @returns {string} Formatted code frame
+   */
+  formatCodeFrame(finding, source) {
+    const colorFn = this.severityColors[finding.severity] || this.colors.white;
+    const lines = source.split('\n');
+    const span = this.getMatchSpan(finding);
+    const from = Math.max(1, span.startLine - this.options.contextLines);
+    const to = Math.min(lines.length, span.endLine + this.options.contextLines);
+    const gutterWidth = String(to).length;
+
+    const frame = [];
+    for (let lineNumber = from; lineNumber <= to; lineNumber++) {
+      const text = (lines[lineNumber - 1] || '').replace(/\r$/, '');
+      const gutter = String(lineNumber).padStart(gutterWidth);
+
+      if (lineNumber < span.startLine || lineNumber > span.endLine) {
+        frame.push(this.colors.dim(`      ${gutter} | ${text}`));
+        continue;
+      }
+
+      const start = lineNumber === span.startLine ? span.startColumn : 0;
+      const end = lineNumber === span.endLine ? span.endColumn : text.length;
+      const highlighted = text.substring(0, start) +
+        colorFn.bold(text.substring(start, end)) +
+        text.substring(end);
+      frame.push(`    ${colorFn('>')} ${this.colors.dim(gutter + ' |')} ${highlighted}`);
+
+      // Keep tabs in the padding so the markers line up with the code
+      const padding = text.substring(0, start).replace(/[^\t]/g, ' ');
+      const markers = '^'.repeat(Math.max(1, end - start));
+      frame.push(`      ${' '.repeat(gutterWidth)} ${this.colors.dim('|')} ${padding}${colorFn(markers)}`);
+    }
+
+    return frame.join('\n');
+  }
+
+  /**
+   * Format a before/after preview of the lines a fix would change
+   * @param {Object} finding - Fixable finding object from rule engine
+   * @param {string} source - File content
+   * @returns {string} Formatted preview, or an empty string
+   */
+  formatFixPreview(finding, source) {
+    const replacement = Fixer.getReplacementText(finding);
+    if (replacement === null) {
+      return '';
+    }
+
+    const lines = source.split('\n');
+    const span = this.getMatchSpan(finding);
+    const before = lines.slice(span.startLine - 1, span.endLine).map(line => line.replace(/\r$/, ''));
+    const original = before.join('\n');
+    const endIndex = original.length - before[before.length - 1].length + span.endColumn;
+    const after = original.substring(0, span.startColumn) + replacement + original.substring(endIndex);
+
+    const preview = [];
+    for (const line of before) {
+      preview.push(this.colors.red(`    - ${line}`));
+    }
+    for (const line of after.split('\n')) {
+      preview.push(this.colors.green(`    + ${line}`));
+    }
+    return preview.join('\n');
+  }
+
+  /**
+   * Get the lines and 0-based columns covered by a finding
+   * @param {Object} finding - Finding object from rule engine
+   * @returns {Object} startLine, startColumn, endLine and endColumn (exclusive)
+   */
+  getMatchSpan(finding) {
+    const matchedLines = finding.matchedText.split('\n');
+    const startColumn = finding.columnNumber - 1;
+    const lastLine = matchedLines[matchedLines.length - 1];
+
+    return {
+      startLine: finding.lineNumber,
+      startColumn,
+      endLine: finding.lineNumber + matchedLines.length - 1,
+      endColumn: matchedLines.length === 1 ? startColumn + lastLine.length : lastLine.length
+    };
+  }
+
   /**
    * Format multiple findings grouped by file
    * @param {Array} findings - Array of finding objects
    * @param {string} basePath - Base path for relative file paths
+   * @param {Map} [sources] - File path to content, used for code frames
    * @returns {string} Formatted findings string
    */
-  formatFindings(findings, basePath = '') {
+  formatFindings(findings, basePath = '', sources = null) {
     if (!findings || findings.length === 0) {
-      return chalk.green('✓ No issues found!');
+      return this.colors.green('✓ No issues found!');
     }
 
     // Group findings by file
@@ -96,21 +192,22 @@ class Formatter {
     const fileCount = Object.keys(findingsByFile).length;
     
     // Add header
-    output += chalk.bold(`\nFound ${findings.length} issue${findings.length === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}:\n\n`);
+    output += this.colors.bold(`\nFound ${findings.length} issue${findings.length === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}:\n\n`);
     
     // Format each file's findings
     for (const [filePath, fileFindings] of Object.entries(findingsByFile)) {
       const relativePath = basePath ? path.relative(basePath, filePath) : filePath;
       
       // File header
-      output += chalk.bold.underline(relativePath) + '\n';
+      output += this.colors.bold.underline(relativePath) + '\n';
       
       // Sort findings by line number
       fileFindings.sort((a, b) => a.lineNumber - b.lineNumber);
       
       // Format each finding
       for (const finding of fileFindings) {
-        output += this.formatFinding(finding, basePath) + '\n';
+        const source = sources ? sources.get(filePath) : null;
+        output += this.formatFinding(finding, basePath, source) + '\n';
       }
       
       output += '\n';
@@ -119,6 +216,28 @@ class Formatter {
     return output;
   }
 
+  /**
+   * Colorize a unified diff for the terminal
+   * @param {string} diff - Unified diff
+   * @returns {string} Formatted diff
+   */
+  formatDiff(diff) {
+    return diff.replace(/\n$/, '').split('\n').map(line => {
+      if (line.startsWith('diff ') || line.startsWith('--- ') || line.startsWith('+++ ')) {
+        return this.colors.bold(line);
+      } else if (line.startsWith('@@')) {
+        return this.colors.cyan(line);
+      } else if (line.startsWith('+')) {
+        return this.colors.green(line);
+      } else if (line.startsWith('-')) {
+        return this.colors.red(line);
+      } else if (line.startsWith('\\')) {
+        return this.colors.dim(line);
+      }
+      return line;
+    }).join('\n');
+  }
+
   /**
    * Format summary statistics
    * @param {Object} statistics - Statistics object
@@ -134,42 +253,54 @@ class Formatter {
       fixableCount = 0,
       scanTime = 0,
       filesFixed = 0,
-      patternsReplaced = 0
+      patternsReplaced = 0,
+      baselinedCount = 0,
+      fixedBaselineCount = 0
     } = statistics;
 
-    let summary = chalk.bold('\n📊 Summary:\n');
-    summary += chalk.dim('─'.repeat(50)) + '\n';
+    let summary = this.colors.bold('\n📊 Summary:\n');
+    summary += this.colors.dim('─'.repeat(50)) + '\n';
     
     // Scan statistics
-    summary += `${chalk.blue('Files scanned:')} ${filesScanned}\n`;
-    summary += `${chalk.blue('Scan time:')} ${this.formatDuration(scanTime)}\n`;
+    summary += `${this.colors.blue('Files scanned:')} ${filesScanned}\n`;
+    summary += `${this.colors.blue('Scan time:')} ${this.formatDuration(scanTime)}\n`;
     
     // Issue breakdown
     if (issuesFound > 0) {
-      summary += `${chalk.red('Total issues:')} ${issuesFound}\n`;
+      summary += `${this.colors.red('Total issues:')} ${issuesFound}\n`;
       
       if (errorCount > 0) {
-        summary += `  ${chalk.red('✖ Errors:')} ${errorCount}\n`;
+        summary += `  ${this.colors.red('✖ Errors:')} ${errorCount}\n`;
       }
       if (warningCount > 0) {
-        summary += `  ${chalk.yellow('⚠ Warnings:')} ${warningCount}\n`;
+        summary += `  ${this.colors.yellow('⚠ Warnings:')} ${warningCount}\n`;
       }
       if (infoCount > 0) {
-        summary += `  ${chalk.blue('ℹ Info:')} ${infoCount}\n`;
+        summary += `  ${this.colors.blue('ℹ Info:')} ${infoCount}\n`;
       }
       
       if (fixableCount > 0) {
-        summary += `${chalk.green('Fixable issues:')} ${fixableCount}\n`;
+        summary += `${this.colors.green('Fixable issues:')} ${fixableCount}\n`;
       }
+    } else if (baselinedCount > 0) {
+      summary += `${this.colors.green('✓ No new issues found!')}\n`;
     } else {
-      summary += `${chalk.green('✓ No issues found!')}\n`;
+      summary += `${this.colors.green('✓ No issues found!')}\n`;
+    }
+
+    // Baseline statistics (if a baseline was used)
+    if (baselinedCount > 0) {
+      summary += `${this.colors.dim('Baselined issues:')} ${baselinedCount}\n`;
+    }
+    if (fixedBaselineCount > 0) {
+      summary += `${this.colors.green('Fixed since baseline:')} ${fixedBaselineCount}\n`;
     }
     
     // Fix statistics (if fixes were applied)
     if (filesFixed > 0) {
-      summary += chalk.dim('─'.repeat(50)) + '\n';
-      summary += `${chalk.green('Files fixed:')} ${filesFixed}\n`;
-      summary += `${chalk.green('Patterns replaced:')} ${patternsReplaced}\n`;
+      summary += this.colors.dim('─'.repeat(50)) + '\n';
+      summary += `${this.colors.green('Files fixed:')} ${filesFixed}\n`;
+      summary += `${this.colors.green('Patterns replaced:')} ${patternsReplaced}\n`;
     }
     
     return summary;
@@ -181,7 +312,7 @@ class Formatter {
    * @returns {string} Formatted error string
    */
   formatError(error) {
-    return chalk.red(`✖ Error: ${error.message}`);
+    return this.colors.red(`✖ Error: ${error.message}`);
   }
 
   /**
@@ -190,7 +321,7 @@ class Formatter {
    * @returns {string} Formatted warning string
    */
   formatWarning(message) {
-    return chalk.yellow(`⚠ Warning: ${message}`);
+    return this.colors.yellow(`⚠ Warning: ${message}`);
   }
 
   /**
@@ -199,7 +330,7 @@ class Formatter {
    * @returns {string} Formatted info string
    */
   formatInfo(message) {
-    return chalk.blue(`ℹ ${message}`);
+    return this.colors.blue(`ℹ ${message}`);
   }
 
   /**
@@ -208,7 +339,7 @@ class Formatter {
    * @returns {string} Formatted success string
    */
   formatSuccess(message) {
-    return chalk.green(`✓ ${message}`);
+    return this.colors.green(`✓ ${message}`);
   }
 
   /**
@@ -222,7 +353,7 @@ class Formatter {
     const percentage = total > 0 ? Math.round((current / total) * 100) : 0;
     const progressBar = this.createProgressBar(current, total, 20);
     
-    return `${chalk.blue('⏳')} ${message} ${progressBar} ${percentage}% (${current}/${total})`;
+    return `${this.colors.blue('⏳')} ${message} ${progressBar} ${percentage}% (${current}/${total})`;
   }
 
   /**
@@ -238,7 +369,7 @@ class Formatter {
     const filled = Math.round((current / total) * width);
     const empty = width - filled;
     
-    return chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(empty));
+    return this.colors.green('█'.repeat(filled)) + this.colors.gray('░'.repeat(empty));
   }
 
   /**
@@ -302,7 +433,7 @@ class Formatter {
    */
   formatTable(data, columns) {
     if (!data || data.length === 0) {
-      return chalk.dim('No data to display');
+      return this.colors.dim('No data to display');
     }
 
     // Calculate column widths
@@ -316,13 +447,13 @@ class Formatter {
     
     // Header
     const headerRow = columns.map((col, i) => 
-      chalk.bold(col.header.padEnd(widths[i]))
+      this.colors.bold(col.header.padEnd(widths[i]))
     ).join(' │ ');
     table += headerRow + '\n';
     
     // Separator
     const separator = widths.map(width => '─'.repeat(width)).join('─┼─');
-    table += chalk.dim(separator) + '\n';
+    table += this.colors.dim(separator) + '\n';
     
     // Data rows
     for (const row of data) {
@@ -344,14 +475,14 @@ class Formatter {
    * @returns {string} Formatted help string
    */
   formatHelp(title, items) {
-    let help = chalk.bold.blue(title) + '\n';
+    let help = this.colors.bold.blue(title) + '\n';
     
     for (const item of items) {
       if (typeof item === 'string') {
         help += `  ${item}\n`;
       } else {
-        const command = chalk.green(item.command || '');
-        const description = chalk.dim(item.description || '');
+        const command = this.colors.green(item.command || '');
+        const description = this.colors.dim(item.description || '');
         help += `  ${command.padEnd(30)} ${description}\n`;
       }
     }
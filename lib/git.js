@@ -0,0 +1,227 @@
+const { execFile } = require('child_process');
+const path = require('path');
+
+// Tree object of an empty repository, for diffs before the first commit
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Git runs the git commands behind --git fixing and change detection in one
+ * repository
+ */
+class Git {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.root = null;
+  }
+
+  /**
+   * Run a git command
+   * @param {Array} args - Command arguments
+   * @returns {Promise<string>} Standard output
+   */
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', args, { cwd: this.cwd, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          const message = (stderr || '').trim() || error.message;
+          reject(new Error(`git ${args[0]} failed: ${message}`));
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  /**
+   * Get the top-level directory of the repository
+   * @returns {Promise<string>} Absolute repository root
+   */
+  async getRoot() {
+    if (!this.root) {
+      try {
+        this.root = path.resolve((await this.run(['rev-parse', '--show-toplevel'])).trim());
+      } catch (error) {
+        throw new Error(`Not a git repository: ${path.resolve(this.cwd)}`);
+      }
+    }
+    return this.root;
+  }
+
+  /**
+   * List uncommitted changes, including untracked files
+   * @returns {Promise<Array>} Lines of `git status --porcelain`
+   */
+  async getStatus() {
+    const output = await this.run(['status', '--porcelain']);
+    return output.split('\n').filter(Boolean);
+  }
+
+  /**
+   * Get the checked-out branch
+   * @returns {Promise<string|null>} Branch name, or null with a detached HEAD
+   */
+  async getCurrentBranch() {
+    const branch = (await this.run(['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+    return branch === 'HEAD' ? null : branch;
+  }
+
+  /**
+   * Get the commit HEAD points at
+   * @returns {Promise<string>} Commit SHA
+   */
+  async getHead() {
+    return (await this.run(['rev-parse', 'HEAD'])).trim();
+  }
+
+  /**
+   * Create a branch at HEAD and check it out
+   * @param {string} name - Branch name
+   * @returns {Promise<void>}
+   */
+  async createBranch(name) {
+    await this.run(['check-ref-format', '--branch', name]).catch(() => {
+      throw new Error(`Invalid branch name: ${name}`);
+    });
+    await this.run(['checkout', '-b', name]);
+  }
+
+  /**
+   * Check out an existing branch or commit, discarding working tree changes
+   * @param {string} ref - Branch name or commit
+   * @returns {Promise<void>}
+   */
+  async forceCheckout(ref) {
+    await this.run(['checkout', '--force', ref]);
+  }
+
+  /**
+   * Delete a branch
+   * @param {string} name - Branch name
+   * @returns {Promise<void>}
+   */
+  async deleteBranch(name) {
+    await this.run(['branch', '-D', name]);
+  }
+
+  /**
+   * Stash uncommitted changes, including untracked files
+   * @param {string} message - Stash message
+   * @returns {Promise<void>}
+   */
+  async stash(message) {
+    await this.run(['stash', 'push', '--include-untracked', '--message', message]);
+  }
+
+  /**
+   * Re-apply and drop the most recent stash
+   * @returns {Promise<void>}
+   */
+  async stashPop() {
+    await this.run(['stash', 'pop']);
+  }
+
+  /**
+   * Find files changed relative to a revision and the lines that changed in
+   * each. With `since`, changes are taken from the merge base of that
+   * revision and HEAD to the working tree, so a branch is compared with the
+   * point it forked from; untracked files count as entirely changed. With
+   * `staged`, only changes in the index are compared with HEAD.
+   * @param {Object} options - Change options
+   * @param {string} options.since - Revision to compare with
+   * @param {boolean} options.staged - Only consider staged changes
+   * @returns {Promise<Map>} Absolute path -> changed line ranges ({ start, end }), or null for whole files
+   */
+  async getChanges(options = {}) {
+    const root = await this.getRoot();
+    const changes = new Map();
+
+    let base;
+    if (options.staged) {
+      base = await this.run(['rev-parse', '--verify', '--quiet', 'HEAD']).then(head => head.trim(), () => EMPTY_TREE);
+    } else {
+      base = (await this.run(['merge-base', options.since, 'HEAD']).catch(() => {
+        throw new Error(`Unknown revision or no common history with HEAD: ${options.since}`);
+      })).trim();
+      // Otherwise files that were only touched show up without changes
+      await this.run(['update-index', '-q', '--refresh']).catch(() => {});
+    }
+
+    const output = await this.run([
+      'diff-index', '-p', '--unified=0', '--diff-filter=ACMRT',
+      ...(options.staged ? ['--cached'] : []),
+      base
+    ]);
+
+    let current = null;
+    for (const line of output.split('\n')) {
+      if (line.startsWith('+++ ')) {
+        // Paths with spaces get a trailing tab
+        const file = unquotePath(line.slice(4).replace(/\t$/, ''));
+        current = file === '/dev/null' ? null : path.join(root, file.replace(/^b\//, ''));
+        if (current) {
+          changes.set(current, []);
+        }
+        continue;
+      }
+
+      const hunk = current && /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/.exec(line);
+      if (hunk) {
+        const start = Number(hunk[1]);
+        const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+        if (count > 0) {
+          changes.get(current).push({ start, end: start + count - 1 });
+        }
+      }
+    }
+
+    if (!options.staged) {
+      const untracked = await this.run(['ls-files', '--others', '--exclude-standard', '--full-name', '-z', '--', ':/']);
+      untracked.split('\0').filter(Boolean).forEach(file => {
+        changes.set(path.join(root, file), null);
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Stage files and commit them
+   * @param {Array} filePaths - Files to commit
+   * @param {string} message - Commit message
+   * @returns {Promise<string>} SHA of the new commit
+   */
+  async commit(filePaths, message) {
+    await this.run(['add', '--', ...filePaths]);
+    await this.run(['commit', '--quiet', '--message', message, '--', ...filePaths]);
+    return this.getHead();
+  }
+}
+
+/**
+ * Undo the C-style quoting git applies to paths with special characters
+ * @param {string} text - Path as printed by git
+ * @returns {string} Path
+ */
+function unquotePath(text) {
+  if (!text.startsWith('"')) {
+    return text;
+  }
+
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+  const bytes = [];
+  const body = text.slice(1, -1);
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i]));
+    } else if (/[0-7]/.test(body[i + 1])) {
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[body[i + 1]]);
+      i += 1;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+module.exports = Git;
@@ -0,0 +1,407 @@
+const path = require('path');
+const Fixer = require('./fixer');
+const { version: toolVersion } = require('../package.json');
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; background: #f6f8fa; }
+  header { padding: 24px 32px; background: #24292f; color: #fff; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; color: #c9d1d9; }
+  main { padding: 24px 32px; }
+  section { margin-bottom: 32px; }
+  h2 { font-size: 18px; margin: 0 0 12px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 12px; }
+  .card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; }
+  .card .value { font-size: 26px; font-weight: 600; }
+  .card .label { color: #57606a; }
+  .card.error .value { color: #cf222e; }
+  .card.warning .value { color: #9a6700; }
+  .card.info .value { color: #0969da; }
+  .card.fixable .value { color: #1a7f37; }
+  .split { display: flex; height: 12px; border-radius: 6px; overflow: hidden; background: #d0d7de; margin-top: 12px; }
+  .split .fixable { background: #2da44e; }
+  .split .manual { background: #8c959f; }
+  .columns { display: grid; grid-template-columns: repeat(auto-fit, minmax(380px, 1fr)); gap: 24px; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d0d7de; }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  th { background: #f6f8fa; font-weight: 600; }
+  th.sortable { cursor: pointer; user-select: none; }
+  th.sortable::after { content: " \\2195"; color: #8c959f; }
+  td.num, th.num { text-align: right; }
+  .badge { display: inline-block; padding: 0 8px; border-radius: 10px; font-size: 12px; font-weight: 600; }
+  .badge.error { background: #ffebe9; color: #cf222e; }
+  .badge.warning { background: #fff8c5; color: #9a6700; }
+  .badge.info { background: #ddf4ff; color: #0969da; }
+  .badge.fixable { background: #dafbe1; color: #1a7f37; }
+  .badge.manual { background: #eaeef2; color: #57606a; }
+  .filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+  .filters input, .filters select { padding: 6px 8px; border: 1px solid #d0d7de; border-radius: 6px; font: inherit; }
+  .filters input { flex: 1; min-width: 200px; }
+  .location { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; }
+  tr.excerpt td { padding: 0 10px 10px; }
+  pre.code { margin: 0; padding: 8px 0; background: #f6f8fa; border: 1px solid #eaeef2; border-radius: 6px; overflow-x: auto; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+  pre.code .line { display: block; padding: 0 12px; white-space: pre; }
+  pre.code .line.hit { background: #fff8c5; }
+  pre.code .ln { display: inline-block; width: 4em; color: #8c959f; text-align: right; margin-right: 12px; }
+  pre.code mark { background: #ffd8b5; color: inherit; }
+  .replacement { margin-top: 6px; color: #1a7f37; }
+  .empty { color: #57606a; font-style: italic; }
+  footer { padding: 16px 32px; color: #57606a; font-size: 12px; }
+`;
+
+// Client-side sorting and filtering for the findings table
+const SCRIPT = `
+(function () {
+  var table = document.getElementById('findings');
+  if (!table) return;
+  var groups = Array.prototype.slice.call(table.querySelectorAll('tbody.finding'));
+  var search = document.getElementById('filter-text');
+  var severity = document.getElementById('filter-severity');
+  var fixable = document.getElementById('filter-fixable');
+  var count = document.getElementById('visible-count');
+  var severityRank = { error: 0, warning: 1, info: 2 };
+  var sortState = { key: null, dir: 1 };
+
+  function applyFilters() {
+    var text = search.value.toLowerCase();
+    var visible = 0;
+    groups.forEach(function (group) {
+      var show = (!text || group.getAttribute('data-search').indexOf(text) !== -1) &&
+        (!severity.value || group.getAttribute('data-severity') === severity.value) &&
+        (!fixable.value || group.getAttribute('data-fixable') === fixable.value);
+      group.style.display = show ? '' : 'none';
+      if (show) visible++;
+    });
+    count.textContent = visible + ' of ' + groups.length + ' findings';
+  }
+
+  function sortBy(key) {
+    sortState.dir = sortState.key === key ? -sortState.dir : 1;
+    sortState.key = key;
+    groups.sort(function (a, b) {
+      var av = a.getAttribute('data-' + key);
+      var bv = b.getAttribute('data-' + key);
+      var result;
+      if (key === 'severity') {
+        result = severityRank[av] - severityRank[bv];
+      } else if (key === 'line') {
+        result = Number(av) - Number(bv);
+      } else {
+        result = av.localeCompare(bv);
+      }
+      if (result === 0 && key !== 'file') {
+        result = a.getAttribute('data-file').localeCompare(b.getAttribute('data-file')) ||
+          Number(a.getAttribute('data-line')) - Number(b.getAttribute('data-line'));
+      }
+      return result * sortState.dir;
+    });
+    groups.forEach(function (group) { table.appendChild(group); });
+  }
+
+  Array.prototype.forEach.call(table.querySelectorAll('th[data-sort]'), function (th) {
+    th.addEventListener('click', function () { sortBy(th.getAttribute('data-sort')); });
+  });
+  [search, severity, fixable].forEach(function (input) {
+    input.addEventListener('input', applyFilters);
+    input.addEventListener('change', applyFilters);
+  });
+  applyFilters();
+})();
+`;
+
+/**
+ * HtmlReporter generates a single self-contained HTML migration report with
+ * summary cards, breakdowns and a sortable, filterable findings table
+ */
+class HtmlReporter {
+  constructor(options = {}) {
+    this.options = {
+      title: options.title || 'Code Migration Report',
+      contextLines: options.contextLines === undefined ? 2 : options.contextLines,
+      ...options
+    };
+  }
+
+  /**
+   * Generate the HTML report. Code excerpts are built from the sources as
+   * they were scanned; files without a source are reported without an excerpt.
+   * @param {Object} report - Scan report data
+   * @param {Array} report.findings - Findings from the rule engine
+   * @param {Object} report.statistics - Statistics from calculateStatistics
+   * @param {Map} [report.sources] - File path to content at scan time (null if unreadable)
+   * @param {string} report.targetPath - Scanned directory
+   * @returns {string} HTML document
+   */
+  generate(report) {
+    const { findings = [], statistics = {}, targetPath = '' } = report;
+    const sources = report.sources || new Map();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(this.options.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${this.escapeHtml(this.options.title)}</h1>
+  <p>${this.escapeHtml(path.resolve(targetPath))} &middot; generated ${this.escapeHtml(new Date().toISOString())}</p>
+</header>
+<main>
+${this.renderSummary(findings, statistics)}
+<div class="columns">
+${this.renderRuleBreakdown(findings)}
+${this.renderDirectoryBreakdown(findings, targetPath)}
+</div>
+${this.renderFindings(findings, targetPath, sources)}
+</main>
+<footer>code-migration-cli ${this.escapeHtml(toolVersion)}</footer>
+<script>${SCRIPT}</script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render the summary cards and fixable-vs-manual split
+   * @param {Array} findings - Findings from the rule engine
+   * @param {Object} statistics - Statistics from calculateStatistics
+   * @returns {string} HTML section
+   */
+  renderSummary(findings, statistics) {
+    const {
+      filesScanned = 0,
+      issuesFound = findings.length,
+      errorCount = 0,
+      warningCount = 0,
+      infoCount = 0,
+      fixableCount = 0,
+      scanTime = 0
+    } = statistics;
+    const manualCount = issuesFound - fixableCount;
+    const fixablePercent = issuesFound > 0 ? Math.round((fixableCount / issuesFound) * 100) : 0;
+
+    const cards = [
+      { label: 'Files scanned', value: filesScanned },
+      { label: 'Total issues', value: issuesFound },
+      { label: 'Errors', value: errorCount, className: 'error' },
+      { label: 'Warnings', value: warningCount, className: 'warning' },
+      { label: 'Info', value: infoCount, className: 'info' },
+      { label: 'Fixable', value: fixableCount, className: 'fixable' },
+      { label: 'Manual', value: manualCount },
+      { label: 'Scan time', value: this.formatDuration(scanTime) }
+    ];
+
+    return `<section>
+  <h2>Summary</h2>
+  <div class="cards">
+${cards.map(card => `    <div class="card ${card.className || ''}"><div class="value">${this.escapeHtml(card.value)}</div><div class="label">${card.label}</div></div>`).join('\n')}
+  </div>
+  <div class="split" title="${fixablePercent}% fixable automatically">
+    <div class="fixable" style="width: ${fixablePercent}%"></div>
+    <div class="manual" style="width: ${issuesFound > 0 ? 100 - fixablePercent : 0}%"></div>
+  </div>
+  <p>${fixableCount} fixable automatically with <code>--fix</code>, ${manualCount} need manual changes.</p>
+</section>`;
+  }
+
+  /**
+   * Render the per-rule breakdown table
+   * @param {Array} findings - Findings from the rule engine
+   * @returns {string} HTML section
+   */
+  renderRuleBreakdown(findings) {
+    const rules = new Map();
+    for (const finding of findings) {
+      if (!rules.has(finding.ruleId)) {
+        rules.set(finding.ruleId, { ruleId: finding.ruleId, ruleName: finding.ruleName, severity: finding.severity, total: 0, fixable: 0 });
+      }
+      const entry = rules.get(finding.ruleId);
+      entry.total++;
+      if (finding.fixable) entry.fixable++;
+    }
+
+    const rows = Array.from(rules.values())
+      .sort((a, b) => b.total - a.total || a.ruleId.localeCompare(b.ruleId))
+      .map(entry => `      <tr><td><strong>${this.escapeHtml(entry.ruleId)}</strong><br>${this.escapeHtml(entry.ruleName)}</td><td>${this.renderSeverity(entry.severity)}</td><td class="num">${entry.total}</td><td class="num">${entry.fixable}</td><td class="num">${entry.total - entry.fixable}</td></tr>`);
+
+    return `<section>
+  <h2>By rule</h2>
+  <table>
+    <thead><tr><th>Rule</th><th>Severity</th><th class="num">Issues</th><th class="num">Fixable</th><th class="num">Manual</th></tr></thead>
+    <tbody>
+${rows.length > 0 ? rows.join('\n') : '      <tr><td colspan="5" class="empty">No issues found</td></tr>'}
+    </tbody>
+  </table>
+</section>`;
+  }
+
+  /**
+   * Render the per-directory breakdown table
+   * @param {Array} findings - Findings from the rule engine
+   * @param {string} basePath - Base path for relative directories
+   * @returns {string} HTML section
+   */
+  renderDirectoryBreakdown(findings, basePath) {
+    const directories = new Map();
+    for (const finding of findings) {
+      const directory = path.posix.dirname(this.relativePath(finding.filePath, basePath));
+      if (!directories.has(directory)) {
+        directories.set(directory, { directory, total: 0, error: 0, warning: 0, info: 0, fixable: 0 });
+      }
+      const entry = directories.get(directory);
+      entry.total++;
+      if (entry[finding.severity] !== undefined) entry[finding.severity]++;
+      if (finding.fixable) entry.fixable++;
+    }
+
+    const rows = Array.from(directories.values())
+      .sort((a, b) => b.total - a.total || a.directory.localeCompare(b.directory))
+      .map(entry => `      <tr><td class="location">${this.escapeHtml(entry.directory)}</td><td class="num">${entry.total}</td><td class="num">${entry.error}</td><td class="num">${entry.warning}</td><td class="num">${entry.info}</td><td class="num">${entry.fixable}</td></tr>`);
+
+    return `<section>
+  <h2>By directory</h2>
+  <table>
+    <thead><tr><th>Directory</th><th class="num">Issues</th><th class="num">Errors</th><th class="num">Warnings</th><th class="num">Info</th><th class="num">Fixable</th></tr></thead>
+    <tbody>
+${rows.length > 0 ? rows.join('\n') : '      <tr><td colspan="6" class="empty">No issues found</td></tr>'}
+    </tbody>
+  </table>
+</section>`;
+  }
+
+  /**
+   * Render the sortable, filterable findings table with code excerpts
+   * @param {Array} findings - Findings from the rule engine
+   * @param {string} basePath - Base path for relative file paths
+   * @param {Map} sources - File path to content (or null if unreadable)
+   * @returns {string} HTML section
+   */
+  renderFindings(findings, basePath, sources) {
+    const groups = findings.map(finding => {
+      const relativePath = this.relativePath(finding.filePath, basePath);
+      const fixable = finding.fixable ? 'fixable' : 'manual';
+      const searchText = [finding.ruleId, finding.ruleName, relativePath, finding.description, finding.matchedText]
+        .join(' ')
+        .toLowerCase();
+      const excerpt = this.renderExcerpt(sources.get(finding.filePath), finding);
+      const replacementText = Fixer.getReplacementText(finding);
+      const replacement = finding.fixable && replacementText !== null
+        ? `<div class="replacement">Suggested replacement: <code>${this.escapeHtml(replacementText)}</code></div>`
+        : '';
+
+      return `    <tbody class="finding" data-severity="${finding.severity}" data-rule="${this.escapeHtml(finding.ruleId)}" data-file="${this.escapeHtml(relativePath)}" data-line="${finding.lineNumber}" data-fixable="${fixable}" data-search="${this.escapeHtml(searchText)}">
+      <tr><td>${this.renderSeverity(finding.severity)}</td><td>${this.escapeHtml(finding.ruleId)}</td><td class="location">${this.escapeHtml(relativePath)}:${finding.lineNumber}:${finding.columnNumber}</td><td>${this.escapeHtml(finding.description)}</td><td><span class="badge ${fixable}">${fixable}</span></td></tr>
+      <tr class="excerpt"><td colspan="5">${excerpt}${replacement}</td></tr>
+    </tbody>`;
+    });
+
+    return `<section>
+  <h2>Findings</h2>
+  <div class="filters">
+    <input id="filter-text" type="search" placeholder="Filter by rule, file or message">
+    <select id="filter-severity"><option value="">All severities</option><option value="error">Errors</option><option value="warning">Warnings</option><option value="info">Info</option></select>
+    <select id="filter-fixable"><option value="">Fixable and manual</option><option value="fixable">Fixable only</option><option value="manual">Manual only</option></select>
+    <span id="visible-count"></span>
+  </div>
+  <table id="findings">
+    <thead><tr><th class="sortable" data-sort="severity">Severity</th><th class="sortable" data-sort="rule">Rule</th><th class="sortable" data-sort="file">Location</th><th>Message</th><th class="sortable" data-sort="fixable">Fix</th></tr></thead>
+${groups.length > 0 ? groups.join('\n') : '    <tbody><tr><td colspan="5" class="empty">No issues found</td></tr></tbody>'}
+  </table>
+</section>`;
+  }
+
+  /**
+   * Render the code excerpt around a finding with the match highlighted
+   * @param {string|null} content - Source file content
+   * @param {Object} finding - Finding from the rule engine
+   * @returns {string} HTML excerpt
+   */
+  renderExcerpt(content, finding) {
+    if (typeof content !== 'string') {
+      return `<pre class="code"><span class="line">${this.escapeHtml(finding.matchedText)}</span></pre>`;
+    }
+
+    const lines = content.split('\n');
+    const matchedLines = finding.matchedText.split('\n');
+    const startLine = finding.lineNumber;
+    const endLine = startLine + matchedLines.length - 1;
+    const from = Math.max(1, startLine - this.options.contextLines);
+    const to = Math.min(lines.length, endLine + this.options.contextLines);
+
+    const rendered = [];
+    for (let lineNumber = from; lineNumber <= to; lineNumber++) {
+      const text = (lines[lineNumber - 1] || '').replace(/\r$/, '');
+      let html = this.escapeHtml(text);
+
+      if (lineNumber >= startLine && lineNumber <= endLine) {
+        const markStart = lineNumber === startLine ? finding.columnNumber - 1 : 0;
+        const markEnd = lineNumber === endLine
+          ? (lineNumber === startLine ? markStart : 0) + matchedLines[matchedLines.length - 1].length
+          : text.length;
+        html = this.escapeHtml(text.substring(0, markStart)) +
+          `<mark>${this.escapeHtml(text.substring(markStart, markEnd))}</mark>` +
+          this.escapeHtml(text.substring(markEnd));
+      }
+
+      const hit = lineNumber >= startLine && lineNumber <= endLine ? ' hit' : '';
+      rendered.push(`<span class="line${hit}"><span class="ln">${lineNumber}</span>${html}</span>`);
+    }
+
+    return `<pre class="code">${rendered.join('')}</pre>`;
+  }
+
+  /**
+   * Render a severity badge
+   * @param {string} severity - Rule severity
+   * @returns {string} HTML badge
+   */
+  renderSeverity(severity) {
+    return `<span class="badge ${this.escapeHtml(severity)}">${this.escapeHtml(severity)}</span>`;
+  }
+
+  /**
+   * Format duration in human-readable format
+   * @param {number} milliseconds - Duration in milliseconds
+   * @returns {string} Formatted duration
+   */
+  formatDuration(milliseconds) {
+    if (milliseconds < 1000) {
+      return `${milliseconds}ms`;
+    } else if (milliseconds < 60000) {
+      return `${(milliseconds / 1000).toFixed(1)}s`;
+    }
+    const minutes = Math.floor(milliseconds / 60000);
+    const seconds = ((milliseconds % 60000) / 1000).toFixed(1);
+    return `${minutes}m ${seconds}s`;
+  }
+
+  /**
+   * Get a forward-slash path relative to the base path
+   * @param {string} filePath - File path
+   * @param {string} basePath - Base directory path
+   * @returns {string} Relative path
+   */
+  relativePath(filePath, basePath) {
+    const relative = basePath ? path.relative(basePath, filePath) : filePath;
+    return relative.split(path.sep).join('/');
+  }
+
+  /**
+   * Escape text for safe inclusion in HTML content and attributes
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = HtmlReporter;
@@ -0,0 +1,277 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Ignore files read in every directory, in increasing order of precedence
+ */
+const IGNORE_FILES = ['.gitignore', '.codemigrateignore'];
+
+/**
+ * IgnoreMatcher decides which files are excluded by .gitignore and
+ * .codemigrateignore files and by patterns from the configuration, all with
+ * gitignore semantics. Ignore files are read lazily, once per directory,
+ * from the repository root (or the scan root outside a repository) down.
+ *
+ * Later rules win: configuration patterns come first, then ignore files from
+ * the outermost directory inwards, with .codemigrateignore after .gitignore
+ * in each directory. As in git, a file inside an excluded directory cannot
+ * be re-included by a negated pattern.
+ */
+class IgnoreMatcher {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.useIgnoreFiles = options.useIgnoreFiles !== false;
+    this.topDir = this.useIgnoreFiles ? this.findRepositoryRoot(this.root) : this.root;
+    this.configRules = [
+      ...parsePatterns(options.patterns || [], this.root, options.patternsSource || 'ignorePatterns'),
+      // Pattern sets ({ patterns, base, source }) are relative to their own directory
+      ...(options.patternSets || []).flatMap(set => parsePatterns(set.patterns, path.resolve(set.base), set.source))
+    ];
+
+    this.rulesByDir = new Map(); // dir -> rules from its ignore files
+    this.dirDecisions = new Map(); // dir -> excluding rule or null
+  }
+
+  /**
+   * Check whether a file is excluded
+   * @param {string} filePath - Path to a file under the root
+   * @returns {Object|null} Rule that excludes the file ({ pattern, source, line }), or null
+   */
+  check(filePath) {
+    const absolute = path.resolve(filePath);
+    const parent = path.dirname(absolute);
+    const excludedParent = this.isInside(parent, this.root) && parent !== this.root
+      ? this.checkDirectory(parent)
+      : null;
+    return excludedParent || this.match(absolute, false);
+  }
+
+  /**
+   * Check whether a directory below the root is excluded, itself or through a parent
+   * @param {string} dir - Absolute directory path
+   * @returns {Object|null} Excluding rule, or null
+   */
+  checkDirectory(dir) {
+    if (!this.dirDecisions.has(dir)) {
+      const parent = path.dirname(dir);
+      const excludedParent = parent !== this.root && this.isInside(parent, this.root)
+        ? this.checkDirectory(parent)
+        : null;
+      this.dirDecisions.set(dir, excludedParent || this.match(dir, true));
+    }
+    return this.dirDecisions.get(dir);
+  }
+
+  /**
+   * Find the last rule matching a path
+   * @param {string} target - Absolute path
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {Object|null} Excluding rule, or null if not excluded
+   */
+  match(target, isDirectory) {
+    const rules = [...this.configRules];
+    for (const dir of this.getDirectories(path.dirname(target))) {
+      rules.push(...this.getRules(dir));
+    }
+
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const rule = rules[i];
+      if (rule.dirOnly && !isDirectory) {
+        continue;
+      }
+      const relative = path.relative(rule.base, target).split(path.sep).join('/');
+      if (relative.startsWith('..') || !rule.regex.test(relative)) {
+        continue;
+      }
+      return rule.negate ? null : rule;
+    }
+    return null;
+  }
+
+  /**
+   * List directories whose ignore files apply to a directory, outermost first
+   * @param {string} dir - Absolute directory path
+   * @returns {Array} Directories from the top directory down to dir
+   */
+  getDirectories(dir) {
+    if (!this.useIgnoreFiles || !this.isInside(dir, this.topDir)) {
+      return [];
+    }
+    const dirs = [];
+    let current = dir;
+    for (;;) {
+      dirs.unshift(current);
+      if (current === this.topDir) {
+        return dirs;
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Read the ignore files of one directory
+   * @param {string} dir - Absolute directory path
+   * @returns {Array} Parsed rules
+   */
+  getRules(dir) {
+    if (!this.rulesByDir.has(dir)) {
+      const rules = [];
+      for (const name of IGNORE_FILES) {
+        const filePath = path.join(dir, name);
+        let content;
+        try {
+          content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+          continue; // No ignore file here
+        }
+        rules.push(...parsePatterns(content.split('\n'), dir, filePath));
+      }
+      this.rulesByDir.set(dir, rules);
+    }
+    return this.rulesByDir.get(dir);
+  }
+
+  /**
+   * Find the enclosing git repository, whose ignore files apply above the root
+   * @param {string} start - Directory to start from
+   * @returns {string} Repository root, or start outside a repository
+   */
+  findRepositoryRoot(start) {
+    let current = start;
+    for (;;) {
+      if (fs.existsSync(path.join(current, '.git'))) {
+        return current;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return start;
+      }
+      current = parent;
+    }
+  }
+
+  /**
+   * Check whether a path is a directory or inside it
+   * @param {string} target - Absolute path
+   * @param {string} dir - Absolute directory path
+   * @returns {boolean} True if target is dir or below it
+   */
+  isInside(target, dir) {
+    const relative = path.relative(dir, target);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+}
+
+/**
+ * Parse gitignore lines into rules
+ * @param {Array} lines - Pattern lines
+ * @param {string} base - Directory the patterns are relative to
+ * @param {string} source - Where the patterns came from, for explanations
+ * @returns {Array} Rules with regex, negate and dirOnly flags
+ */
+function parsePatterns(lines, base, source) {
+  const rules = [];
+  lines.forEach((text, index) => {
+    const rule = parsePattern(text);
+    if (rule) {
+      rules.push({ ...rule, base, source, line: index + 1 });
+    }
+  });
+  return rules;
+}
+
+/**
+ * Parse one gitignore line
+ * @param {string} text - Line from an ignore file
+ * @returns {Object|null} Rule without location, or null for blank lines and comments
+ */
+function parsePattern(text) {
+  // Trailing spaces are dropped unless escaped with a backslash
+  let line = text.replace(/\r$/, '').replace(/(?<!\\) +$/, '');
+  if (!line || line.startsWith('#')) {
+    return null;
+  }
+
+  const pattern = line;
+  let negate = false;
+  if (line.startsWith('!')) {
+    negate = true;
+    line = line.slice(1);
+  }
+
+  let dirOnly = false;
+  if (line.endsWith('/')) {
+    dirOnly = true;
+    line = line.slice(0, -1);
+  }
+
+  // A slash anywhere but the end anchors the pattern to its directory
+  const anchored = line.includes('/');
+  if (line.startsWith('/')) {
+    line = line.slice(1);
+  }
+  if (!line) {
+    return null;
+  }
+
+  const body = globToRegex(line);
+  return {
+    pattern,
+    negate,
+    dirOnly,
+    regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`)
+  };
+}
+
+/**
+ * Translate gitignore glob syntax to a regular expression body
+ * @param {string} glob - Pattern without negation, anchoring or trailing slash
+ * @returns {string} Regular expression source
+ */
+function globToRegex(glob) {
+  let regex = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') &&
+        (i + 2 === glob.length || glob[i + 2] === '/')) {
+      if (i + 2 === glob.length) {
+        regex += '.+'; // Trailing "/**" matches everything inside
+      } else {
+        regex += '(?:.*/)?'; // "**/" matches zero or more directories
+        i++;
+      }
+      i++;
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      if (set.startsWith('!')) {
+        set = '^' + set.slice(1);
+      }
+      regex += `[${set}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      regex += escapeRegex(glob[++i]);
+    } else {
+      regex += escapeRegex(char);
+    }
+  }
+  return regex;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+IgnoreMatcher.IGNORE_FILES = IGNORE_FILES;
+
+module.exports = IgnoreMatcher;
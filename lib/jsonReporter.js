@@ -0,0 +1,129 @@
+const path = require('path');
+const Fixer = require('./fixer');
+const { version: toolVersion } = require('../package.json');
+
+/**
+ * Version of the JSON report document. Bump the major version for any
+ * change that removes or renames fields.
+ */
+const REPORT_VERSION = '1.0';
+
+/**
+ * JsonReporter builds a stable, versioned JSON document from scan results
+ */
+class JsonReporter {
+  constructor(options = {}) {
+    this.options = {
+      indent: options.indent === undefined ? 2 : options.indent,
+      ...options
+    };
+  }
+
+  /**
+   * Generate the JSON report
+   * @param {Object} report - Scan report data
+   * @param {Array} report.findings - Findings from the rule engine
+   * @param {Object} report.statistics - Statistics from calculateStatistics
+   * @param {Object} report.errorSummary - Summary from ErrorHandler.getErrorSummary
+   * @param {Object|null} report.fixResults - Results from Fixer.applyFixes
+   * @param {string} report.targetPath - Scanned directory
+   * @returns {string} JSON document
+   */
+  generate(report) {
+    return JSON.stringify(this.buildDocument(report), null, this.options.indent);
+  }
+
+  /**
+   * Build the report document object
+   * @param {Object} report - Scan report data
+   * @returns {Object} Report document
+   */
+  buildDocument(report) {
+    const { findings = [], statistics = {}, errorSummary = null, fixResults = null, targetPath = '' } = report;
+
+    // The error summary gets its own top-level section
+    const stats = { ...statistics };
+    delete stats.errorSummary;
+
+    return {
+      version: REPORT_VERSION,
+      tool: {
+        name: 'code-migration-cli',
+        version: toolVersion
+      },
+      generatedAt: new Date().toISOString(),
+      targetPath: path.resolve(targetPath),
+      findings: findings.map(finding => this.formatFinding(finding, targetPath)),
+      statistics: stats,
+      errorSummary,
+      fixResults: fixResults ? this.formatFixResults(fixResults, targetPath) : null
+    };
+  }
+
+  /**
+   * Convert a finding to its report representation
+   * @param {Object} finding - Finding from the rule engine
+   * @param {string} basePath - Base path for relative file paths
+   * @returns {Object} Report finding
+   */
+  formatFinding(finding, basePath) {
+    return {
+      ruleId: finding.ruleId,
+      ruleName: finding.ruleName,
+      severity: finding.severity,
+      file: this.relativePath(finding.filePath, basePath),
+      line: finding.lineNumber,
+      column: finding.columnNumber,
+      startOffset: finding.startOffset === undefined ? null : finding.startOffset,
+      endOffset: finding.endOffset === undefined ? null : finding.endOffset,
+      match: finding.matchedText,
+      fixable: Boolean(finding.fixable),
+      suggestedReplacement: finding.fixable ? Fixer.getReplacementText(finding) : null,
+      message: finding.description
+    };
+  }
+
+  /**
+   * Convert fix results to their report representation
+   * @param {Object} fixResults - Results from Fixer.applyFixes
+   * @param {string} basePath - Base path for relative file paths
+   * @returns {Object} Report fix results
+   */
+  formatFixResults(fixResults, basePath) {
+    return {
+      dryRun: Boolean(fixResults.dryRun),
+      filesProcessed: fixResults.filesProcessed,
+      filesFixed: fixResults.filesFixed,
+      patternsReplaced: fixResults.patternsReplaced,
+      fixedFiles: (fixResults.fixedFiles || []).map(filePath => this.relativePath(filePath, basePath)),
+      backupsCreated: (fixResults.backupsCreated || []).length,
+      conflicts: (fixResults.conflicts || []).map(conflict => ({
+        ruleId: conflict.finding.ruleId,
+        file: this.relativePath(conflict.finding.filePath, basePath),
+        line: conflict.finding.lineNumber,
+        column: conflict.finding.columnNumber,
+        reason: conflict.reason,
+        message: conflict.message
+      })),
+      errors: (fixResults.errors || []).map(error => ({
+        file: this.relativePath(error.filePath, basePath),
+        message: error.error
+      }))
+    };
+  }
+
+  /**
+   * Get a forward-slash path relative to the base path
+   * @param {string} filePath - File path
+   * @param {string} basePath - Base directory path
+   * @returns {string} Relative path
+   */
+  relativePath(filePath, basePath) {
+    const relative = basePath ? path.relative(basePath, filePath) : filePath;
+    return relative.split(path.sep).join('/');
+  }
+}
+
+JsonReporter.REPORT_VERSION = REPORT_VERSION;
+
+module.exports = JsonReporter;
@@ -0,0 +1,181 @@
+const path = require('path');
+const { escapeXml } = require('./xml');
+
+/**
+ * JunitReporter renders findings as a JUnit XML test report so CI systems
+ * such as Jenkins and GitLab can display them as failing test cases
+ */
+class JunitReporter {
+  constructor(options = {}) {
+    this.options = {
+      groupBy: options.groupBy || 'file', // 'file' or 'rule'
+      suiteName: options.suiteName || 'code-migration-cli',
+      ...options
+    };
+
+    if (!['file', 'rule'].includes(this.options.groupBy)) {
+      throw new Error(`Invalid JUnit grouping "${this.options.groupBy}": must be one of: file, rule`);
+    }
+  }
+
+  /**
+   * Generate the JUnit XML report
+   * @param {Object} report - Scan report data
+   * @param {Array} report.findings - Findings from the rule engine
+   * @param {Array} report.rules - Rules loaded by the rule engine
+   * @param {Array} report.files - Files that were scanned
+   * @param {Object} report.statistics - Statistics from calculateStatistics
+   * @param {string} report.targetPath - Scanned directory
+   * @returns {string} JUnit XML document
+   */
+  generate(report) {
+    const { findings = [], statistics = {}, targetPath = '' } = report;
+    const suites = this.options.groupBy === 'rule'
+      ? this.groupByRule(report)
+      : this.groupByFile(report);
+
+    const totalTests = suites.reduce((sum, suite) => sum + suite.testCases.length, 0);
+    const time = this.formatTime(statistics.scanTime);
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += `<testsuites name="${escapeXml(this.options.suiteName)}" tests="${totalTests}" failures="${findings.length}" errors="0" time="${time}">\n`;
+
+    for (const suite of suites) {
+      const failures = suite.testCases.filter(testCase => testCase.finding).length;
+      xml += `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.testCases.length}" failures="${failures}" errors="0" skipped="0">\n`;
+
+      for (const testCase of suite.testCases) {
+        xml += this.formatTestCase(testCase, targetPath);
+      }
+
+      xml += '  </testsuite>\n';
+    }
+
+    xml += '</testsuites>';
+    return xml;
+  }
+
+  /**
+   * Build one suite per scanned file with a failing case per finding
+   * @param {Object} report - Scan report data
+   * @returns {Array} Suites with test cases
+   */
+  groupByFile(report) {
+    const { findings = [], files = [], targetPath = '' } = report;
+    const suites = new Map();
+
+    for (const filePath of files) {
+      suites.set(filePath, []);
+    }
+    for (const finding of findings) {
+      if (!suites.has(finding.filePath)) {
+        suites.set(finding.filePath, []);
+      }
+      suites.get(finding.filePath).push(finding);
+    }
+
+    return Array.from(suites.entries()).map(([filePath, fileFindings]) => {
+      const name = this.relativePath(filePath, targetPath);
+      const testCases = fileFindings.map(finding => ({
+        name: `${finding.ruleId} at ${finding.lineNumber}:${finding.columnNumber}`,
+        classname: name,
+        finding
+      }));
+
+      // Files without findings still show up as a passing test
+      if (testCases.length === 0) {
+        testCases.push({ name: 'no issues', classname: name, finding: null });
+      }
+
+      return { name, testCases };
+    });
+  }
+
+  /**
+   * Build one suite per loaded rule with a failing case per finding
+   * @param {Object} report - Scan report data
+   * @returns {Array} Suites with test cases
+   */
+  groupByRule(report) {
+    const { findings = [], rules = [], targetPath = '' } = report;
+    const suites = new Map();
+
+    for (const rule of rules) {
+      suites.set(rule.id, []);
+    }
+    for (const finding of findings) {
+      if (!suites.has(finding.ruleId)) {
+        suites.set(finding.ruleId, []);
+      }
+      suites.get(finding.ruleId).push(finding);
+    }
+
+    return Array.from(suites.entries()).map(([ruleId, ruleFindings]) => {
+      const testCases = ruleFindings.map(finding => {
+        const location = `${this.relativePath(finding.filePath, targetPath)}:${finding.lineNumber}:${finding.columnNumber}`;
+        return { name: location, classname: ruleId, finding };
+      });
+
+      // Rules without findings still show up as a passing test
+      if (testCases.length === 0) {
+        testCases.push({ name: 'no issues', classname: ruleId, finding: null });
+      }
+
+      return { name: ruleId, testCases };
+    });
+  }
+
+  /**
+   * Render a single test case
+   * @param {Object} testCase - Test case with optional failing finding
+   * @param {string} basePath - Base path for relative file paths
+   * @returns {string} testcase element
+   */
+  formatTestCase(testCase, basePath) {
+    const { finding } = testCase;
+    const attributes = `name="${escapeXml(testCase.name)}" classname="${escapeXml(testCase.classname)}" time="0"`;
+
+    if (!finding) {
+      return `    <testcase ${attributes} />\n`;
+    }
+
+    const relativePath = this.relativePath(finding.filePath, basePath);
+    const details = [
+      `${finding.ruleName} [${finding.ruleId}]`,
+      `${relativePath}:${finding.lineNumber}:${finding.columnNumber}`,
+      `Matched: ${finding.matchedText}`
+    ];
+    if (finding.fixable) {
+      details.push('Fixable: run with --fix to apply the replacement');
+    }
+
+    let xml = `    <testcase ${attributes} file="${escapeXml(relativePath)}" line="${finding.lineNumber}">\n`;
+    xml += `      <failure message="${escapeXml(finding.description)}" type="${escapeXml(finding.severity)}">`;
+    xml += escapeXml(details.join('\n'));
+    xml += '</failure>\n';
+    xml += '    </testcase>\n';
+    return xml;
+  }
+
+  /**
+   * Format milliseconds as seconds for the time attribute
+   * @param {number} milliseconds - Duration in milliseconds
+   * @returns {string} Seconds with millisecond precision
+   */
+  formatTime(milliseconds = 0) {
+    return (milliseconds / 1000).toFixed(3);
+  }
+
+  /**
+   * Get a forward-slash path relative to the base path
+   * @param {string} filePath - File path
+   * @param {string} basePath - Base directory path
+   * @returns {string} Relative path
+   */
+  relativePath(filePath, basePath) {
+    const relative = basePath ? path.relative(basePath, filePath) : filePath;
+    return relative.split(path.sep).join('/');
+  }
+}
+
+module.exports = JunitReporter;
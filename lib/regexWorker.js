@@ -0,0 +1,55 @@
+const { parentPort } = require('worker_threads');
+
+/**
+ * Collect all matches of a global regex in content
+ * @param {RegExp} regex - Compiled regex with the global flag
+ * @param {string} content - Content to search
+ * @param {number} maxIterations - Maximum number of matches before giving up
+ * @returns {Array} Array of serializable match objects
+ */
+function collectMatches(regex, content, maxIterations = 10000) {
+  const matches = [];
+  let match;
+
+  regex.lastIndex = 0;
+  while ((match = regex.exec(content)) !== null) {
+    // Safety check for too many iterations
+    if (matches.length >= maxIterations) {
+      throw new Error(`Too many regex matches (${maxIterations}+) - possible infinite loop`);
+    }
+
+    matches.push({
+      index: match.index,
+      groups: Array.from(match),
+      namedGroups: match.groups ? { ...match.groups } : null
+    });
+
+    // Prevent infinite loops with zero-width matches
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+    }
+  }
+
+  return matches;
+}
+
+// When loaded as a worker thread, serve match requests from the pool
+if (parentPort) {
+  const compiledPatterns = new Map();
+
+  parentPort.on('message', ({ id, pattern, flags, content, maxIterations }) => {
+    try {
+      const key = `${flags}/${pattern}`;
+      if (!compiledPatterns.has(key)) {
+        compiledPatterns.set(key, new RegExp(pattern, flags));
+      }
+
+      const matches = collectMatches(compiledPatterns.get(key), content, maxIterations);
+      parentPort.postMessage({ id, matches });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = { collectMatches };
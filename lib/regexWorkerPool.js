@@ -0,0 +1,159 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'regexWorker.js');
+
+/**
+ * RegexWorkerPool runs regex matching in worker threads so that a
+ * catastrophic-backtracking pattern can be terminated when it exceeds its
+ * time budget instead of blocking the event loop
+ */
+class RegexWorkerPool {
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || os.cpus().length);
+    this.workers = new Set(); // All live workers
+    this.idleWorkers = []; // Workers waiting for a task
+    this.queue = []; // Tasks waiting for a worker
+    this.nextTaskId = 1;
+  }
+
+  /**
+   * Find all matches of a pattern in content using a worker thread
+   * @param {Object} job - Match job
+   * @param {string} job.pattern - Regex source
+   * @param {string} job.flags - Regex flags (must include "g")
+   * @param {string} job.content - Content to search
+   * @param {number} job.maxIterations - Maximum number of matches
+   * @param {number} timeoutMs - Time budget before the worker is terminated
+   * @returns {Promise<Array>} Serializable match objects
+   */
+  exec(job, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskId++, job, timeoutMs, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, spawning workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idleWorkers.pop();
+      if (!worker) {
+        if (this.workers.size >= this.size) {
+          return;
+        }
+        worker = this.createWorker();
+      }
+      this.runTask(worker, this.queue.shift());
+    }
+  }
+
+  /**
+   * Start a task on a worker and arm its timeout
+   * @param {Worker} worker - Idle worker
+   * @param {Object} task - Queued task
+   */
+  runTask(worker, task) {
+    worker.currentTask = task;
+    worker.ref(); // Keep the process alive while a task is running
+
+    task.timer = setTimeout(() => {
+      this.discardWorker(worker);
+      task.reject(new Error(`Regex operation timed out after ${task.timeoutMs}ms`));
+      this.dispatch();
+    }, task.timeoutMs);
+
+    worker.postMessage({ id: task.id, ...task.job });
+  }
+
+  /**
+   * Spawn a new worker and wire up its result handlers
+   * @returns {Worker} New worker
+   */
+  createWorker() {
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.currentTask = null;
+    worker.unref();
+
+    worker.on('message', (message) => {
+      const task = worker.currentTask;
+      if (!task || task.id !== message.id) {
+        return;
+      }
+
+      clearTimeout(task.timer);
+      worker.currentTask = null;
+      worker.unref();
+      this.idleWorkers.push(worker);
+
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(message.matches);
+      }
+      this.dispatch();
+    });
+
+    worker.on('error', (error) => {
+      const task = worker.currentTask;
+      this.discardWorker(worker);
+      if (task) {
+        task.reject(error);
+      }
+      this.dispatch();
+    });
+
+    // A worker can die without an error event; fail its task instead of leaving the scan waiting
+    worker.on('exit', (code) => {
+      if (!this.workers.has(worker)) {
+        return; // Discarded by the pool
+      }
+      const task = worker.currentTask;
+      this.discardWorker(worker);
+      if (task) {
+        task.reject(new Error(`Regex worker exited unexpectedly with code ${code}`));
+      }
+      this.dispatch();
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * Terminate a worker and remove it from the pool
+   * @param {Worker} worker - Worker to discard
+   * @returns {Promise<number>} Resolves when the worker has exited
+   */
+  discardWorker(worker) {
+    if (worker.currentTask) {
+      clearTimeout(worker.currentTask.timer);
+      worker.currentTask = null;
+    }
+    this.workers.delete(worker);
+    this.idleWorkers = this.idleWorkers.filter(idle => idle !== worker);
+    return worker.terminate();
+  }
+
+  /**
+   * Terminate all workers and reject any queued tasks
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const pending = this.queue.splice(0);
+    pending.forEach(task => task.reject(new Error('Regex worker pool was closed')));
+
+    const workers = Array.from(this.workers);
+    await Promise.all(workers.map(worker => {
+      if (worker.currentTask) {
+        worker.currentTask.reject(new Error('Regex worker pool was closed'));
+      }
+      return this.discardWorker(worker);
+    }));
+  }
+}
+
+module.exports = RegexWorkerPool;
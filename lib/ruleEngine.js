@@ -1,69 +1,244 @@
 const fs = require('fs-extra');
 const path = require('path');
 const ErrorHandler = require('./errorHandler');
+const RegexWorkerPool = require('./regexWorkerPool');
+const { collectMatches } = require('./regexWorker');
+const Suppressions = require('./suppressions');
+const AstMatcher = require('./astMatcher');
+const Tokenizer = require('./tokenizer');
+
+/**
+ * Where a patternInside or patternNotInside match must be: around the
+ * finding, or anywhere in the file
+ */
+const INSIDE_SCOPES = ['match', 'file'];
+
+/**
+ * Tests a "where" condition may apply to a capture group
+ */
+const WHERE_TESTS = ['matches', 'notMatches'];
 
 /**
  * RuleEngine class handles loading, validating, and applying rules for pattern detection
  */
 class RuleEngine {
   constructor(rulesPath = 'rules.json', options = {}) {
-    this.rulesPath = rulesPath;
+    this.rulesPath = rulesPath; // One rules file or an array of them
     this.rules = [];
     this.compiledRules = new Map();
+    this.compiledConstraints = new Map(); // rule id -> compiled patternNot, patternInside, patternNotInside and where
+    this.ignorePatterns = []; // ignorePatterns from the rules file (gitignore syntax)
+    this.fileExtensions = []; // fileExtensions from the rules files
     this.errorHandler = options.errorHandler || null;
     this.regexTimeout = options.regexTimeout || 5000; // 5 second timeout
+    this.maxMatchesPerRule = options.maxMatchesPerRule || 10000;
+    this.logger = options.logger || ((message) => console.log(message));
+    this.unusedSuppressions = new Map(); // filePath -> unused suppression directives
+    this.astMatcher = new AstMatcher(); // Runs rules with "type": "ast"
+
+    // Match in worker threads so runaway patterns can be terminated
+    this.useWorkerThreads = options.useWorkerThreads !== false;
+    this.workerPool = this.useWorkerThreads
+      ? new RegexWorkerPool({ size: options.workerPoolSize })
+      : null;
   }
 
   /**
-   * Load and validate rules from the configuration file
+   * Load and validate rules from the configuration files. Rule sets from
+   * several files are combined in order; a rule id may only be defined once.
    * @returns {Promise<void>}
    */
   async loadRules() {
-    try {
-      // Check if rules file exists
-      if (!(await fs.pathExists(this.rulesPath))) {
-        throw new Error(`Rules file not found: ${this.rulesPath}`);
-      }
+    const merged = new Map();
+    const ignorePatterns = [];
+    const fileExtensions = new Set();
+    for (const rulesPath of [].concat(this.rulesPath)) {
+      const ruleSet = await this.loadRuleSet(path.resolve(rulesPath), []);
+      this.mergeRuleSet(merged, ruleSet.rules);
+      ignorePatterns.push(...ruleSet.ignorePatterns);
+      ruleSet.fileExtensions.forEach(ext => fileExtensions.add(ext));
+    }
+    this.ignorePatterns = ignorePatterns;
+    this.fileExtensions = [...fileExtensions];
 
-      // Read and parse rules file
-      const rulesContent = await fs.readFile(this.rulesPath, 'utf8');
-      const rulesConfig = JSON.parse(rulesContent);
+    // Validate and compile each rule
+    this.rules = [];
+    this.compiledRules.clear();
+    this.compiledConstraints.clear();
 
-      // Validate rules structure
-      if (!rulesConfig.rules || !Array.isArray(rulesConfig.rules)) {
-        throw new Error('Invalid rules file: missing or invalid "rules" array');
+    for (const { rule: validatedRule, source, disabled } of merged.values()) {
+      if (disabled) {
+        continue;
       }
+      this.rules.push(validatedRule);
 
-      // Validate and compile each rule
-      this.rules = [];
-      this.compiledRules.clear();
+      if (validatedRule.type === 'ast') {
+        this.compiledRules.set(validatedRule.id, this.astMatcher.compile(validatedRule, source));
+        continue;
+      }
 
-      for (const rule of rulesConfig.rules) {
-        const validatedRule = this.validateRule(rule);
-        this.rules.push(validatedRule);
-        
-        // Compile regex pattern for better performance
-        try {
-          const compiledPattern = new RegExp(validatedRule.pattern, 'gm');
-          this.compiledRules.set(validatedRule.id, compiledPattern);
-        } catch (error) {
-          if (this.errorHandler) {
-            this.errorHandler.handleInvalidRegexError(validatedRule.id, validatedRule.pattern, error);
-            continue; // Skip this rule
-          }
-          throw new Error(`Invalid regex pattern in rule "${validatedRule.id}": ${error.message}`);
+      // Compile regex pattern for better performance
+      try {
+        const compiledPattern = new RegExp(validatedRule.pattern, 'gm');
+        const constraints = this.compileConstraints(validatedRule);
+        this.compiledRules.set(validatedRule.id, compiledPattern);
+        if (constraints) {
+          this.compiledConstraints.set(validatedRule.id, constraints);
         }
+      } catch (error) {
+        if (this.errorHandler) {
+          this.errorHandler.handleInvalidRegexError(validatedRule.id, validatedRule.pattern, error);
+          continue; // Skip this rule
+        }
+        throw new Error(`Invalid regex pattern in rule "${validatedRule.id}": ${error.message}`);
       }
+    }
+
+    this.logger(`Loaded ${this.rules.length} rules successfully`);
+  }
 
-      console.log(`Loaded ${this.rules.length} rules successfully`);
+  /**
+   * Load one rules file together with the rule sets it extends. Extended
+   * sets come first; the file's own rules follow and its overrides change
+   * the severity or fileTypes of any rule loaded so far, or turn it off.
+   * @param {string} rulesPath - Absolute path to the rules file
+   * @param {Array} chain - Files extending this one, to detect cycles
+   * @returns {Promise<Object>} Rule set ({ rules: Map of id -> { rule, source, disabled }, ignorePatterns, fileExtensions })
+   */
+  async loadRuleSet(rulesPath, chain) {
+    if (chain.includes(rulesPath)) {
+      throw new Error(`Circular extends in rules files: ${[...chain, rulesPath].join(' -> ')}`);
+    }
+
+    let rulesConfig;
+    try {
+      rulesConfig = JSON.parse(await fs.readFile(rulesPath, 'utf8'));
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`Rules file not found: ${this.rulesPath}. Please create a rules.json file.`);
+        throw new Error(`Rules file not found: ${rulesPath}. Please create a rules.json file.`);
       } else if (error instanceof SyntaxError) {
-        throw new Error(`Invalid JSON in rules file: ${error.message}`);
+        throw new Error(`Invalid JSON in rules file ${rulesPath}: ${error.message}`);
       }
       throw error;
     }
+
+    // Validate rules structure; a file that extends others may add no rules of its own
+    const parents = rulesConfig.extends === undefined ? [] : [].concat(rulesConfig.extends);
+    if (rulesConfig.rules === undefined && parents.length > 0) {
+      rulesConfig.rules = [];
+    }
+    if (!rulesConfig.rules || !Array.isArray(rulesConfig.rules)) {
+      throw new Error('Invalid rules file: missing or invalid "rules" array');
+    }
+    if (parents.some(parent => typeof parent !== 'string')) {
+      throw new Error('Invalid rules file: "extends" must be a string or an array of strings');
+    }
+    if (rulesConfig.ignorePatterns !== undefined && !Array.isArray(rulesConfig.ignorePatterns)) {
+      throw new Error('Invalid rules file: "ignorePatterns" must be an array');
+    }
+    if (rulesConfig.fileExtensions !== undefined && !Array.isArray(rulesConfig.fileExtensions)) {
+      throw new Error('Invalid rules file: "fileExtensions" must be an array');
+    }
+
+    const rules = new Map();
+    const ignorePatterns = [];
+    const fileExtensions = [];
+    for (const parent of parents) {
+      const parentSet = await this.loadRuleSet(this.resolveExtends(parent, rulesPath), [...chain, rulesPath]);
+      this.mergeRuleSet(rules, parentSet.rules);
+      ignorePatterns.push(...parentSet.ignorePatterns);
+      fileExtensions.push(...parentSet.fileExtensions);
+    }
+
+    const ownRules = new Map();
+    for (const rule of rulesConfig.rules) {
+      const validatedRule = this.validateRule(rule);
+      if (ownRules.has(validatedRule.id)) {
+        throw new Error(`Duplicate rule id "${validatedRule.id}" in ${rulesPath}`);
+      }
+      ownRules.set(validatedRule.id, { rule: validatedRule, source: rulesPath, disabled: false });
+    }
+    this.mergeRuleSet(rules, ownRules);
+
+    this.applyOverrides(rules, rulesConfig.overrides, rulesPath);
+    ignorePatterns.push(...(rulesConfig.ignorePatterns || []));
+    fileExtensions.push(...(rulesConfig.fileExtensions || []));
+    return { rules, ignorePatterns, fileExtensions };
+  }
+
+  /**
+   * Find the rules file an `extends` entry refers to: a path relative to the
+   * extending file, or an installed npm package (or a file inside one)
+   * @param {string} spec - Value from "extends"
+   * @param {string} rulesPath - Extending rules file
+   * @returns {string} Absolute path
+   */
+  resolveExtends(spec, rulesPath) {
+    const dir = path.dirname(rulesPath);
+    if (spec.startsWith('.') || path.isAbsolute(spec)) {
+      return path.resolve(dir, spec);
+    }
+    try {
+      return require.resolve(spec, { paths: [dir] });
+    } catch (error) {
+      throw new Error(`Cannot find rules "${spec}" extended by ${rulesPath}; is the package installed?`);
+    }
+  }
+
+  /**
+   * Add rules to a rule set. The same rule reached twice (a rules file
+   * extended more than once) is taken from the later copy; the same id
+   * defined in two files is an error.
+   * @param {Map} target - Rule set to add to
+   * @param {Map} rules - Rules to add (id -> { rule, source, disabled })
+   */
+  mergeRuleSet(target, rules) {
+    for (const [id, entry] of rules) {
+      const existing = target.get(id);
+      if (existing && existing.source !== entry.source) {
+        throw new Error(`Duplicate rule id "${id}" in ${entry.source} (already defined in ${existing.source})`);
+      }
+      target.set(id, entry);
+    }
+  }
+
+  /**
+   * Apply a rules file's overrides to the rules loaded so far
+   * @param {Map} rules - Rule set, updated in place
+   * @param {Object} overrides - Rule id -> severity ("off" disables) or { severity, fileTypes }
+   * @param {string} rulesPath - Rules file the overrides come from
+   */
+  applyOverrides(rules, overrides, rulesPath) {
+    if (overrides === undefined) {
+      return;
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error(`Invalid rules file ${rulesPath}: "overrides" must be an object`);
+    }
+
+    for (const [id, value] of Object.entries(overrides)) {
+      const entry = rules.get(id);
+      if (!entry) {
+        throw new Error(`Invalid rules file ${rulesPath}: override for unknown rule "${id}"`);
+      }
+      const override = typeof value === 'string' ? { severity: value } : value || {};
+      const unknown = Object.keys(override).filter(key => !['severity', 'fileTypes'].includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid rules file ${rulesPath}: overrides may only set severity and fileTypes (rule "${id}")`);
+      }
+
+      if (override.severity === 'off') {
+        rules.set(id, { ...entry, disabled: true });
+        continue;
+      }
+      const rule = { ...entry.rule, ...override };
+      try {
+        this.validateRule(rule);
+      } catch (error) {
+        throw new Error(`Invalid override for rule "${id}" in ${rulesPath}: ${error.message.replace('Rule validation failed: ', '')}`);
+      }
+      rules.set(id, { ...entry, rule, disabled: false });
+    }
   }
 
   /**
@@ -72,7 +247,12 @@ class RuleEngine {
    * @returns {Object} Validated rule object
    */
   validateRule(rule) {
-    const requiredFields = ['id', 'name', 'description', 'pattern', 'fileTypes', 'severity'];
+    // Regex rules match a pattern; AST rules match an ESTree selector
+    const type = rule.type === undefined ? 'regex' : rule.type;
+    if (!['regex', 'ast'].includes(type)) {
+      throw new Error(`Rule validation failed: "type" must be one of: regex, ast`);
+    }
+    const requiredFields = ['id', 'name', 'description', type === 'ast' ? 'selector' : 'pattern', 'fileTypes', 'severity'];
     
     // Check required fields
     for (const field of requiredFields) {
@@ -90,26 +270,182 @@ class RuleEngine {
       throw new Error(`Rule validation failed: "name" must be a string`);
     }
     
-    if (typeof rule.pattern !== 'string') {
+    if (type === 'regex' && typeof rule.pattern !== 'string') {
       throw new Error(`Rule validation failed: "pattern" must be a string`);
     }
+
+    if (type === 'ast' && typeof rule.selector !== 'string') {
+      throw new Error(`Rule validation failed: "selector" must be a string`);
+    }
+
+    if (type === 'ast' && rule.check !== undefined && typeof rule.check !== 'string') {
+      throw new Error(`Rule validation failed: "check" must be a string`);
+    }
+
+    this.validateConstraints(rule, type);
+    this.validateExamples(rule);
+
+    // Regex rules may be restricted to code, comments or strings
+    if (rule.context !== undefined && (type === 'ast' || !Tokenizer.CONTEXTS.includes(rule.context))) {
+      throw new Error(type === 'ast'
+        ? `Rule validation failed: "context" only applies to regex rules`
+        : `Rule validation failed: "context" must be one of: ${Tokenizer.CONTEXTS.join(', ')}`);
+    }
     
     if (!Array.isArray(rule.fileTypes)) {
       throw new Error(`Rule validation failed: "fileTypes" must be an array`);
     }
+
+    const unparsed = type === 'ast' ? rule.fileTypes.filter(fileType => !AstMatcher.FILE_TYPES.includes(fileType)) : [];
+    if (unparsed.length > 0) {
+      throw new Error(`Rule validation failed: AST rules only apply to ${AstMatcher.FILE_TYPES.join(', ')} files, not ${unparsed.join(', ')}`);
+    }
     
     if (!['error', 'warning', 'info'].includes(rule.severity)) {
       throw new Error(`Rule validation failed: "severity" must be one of: error, warning, info`);
     }
 
-    // Validate replacement field (can be null or string)
-    if (rule.replacement !== null && typeof rule.replacement !== 'string') {
+    // Validate replacement field (can be null or string, and left out of AST rules)
+    if (rule.replacement !== null && typeof rule.replacement !== 'string' &&
+        !(type === 'ast' && rule.replacement === undefined)) {
       throw new Error(`Rule validation failed: "replacement" must be a string or null`);
     }
 
     return rule;
   }
 
+  /**
+   * Validate the constraints a regex rule puts on its matches
+   * @param {Object} rule - Rule object to validate
+   * @param {string} type - Rule type
+   */
+  validateConstraints(rule, type) {
+    const fields = ['patternNot', 'patternInside', 'patternNotInside', 'where'].filter(field => rule[field] !== undefined);
+    if (fields.length > 0 && type === 'ast') {
+      throw new Error(`Rule validation failed: "${fields[0]}" only applies to regex rules`);
+    }
+
+    if (rule.patternNot !== undefined && typeof rule.patternNot !== 'string') {
+      throw new Error(`Rule validation failed: "patternNot" must be a string`);
+    }
+
+    for (const field of ['patternInside', 'patternNotInside']) {
+      const value = rule[field];
+      if (value === undefined || typeof value === 'string') {
+        continue;
+      }
+      if (!value || typeof value.pattern !== 'string' || Object.keys(value).some(key => !['pattern', 'scope'].includes(key)) ||
+          (value.scope !== undefined && !INSIDE_SCOPES.includes(value.scope))) {
+        throw new Error(`Rule validation failed: "${field}" must be a string or { pattern, scope } with scope ${INSIDE_SCOPES.join(' or ')}`);
+      }
+    }
+
+    if (rule.where === undefined) {
+      return;
+    }
+    if (!rule.where || typeof rule.where !== 'object' || Array.isArray(rule.where)) {
+      throw new Error(`Rule validation failed: "where" must be an object`);
+    }
+    for (const [key, condition] of Object.entries(rule.where)) {
+      if (!/^\$(\d{1,2}|[A-Za-z_][\w]*)$/.test(key)) {
+        throw new Error(`Rule validation failed: "where" keys must be capture groups such as "$1" or "$name", not "${key}"`);
+      }
+      const keys = condition && typeof condition === 'object' ? Object.keys(condition) : [];
+      if (keys.length === 0 || keys.some(name => !WHERE_TESTS.includes(name) || typeof condition[name] !== 'string')) {
+        throw new Error(`Rule validation failed: "where" condition for "${key}" must set ${WHERE_TESTS.join(' and/or ')} to a pattern`);
+      }
+    }
+  }
+
+  /**
+   * Validate the examples a rule carries for `rules test`
+   * @param {Object} rule - Rule object to validate
+   */
+  validateExamples(rule) {
+    if (rule.examples === undefined) {
+      return;
+    }
+    const examples = rule.examples;
+    if (!examples || typeof examples !== 'object' || Array.isArray(examples) ||
+        Object.keys(examples).some(key => !['valid', 'invalid'].includes(key))) {
+      throw new Error(`Rule validation failed: "examples" must be an object with "valid" and/or "invalid" arrays`);
+    }
+
+    for (const kind of ['valid', 'invalid']) {
+      if (examples[kind] === undefined) {
+        continue;
+      }
+      if (!Array.isArray(examples[kind])) {
+        throw new Error(`Rule validation failed: "examples.${kind}" must be an array`);
+      }
+      const allowed = kind === 'valid' ? ['code', 'fileType'] : ['code', 'output', 'fileType'];
+      examples[kind].forEach((example, index) => {
+        const where = `"examples.${kind}[${index}]"`;
+        if (typeof example === 'string') {
+          return;
+        }
+        if (!example || typeof example.code !== 'string' || Object.keys(example).some(key => !allowed.includes(key))) {
+          throw new Error(`Rule validation failed: ${where} must be a string or an object with ${allowed.join(', ')}`);
+        }
+        if (example.output !== undefined && typeof example.output !== 'string') {
+          throw new Error(`Rule validation failed: ${where} "output" must be a string`);
+        }
+        if (example.fileType !== undefined && !rule.fileTypes.includes(example.fileType)) {
+          throw new Error(`Rule validation failed: ${where} "fileType" must be one of the rule's fileTypes`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Compile the constraints of a regex rule
+   * @param {Object} rule - Validated regex rule
+   * @returns {Object|null} Compiled constraints, or null if the rule has none
+   */
+  compileConstraints(rule) {
+    if (rule.patternNot === undefined && rule.patternInside === undefined &&
+        rule.patternNotInside === undefined && rule.where === undefined) {
+      return null;
+    }
+
+    const compile = (field, pattern, flags) => {
+      try {
+        return new RegExp(pattern, flags);
+      } catch (error) {
+        throw new Error(`${field}: ${error.message}`);
+      }
+    };
+    const inside = (field) => {
+      const value = rule[field];
+      if (value === undefined) {
+        return null;
+      }
+      const { pattern, scope = 'match' } = typeof value === 'string' ? { pattern: value } : value;
+      return { regex: compile(field, pattern, 'gm'), scope };
+    };
+
+    // Capture groups the pattern defines, for checking where keys
+    const empty = new RegExp(`${rule.pattern}|`).exec('');
+    const where = Object.entries(rule.where || {}).map(([key, condition]) => {
+      const name = key.slice(1);
+      if (/^\d+$/.test(name) ? Number(name) >= empty.length : !(empty.groups && name in empty.groups)) {
+        throw new Error(`where: the pattern has no capture group "${key}"`);
+      }
+      return {
+        name,
+        matches: condition.matches === undefined ? null : compile(`where.${key}.matches`, condition.matches, ''),
+        notMatches: condition.notMatches === undefined ? null : compile(`where.${key}.notMatches`, condition.notMatches, '')
+      };
+    });
+
+    return {
+      patternNot: rule.patternNot === undefined ? null : compile('patternNot', rule.patternNot, ''),
+      patternInside: inside('patternInside'),
+      patternNotInside: inside('patternNotInside'),
+      where
+    };
+  }
+
   /**
    * Apply rules to file content and return findings
    * @param {string} content - File content to analyze
@@ -120,6 +456,8 @@ class RuleEngine {
   async applyRules(content, filePath, fileExtension) {
     const findings = [];
     const lines = content.split('\n');
+    const astRules = [];
+    let tokenizer = null; // Created for the first rule with a context
 
     for (const rule of this.rules) {
       // Check if rule applies to this file type
@@ -132,6 +470,12 @@ class RuleEngine {
         continue;
       }
 
+      // AST rules share one parse of the file, below
+      if (rule.type === 'ast') {
+        astRules.push({ rule, compiled: compiledPattern });
+        continue;
+      }
+
       // Reset regex state
       compiledPattern.lastIndex = 0;
       
@@ -143,7 +487,13 @@ class RuleEngine {
           rule, 
           filePath
         );
-        findings.push(...ruleFindings);
+
+        if (rule.context && rule.context !== 'any' && Tokenizer.supports(fileExtension)) {
+          tokenizer = tokenizer || new Tokenizer(content, fileExtension);
+          findings.push(...ruleFindings.filter(finding => tokenizer.contextAt(finding.startOffset) === rule.context));
+        } else {
+          findings.push(...ruleFindings);
+        }
         
       } catch (error) {
         if (this.errorHandler) {
@@ -161,9 +511,85 @@ class RuleEngine {
       }
     }
 
+    if (astRules.length > 0) {
+      findings.push(...this.applyAstRules(astRules, content, filePath, fileExtension));
+    }
+
+    // Report findings in source order regardless of which rule produced them
+    findings.sort((a, b) => a.startOffset - b.startOffset);
+
+    return this.applySuppressions(findings, content, filePath, fileExtension);
+  }
+
+  /**
+   * Apply AST rules to a file. A file that does not parse is skipped for
+   * AST rules only.
+   * @param {Array} astRules - Rules with their compiled selectors ({ rule, compiled })
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @param {string} fileExtension - File extension
+   * @returns {Array} Findings
+   */
+  applyAstRules(astRules, content, filePath, fileExtension) {
+    let program;
+    try {
+      program = this.astMatcher.parse(content, fileExtension);
+    } catch (error) {
+      if (this.errorHandler) {
+        this.errorHandler.handleParseError(filePath, error);
+      }
+      return [];
+    }
+
+    const findings = [];
+    for (const entry of astRules) {
+      try {
+        findings.push(...this.astMatcher.apply([entry], program, content, filePath));
+      } catch (error) {
+        if (this.errorHandler) {
+          this.errorHandler.handleUnknownError('rule application', error, { ruleId: entry.rule.id, filePath });
+        }
+      }
+    }
     return findings;
   }
 
+  /**
+   * Drop findings silenced by code-migrate-disable comments and remember
+   * directives that did not silence anything
+   * @param {Array} findings - Findings for the file
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @param {string} fileExtension - File extension
+   * @returns {Array} Findings that are not suppressed
+   */
+  applySuppressions(findings, content, filePath, fileExtension) {
+    const suppressions = new Suppressions(content, fileExtension);
+    if (!suppressions.hasDirectives()) {
+      this.unusedSuppressions.delete(filePath);
+      return findings;
+    }
+
+    const remaining = findings.filter(finding => !suppressions.isSuppressed(finding));
+
+    const unused = suppressions.getUnused();
+    if (unused.length > 0) {
+      this.unusedSuppressions.set(filePath, unused.map(entry => ({ filePath, ...entry })));
+    } else {
+      this.unusedSuppressions.delete(filePath);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Get suppression directives that did not silence any finding
+   * @returns {Array} Unused suppressions with file path, line, directive and rule ID
+   */
+  getUnusedSuppressions() {
+    return Array.from(this.unusedSuppressions.values()).flat();
+  }
+
   /**
    * Get a rule by its ID
    * @param {string} ruleId - Rule ID to find
@@ -182,7 +608,25 @@ class RuleEngine {
   }
 
   /**
-   * Apply a single rule with timeout protection
+   * Get the file extensions the rules files list in fileExtensions
+   * @returns {Array} File extensions (without dot)
+   */
+  getFileExtensions() {
+    return [...this.fileExtensions];
+  }
+
+  /**
+   * Get the ignore patterns from the rules file
+   * @returns {Array} Patterns with gitignore semantics
+   */
+  getIgnorePatterns() {
+    return [...this.ignorePatterns];
+  }
+
+  /**
+   * Apply a single rule with timeout protection. When worker threads are
+   * enabled the match runs in the worker pool and is terminated once it
+   * exceeds the regex timeout; otherwise it runs in-process.
    * @param {RegExp} compiledPattern - Compiled regex pattern
    * @param {string} content - File content
    * @param {Object} rule - Rule object
@@ -190,70 +634,162 @@ class RuleEngine {
    * @returns {Promise<Array>} Array of findings
    */
   async applyRuleWithTimeout(compiledPattern, content, rule, filePath) {
-    const findings = [];
-    
-    const applyRule = () => {
-      return new Promise((resolve, reject) => {
-        try {
-          let match;
-          let iterations = 0;
-          const maxIterations = 10000; // Prevent infinite loops
-          
-          while ((match = compiledPattern.exec(content)) !== null) {
-            iterations++;
-            
-            // Safety check for too many iterations
-            if (iterations > maxIterations) {
-              reject(new Error(`Too many regex matches (${maxIterations}+) - possible infinite loop`));
-              return;
-            }
-            
-            // Calculate line and column numbers
-            const beforeMatch = content.substring(0, match.index);
-            const lineNumber = beforeMatch.split('\n').length;
-            const columnNumber = beforeMatch.length - beforeMatch.lastIndexOf('\n');
-
-            const finding = {
-              ruleId: rule.id,
-              ruleName: rule.name,
-              description: rule.description,
-              filePath: filePath,
-              lineNumber: lineNumber,
-              columnNumber: columnNumber,
-              matchedText: match[0],
-              severity: rule.severity,
-              fixable: rule.replacement !== null,
-              replacement: rule.replacement,
-              pattern: rule.pattern
-            };
-
-            findings.push(finding);
-
-            // Prevent infinite loops with zero-width matches
-            if (match[0].length === 0) {
-              compiledPattern.lastIndex++;
-            }
-          }
-          
-          resolve(findings);
-        } catch (error) {
-          reject(error);
-        }
+    const matches = await this.findMatches(compiledPattern, content);
+    const kept = await this.applyConstraints(rule, matches, content);
+
+    return kept.map(match => this.createFinding(rule, match, content, filePath));
+  }
+
+  /**
+   * Collect the matches of a pattern, in the worker pool when enabled
+   * @param {RegExp} compiledPattern - Compiled regex pattern with the global flag
+   * @param {string} content - File content
+   * @returns {Promise<Array>} Serialized matches ({ index, groups, namedGroups })
+   */
+  async findMatches(compiledPattern, content) {
+    if (this.workerPool) {
+      return this.workerPool.exec({
+        pattern: compiledPattern.source,
+        flags: compiledPattern.flags,
+        content,
+        maxIterations: this.maxMatchesPerRule
+      }, this.regexTimeout);
+    }
+    return collectMatches(compiledPattern, content, this.maxMatchesPerRule);
+  }
+
+  /**
+   * Drop matches that fail the rule's constraints. patternNot and where are
+   * tested against the matched text and its capture groups; patternInside
+   * and patternNotInside against the matches of their own pattern, which
+   * must (or must not) enclose the match, or with scope "file" occur
+   * anywhere in the file.
+   * @param {Object} rule - Rule that produced the matches
+   * @param {Array} matches - Serialized matches
+   * @param {string} content - File content
+   * @returns {Promise<Array>} Matches that satisfy every constraint
+   */
+  async applyConstraints(rule, matches, content) {
+    const constraints = this.compiledConstraints.get(rule.id);
+    if (!constraints || matches.length === 0) {
+      return matches;
+    }
+
+    let kept = matches.filter(match => {
+      if (constraints.patternNot && constraints.patternNot.test(match.groups[0])) {
+        return false;
+      }
+      return constraints.where.every(({ name, matches: positive, notMatches: negative }) => {
+        const value = (/^\d+$/.test(name) ? match.groups[Number(name)] : (match.namedGroups || {})[name]) || '';
+        return (!positive || positive.test(value)) && (!negative || !negative.test(value));
       });
+    });
+
+    for (const [constraint, wanted] of [[constraints.patternInside, true], [constraints.patternNotInside, false]]) {
+      if (!constraint || kept.length === 0) {
+        continue;
+      }
+      const regions = await this.findMatches(constraint.regex, content);
+      kept = kept.filter(match => {
+        const end = match.index + match.groups[0].length;
+        const inside = constraint.scope === 'file'
+          ? regions.length > 0
+          : regions.some(region => region.index <= match.index && region.index + region.groups[0].length >= end);
+        return inside === wanted;
+      });
+    }
+
+    return kept;
+  }
+
+  /**
+   * Build a finding object from a serialized match
+   * @param {Object} rule - Rule that produced the match
+   * @param {Object} match - Match with index, groups and namedGroups
+   * @param {string} content - File content
+   * @param {string} filePath - Path to the file
+   * @returns {Object} Finding object
+   */
+  createFinding(rule, match, content, filePath) {
+    // Rebuild a RegExp.exec-style result for replacement expansion
+    const execResult = Object.assign([...match.groups], {
+      index: match.index,
+      groups: match.namedGroups || undefined
+    });
+    const matchedText = execResult[0];
+
+    // Calculate line and column numbers
+    const beforeMatch = content.substring(0, match.index);
+    const lineNumber = beforeMatch.split('\n').length;
+    const columnNumber = beforeMatch.length - beforeMatch.lastIndexOf('\n');
+
+    return {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      description: rule.description,
+      filePath,
+      lineNumber,
+      columnNumber,
+      startOffset: match.index,
+      endOffset: match.index + matchedText.length,
+      matchedText,
+      severity: rule.severity,
+      fixable: rule.replacement !== null,
+      replacement: rule.replacement,
+      replacementText: rule.replacement !== null
+        ? this.expandReplacement(rule.replacement, execResult, content)
+        : null,
+      pattern: rule.pattern
     };
+  }
 
-    // Apply with timeout if error handler is available
-    if (this.errorHandler) {
-      return await this.errorHandler.withTimeout(
-        applyRule, 
-        this.regexTimeout, 
-        `rule ${rule.id} on ${path.basename(filePath)}`
-      );
-    } else {
-      return await applyRule();
+  /**
+   * Release worker threads used for matching
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.workerPool) {
+      await this.workerPool.close();
     }
   }
 
+  /**
+   * Expand a replacement template for a single match, following the same
+   * substitution rules as String.prototype.replace ($1, $&, $<name>, ...)
+   * @param {string} replacement - Replacement template from the rule
+   * @param {Array} match - Result of RegExp.exec for this match
+   * @param {string} content - Full content the match was found in
+   * @returns {string} Replacement text for this exact match
+   */
+  expandReplacement(replacement, match, content) {
+    const groupCount = match.length - 1;
+    const matchEnd = match.index + match[0].length;
+
+    return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, key, groupName) => {
+      if (key === '$') return '$';
+      if (key === '&') return match[0];
+      if (key === '`') return content.substring(0, match.index);
+      if (key === "'") return content.substring(matchEnd);
+
+      if (groupName !== undefined) {
+        if (!match.groups) return token;
+        return match.groups[groupName] || '';
+      }
+
+      // Prefer a two-digit group reference, falling back to one digit
+      let index = parseInt(key, 10);
+      let rest = '';
+      if (key.length === 2 && (index > groupCount || index === 0)) {
+        index = parseInt(key[0], 10);
+        rest = key[1];
+      }
+      if (index === 0 || index > groupCount) {
+        return token;
+      }
+      return (match[index] || '') + rest;
+    });
+  }
+
   /**
    * Get rules that apply to a specific file type
    * @param {string} fileExtension - File extension to filter by
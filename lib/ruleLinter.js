@@ -0,0 +1,432 @@
+/**
+ * Characters used to compare character sets: ASCII plus a few non-ASCII
+ * letters, spaces and line terminators
+ */
+const ALPHABET = [
+  ...Array.from({ length: 128 }, (value, code) => String.fromCharCode(code)),
+  '\u00e9', '\u00a0', '\u2028', '\u4e2d'
+];
+
+const ANY = ALPHABET.map(() => true);
+const NONE = ALPHABET.map(() => false);
+
+/**
+ * RuleLinter finds problems in rule definitions that compiling them does not
+ * reveal: regex shapes prone to catastrophic backtracking, replacements that
+ * refer to capture groups the pattern does not have, patterns that match the
+ * empty string and file types the rules file does not scan.
+ *
+ * Problems are errors when the rule cannot work as written and warnings
+ * when it works but is risky or likely a mistake.
+ */
+class RuleLinter {
+  constructor(options = {}) {
+    this.fileExtensions = options.fileExtensions || []; // fileExtensions from the rules files
+  }
+
+  /**
+   * Lint rules
+   * @param {Array} rules - Validated rules
+   * @returns {Array} Problems ({ ruleId, severity, message })
+   */
+  lint(rules) {
+    return rules.flatMap(rule => this.lintRule(rule).map(problem => ({ ruleId: rule.id, ...problem })));
+  }
+
+  /**
+   * Lint one rule
+   * @param {Object} rule - Validated rule
+   * @returns {Array} Problems ({ severity, message })
+   */
+  lintRule(rule) {
+    const problems = [];
+
+    if (this.fileExtensions.length > 0) {
+      rule.fileTypes.filter(fileType => !this.fileExtensions.includes(fileType)).forEach(fileType => {
+        problems.push({ severity: 'warning', message: `file type "${fileType}" is not in fileExtensions, so no file of that type is scanned` });
+      });
+    }
+
+    if (rule.type === 'ast') {
+      return problems;
+    }
+
+    let tree;
+    try {
+      tree = parseRegex(rule.pattern);
+    } catch (error) {
+      problems.push({ severity: 'error', message: `pattern could not be analyzed: ${error.message}` });
+      return problems;
+    }
+
+    if (nullable(tree)) {
+      problems.push({ severity: 'error', message: 'pattern can match an empty string, which reports zero-length findings' });
+    }
+    problems.push(...findBacktracking(tree).map(message => ({ severity: 'warning', message })));
+
+    if (typeof rule.replacement === 'string') {
+      problems.push(...checkReplacement(rule.replacement, tree).map(message => ({ severity: 'error', message })));
+    }
+
+    return problems;
+  }
+}
+
+/**
+ * Parse a regex source into a tree. Character classes, escapes and the dot
+ * become "char" nodes carrying their source so they can be compiled on
+ * their own.
+ * @param {string} source - Regex source
+ * @returns {Object} Root node, with the capture group count and names
+ */
+function parseRegex(source) {
+  let pos = 0;
+  let groupCount = 0;
+  const groupNames = [];
+
+  const parseAlternation = () => {
+    const alternatives = [parseSequence()];
+    while (source[pos] === '|') {
+      pos++;
+      alternatives.push(parseSequence());
+    }
+    return { type: 'alternation', alternatives };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+      let node = parseAtom();
+      let quantifier;
+      while ((quantifier = readQuantifier()) !== null) {
+        node = { type: 'quantifier', body: node, ...quantifier };
+      }
+      items.push(node);
+    }
+    return { type: 'sequence', items };
+  };
+
+  const readQuantifier = () => {
+    const bounded = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos));
+    let quantifier = null;
+    if ('*+?'.includes(source[pos]) && pos < source.length) {
+      quantifier = { min: source[pos] === '+' ? 1 : 0, max: source[pos] === '?' ? 1 : Infinity };
+      pos++;
+    } else if (bounded) {
+      const min = Number(bounded[1]);
+      quantifier = { min, max: !bounded[2] ? min : bounded[3] === '' ? Infinity : Number(bounded[3]) };
+      pos += bounded[0].length;
+    }
+    if (quantifier && source[pos] === '?') {
+      pos++; // Lazy
+    }
+    return quantifier;
+  };
+
+  const parseAtom = () => {
+    const start = pos;
+    const ch = source[pos];
+
+    if (ch === '(') {
+      const lookaround = /^\(\?<?[=!]/.exec(source.slice(pos));
+      const named = /^\(\?<([A-Za-z_$][\w$]*)>/.exec(source.slice(pos));
+      if (lookaround) {
+        pos += lookaround[0].length;
+      } else if (named) {
+        pos += named[0].length;
+        groupCount++;
+        groupNames.push(named[1]);
+      } else if (source.startsWith('(?:', pos)) {
+        pos += 3;
+      } else {
+        pos++;
+        groupCount++;
+      }
+      const body = parseAlternation();
+      if (source[pos] !== ')') {
+        throw new Error(`unterminated group at ${start}`);
+      }
+      pos++;
+      return lookaround ? { type: 'assertion' } : { type: 'group', body };
+    }
+
+    if (ch === '[') {
+      pos++;
+      while (pos < source.length && source[pos] !== ']') {
+        pos += source[pos] === '\\' ? 2 : 1;
+      }
+      pos++;
+      return { type: 'char', source: source.slice(start, pos) };
+    }
+
+    if (ch === '\\') {
+      const next = source[pos + 1];
+      if (/[1-9]/.test(next) || (next === 'k' && source[pos + 2] === '<')) {
+        pos = next === 'k' ? source.indexOf('>', pos) + 1 : pos + 1 + /^\d+/.exec(source.slice(pos + 1))[0].length;
+        return { type: 'backreference' };
+      }
+      if (next === 'b' || next === 'B') {
+        pos += 2;
+        return { type: 'assertion' };
+      }
+      const escape = /^\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|c[A-Za-z]|0|[\s\S])/.exec(source.slice(pos));
+      pos += escape[0].length;
+      return { type: 'char', source: escape[0] };
+    }
+
+    pos++;
+    if (ch === '^' || ch === '$') {
+      return { type: 'assertion' };
+    }
+    return { type: 'char', source: ch === '.' ? '.' : ch.replace(/[{}]/, '\\$&') };
+  };
+
+  const tree = parseAlternation();
+  if (pos < source.length) {
+    throw new Error(`unmatched ")" at ${pos}`);
+  }
+  return { ...tree, groupCount, groupNames };
+}
+
+/**
+ * Check whether a node can match without consuming characters
+ * @param {Object} node - Regex node
+ * @returns {boolean} True if the node can match an empty string
+ */
+function nullable(node) {
+  switch (node.type) {
+    case 'char':
+      return false;
+    case 'group':
+      return nullable(node.body);
+    case 'alternation':
+      return node.alternatives.some(nullable);
+    case 'sequence':
+      return node.items.every(nullable);
+    case 'quantifier':
+      return node.min === 0 || nullable(node.body);
+    default:
+      return true; // Assertions and backreferences
+  }
+}
+
+/**
+ * Find the characters a node may consume, as flags over ALPHABET
+ * @param {Object} node - Regex node
+ * @returns {Array} One boolean per alphabet character
+ */
+function charsOf(node) {
+  switch (node.type) {
+    case 'char': {
+      if (!node.chars) {
+        const regex = new RegExp(`^(?:${node.source})$`);
+        node.chars = ALPHABET.map(ch => regex.test(ch));
+      }
+      return node.chars;
+    }
+    case 'group':
+      return charsOf(node.body);
+    case 'alternation':
+      return union(node.alternatives.map(charsOf));
+    case 'sequence':
+      return union(node.items.map(charsOf));
+    case 'quantifier':
+      return charsOf(node.body);
+    case 'backreference':
+      return ANY;
+    default:
+      return NONE;
+  }
+}
+
+/**
+ * Find the characters a node's match may start with
+ * @param {Object} node - Regex node
+ * @returns {Array} Character set
+ */
+function firstCharsOf(node) {
+  switch (node.type) {
+    case 'group':
+    case 'quantifier':
+      return firstCharsOf(node.body);
+    case 'alternation':
+      return union(node.alternatives.map(firstCharsOf));
+    case 'sequence': {
+      const required = node.items.findIndex(item => !nullable(item));
+      const leading = required === -1 ? node.items : node.items.slice(0, required + 1);
+      return union(leading.map(firstCharsOf));
+    }
+    default:
+      return charsOf(node);
+  }
+}
+
+/**
+ * Check whether a node can match a non-empty string or an empty one using
+ * only characters from a set
+ * @param {Object} node - Regex node
+ * @param {Array} chars - Character set
+ * @returns {boolean} True if it can
+ */
+function matchesWithin(node, chars) {
+  switch (node.type) {
+    case 'char':
+      return overlaps(charsOf(node), chars);
+    case 'group':
+      return matchesWithin(node.body, chars);
+    case 'alternation':
+      return node.alternatives.some(alternative => matchesWithin(alternative, chars));
+    case 'sequence':
+      return node.items.every(item => matchesWithin(item, chars));
+    case 'quantifier':
+      return node.min === 0 || matchesWithin(node.body, chars);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Find repetitions that can match the same text in many ways, which makes
+ * a failing match backtrack exponentially:
+ *   - an unbounded quantifier inside another one, when the branch of the
+ *     outer one that holds it can consist of just characters that start an
+ *     iteration of the inner one, as in (a+)+ or (\w+\s?)*
+ *   - alternatives under an unbounded quantifier that can match the same
+ *     text, as in (\w|\d)+
+ * @param {Object} tree - Parsed regex
+ * @returns {Array} Messages
+ */
+function findBacktracking(tree) {
+  const messages = [];
+  const visit = (node) => {
+    if (node.type === 'quantifier' && node.max === Infinity) {
+      const nested = branchesOf(node.body).some(branch =>
+        findUnbounded(branch).some(inner => matchesWithin(branch, firstCharsOf(inner)))
+      );
+      if (nested) {
+        messages.push('nested quantifiers can backtrack catastrophically (e.g. (a+)+); make the repetitions unambiguous');
+      } else if (hasAmbiguousAlternatives(node.body)) {
+        messages.push('alternatives inside a repetition can match the same text (e.g. (\\w|\\d)+) and backtrack catastrophically');
+      }
+    }
+    for (const child of childrenOf(node)) {
+      visit(child);
+    }
+  };
+  visit(tree);
+  return messages;
+}
+
+/**
+ * Find unbounded quantifiers inside a node, not looking into lookarounds
+ * @param {Object} node - Regex node
+ * @returns {Array} Quantifier nodes
+ */
+function findUnbounded(node) {
+  const found = [];
+  for (const child of childrenOf(node)) {
+    if (child.type === 'quantifier' && child.max === Infinity) {
+      found.push(child);
+    }
+    found.push(...findUnbounded(child));
+  }
+  return found;
+}
+
+/**
+ * Split the body of a quantifier into the alternatives it consists of
+ * @param {Object} node - Body of a quantifier
+ * @returns {Array} Alternatives, or the body itself if it is not an alternation
+ */
+function branchesOf(node) {
+  let current = node;
+  while (current.type === 'group' || (current.type === 'alternation' && current.alternatives.length === 1) ||
+         (current.type === 'sequence' && current.items.length === 1)) {
+    current = current.type === 'group' ? current.body : current.type === 'alternation' ? current.alternatives[0] : current.items[0];
+  }
+  return current.type === 'alternation' ? current.alternatives : [node];
+}
+
+/**
+ * Check whether two alternatives of the alternation a node consists of can
+ * start with and match the same characters
+ * @param {Object} node - Body of a quantifier
+ * @returns {boolean} True if two alternatives overlap
+ */
+function hasAmbiguousAlternatives(node) {
+  const alternatives = branchesOf(node).filter(alternative => !nullable(alternative));
+  if (alternatives.length < 2) {
+    return false;
+  }
+  return alternatives.some((a, i) => alternatives.slice(i + 1).some(b =>
+    overlaps(firstCharsOf(a), firstCharsOf(b)) && matchesWithin(a, charsOf(b)) && matchesWithin(b, charsOf(a))
+  ));
+}
+
+/**
+ * List the child nodes of a node
+ * @param {Object} node - Regex node
+ * @returns {Array} Child nodes
+ */
+function childrenOf(node) {
+  switch (node.type) {
+    case 'group':
+    case 'quantifier':
+      return [node.body];
+    case 'alternation':
+      return node.alternatives;
+    case 'sequence':
+      return node.items;
+    default:
+      return [];
+  }
+}
+
+/**
+ * Find group references in a replacement that the pattern cannot fill,
+ * following the rules of RuleEngine.expandReplacement
+ * @param {string} replacement - Replacement string
+ * @param {Object} tree - Parsed pattern
+ * @returns {Array} Messages
+ */
+function checkReplacement(replacement, tree) {
+  const messages = [];
+  const groups = `${tree.groupCount} capture group${tree.groupCount === 1 ? '' : 's'}`;
+  const tokens = /\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g;
+  let token;
+  while ((token = tokens.exec(replacement)) !== null) {
+    const [text, key, groupName] = token;
+    if (groupName !== undefined) {
+      if (!tree.groupNames.includes(groupName)) {
+        messages.push(`replacement refers to ${text} but the pattern has no group named "${groupName}"`);
+      }
+    } else if (/^\d/.test(key)) {
+      const index = key.length === 2 && (Number(key) > tree.groupCount || Number(key) === 0) ? Number(key[0]) : Number(key);
+      if (index === 0 || index > tree.groupCount) {
+        messages.push(`replacement refers to ${text} but the pattern has ${groups}`);
+      }
+    }
+  }
+  return messages;
+}
+
+/**
+ * Combine character sets
+ * @param {Array} sets - Character sets
+ * @returns {Array} Union
+ */
+function union(sets) {
+  return ALPHABET.map((ch, index) => sets.some(set => set[index]));
+}
+
+/**
+ * Check whether two character sets share a character
+ * @param {Array} a - Character set
+ * @param {Array} b - Character set
+ * @returns {boolean} True if they overlap
+ */
+function overlaps(a, b) {
+  return a.some((value, index) => value && b[index]);
+}
+
+module.exports = RuleLinter;
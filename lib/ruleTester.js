@@ -0,0 +1,115 @@
+const Fixer = require('./fixer');
+const { diffLines, splitLines } = require('./diff');
+
+/**
+ * RuleTester runs the examples rules carry in their definitions. Each
+ * example is matched in memory with the rule engine: valid examples must not
+ * produce a finding for their rule, invalid ones must, and an invalid
+ * example with an `output` must be fixed to exactly that source.
+ */
+class RuleTester {
+  constructor(ruleEngine, options = {}) {
+    this.ruleEngine = ruleEngine;
+    this.fixer = options.fixer || new Fixer({ dryRun: true });
+  }
+
+  /**
+   * Test every loaded rule
+   * @returns {Promise<Object>} Results ({ passed, failures, untested })
+   */
+  async run() {
+    const results = { passed: 0, failures: [], untested: [] };
+
+    for (const rule of this.ruleEngine.getAllRules()) {
+      if (!rule.examples) {
+        results.untested.push(rule.id);
+        continue;
+      }
+      const { passed, failures } = await this.testRule(rule);
+      results.passed += passed;
+      results.failures.push(...failures);
+    }
+
+    return results;
+  }
+
+  /**
+   * Test one rule against its examples
+   * @param {Object} rule - Rule with examples
+   * @returns {Promise<Object>} Number of passed examples and failures
+   */
+  async testRule(rule) {
+    const examples = [
+      ...(rule.examples.valid || []).map((example, index) => ({ kind: 'valid', index, ...normalizeExample(example) })),
+      ...(rule.examples.invalid || []).map((example, index) => ({ kind: 'invalid', index, ...normalizeExample(example) }))
+    ];
+
+    let passed = 0;
+    const failures = [];
+    for (const example of examples) {
+      const failure = await this.runExample(rule, example);
+      if (failure) {
+        failures.push({ ruleId: rule.id, kind: example.kind, index: example.index, code: example.code, ...failure });
+      } else {
+        passed++;
+      }
+    }
+    return { passed, failures };
+  }
+
+  /**
+   * Run one example
+   * @param {Object} rule - Rule under test
+   * @param {Object} example - Example ({ kind, code, output, fileType })
+   * @returns {Promise<Object|null>} Failure ({ message, diff }), or null if the example passed
+   */
+  async runExample(rule, example) {
+    const fileType = example.fileType || rule.fileTypes[0];
+    const filePath = `${rule.id}-${example.kind}-${example.index + 1}.${fileType}`;
+    const findings = (await this.ruleEngine.applyRules(example.code, filePath, fileType))
+      .filter(finding => finding.ruleId === rule.id);
+
+    if (example.kind === 'valid') {
+      return findings.length === 0
+        ? null
+        : { message: `expected no match, got ${findings.length}: ${findings.map(finding => JSON.stringify(finding.matchedText)).join(', ')}` };
+    }
+
+    if (findings.length === 0) {
+      return { message: 'expected a match, got none' };
+    }
+    if (example.output === undefined) {
+      return null;
+    }
+
+    const fixable = findings.filter(finding => finding.fixable && finding.replacementText !== null);
+    const { content } = this.fixer.computeFixes(example.code, fixable);
+    if (content === example.output) {
+      return null;
+    }
+    return { message: 'fix output does not match', diff: formatExpectedDiff(example.output, content) };
+  }
+}
+
+/**
+ * Turn an example written as a plain string into an object
+ * @param {string|Object} example - Example from the rule definition
+ * @returns {Object} Example with code and optional output and fileType
+ */
+function normalizeExample(example) {
+  return typeof example === 'string' ? { code: example } : example;
+}
+
+/**
+ * Show how fixed source differs from the expected output
+ * @param {string} expected - Expected output
+ * @param {string} actual - Actual output
+ * @returns {string} Diff with expected lines as removals and actual lines as additions
+ */
+function formatExpectedDiff(expected, actual) {
+  const lines = diffLines(splitLines(expected), splitLines(actual))
+    .map(edit => `${edit.type}${edit.line.endsWith('\n') ? edit.line : `${edit.line}\n\\ No newline at end of file\n`}`);
+  return ['--- expected\n', '+++ actual\n', ...lines].join('');
+}
+
+module.exports = RuleTester;
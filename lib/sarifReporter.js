@@ -0,0 +1,218 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const Fixer = require('./fixer');
+const { version: toolVersion, homepage } = require('../package.json');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Map rule severities to SARIF result levels
+ */
+const SEVERITY_LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+/**
+ * SarifReporter emits SARIF 2.1.0 logs for code-scanning dashboards
+ */
+class SarifReporter {
+  constructor(options = {}) {
+    this.options = {
+      indent: options.indent === undefined ? 2 : options.indent,
+      ...options
+    };
+  }
+
+  /**
+   * Generate the SARIF log
+   * @param {Object} report - Scan report data
+   * @param {Array} report.findings - Findings from the rule engine
+   * @param {Array} report.rules - Rules loaded by the rule engine
+   * @param {string} report.targetPath - Scanned directory
+   * @returns {string} SARIF document
+   */
+  generate(report) {
+    return JSON.stringify(this.buildLog(report), null, this.options.indent);
+  }
+
+  /**
+   * Build the SARIF log object
+   * @param {Object} report - Scan report data
+   * @returns {Object} SARIF log
+   */
+  buildLog(report) {
+    const { findings = [], rules = [], targetPath = '' } = report;
+    const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+    // AST checks decide per node whether to fix, so their findings tell whether the rule can
+    const fixableRuleIds = new Set(findings.filter(finding => finding.fixable).map(finding => finding.ruleId));
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'code-migration-cli',
+              version: toolVersion,
+              informationUri: homepage,
+              rules: rules.map(rule => this.formatRule(rule, fixableRuleIds))
+            }
+          },
+          originalUriBaseIds: {
+            SRCROOT: {
+              uri: this.baseUri(targetPath)
+            }
+          },
+          results: findings.map(finding => this.formatResult(finding, targetPath, ruleIndexes))
+        }
+      ]
+    };
+  }
+
+  /**
+   * Convert a rule to a SARIF reporting descriptor
+   * @param {Object} rule - Rule object
+   * @param {Set} [fixableRuleIds] - IDs of rules with fixable findings
+   * @returns {Object} Reporting descriptor
+   */
+  formatRule(rule, fixableRuleIds = new Set()) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      shortDescription: { text: rule.name },
+      fullDescription: { text: rule.description },
+      defaultConfiguration: {
+        level: this.getLevel(rule.severity)
+      },
+      properties: {
+        fileTypes: rule.fileTypes,
+        fixable: (rule.replacement !== null && rule.replacement !== undefined) || fixableRuleIds.has(rule.id)
+      }
+    };
+  }
+
+  /**
+   * Convert a finding to a SARIF result
+   * @param {Object} finding - Finding from the rule engine
+   * @param {string} basePath - Base path for relative file URIs
+   * @param {Map} ruleIndexes - Rule ID to index in tool.driver.rules
+   * @returns {Object} SARIF result
+   */
+  formatResult(finding, basePath, ruleIndexes) {
+    const artifactLocation = {
+      uri: this.relativeUri(finding.filePath, basePath),
+      uriBaseId: 'SRCROOT'
+    };
+    const region = this.getRegion(finding);
+
+    const result = {
+      ruleId: finding.ruleId,
+      level: this.getLevel(finding.severity),
+      message: { text: finding.description },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation,
+            region: {
+              ...region,
+              snippet: { text: finding.matchedText }
+            }
+          }
+        }
+      ]
+    };
+
+    if (ruleIndexes.has(finding.ruleId)) {
+      result.ruleIndex = ruleIndexes.get(finding.ruleId);
+    }
+
+    const replacementText = Fixer.getReplacementText(finding);
+    if (finding.fixable && replacementText !== null) {
+      result.fixes = [
+        {
+          description: { text: finding.ruleName },
+          artifactChanges: [
+            {
+              artifactLocation,
+              replacements: [
+                {
+                  deletedRegion: region,
+                  insertedContent: { text: replacementText }
+                }
+              ]
+            }
+          ]
+        }
+      ];
+    }
+
+    return result;
+  }
+
+  /**
+   * Compute the SARIF region covered by a finding. Columns are 1-based and
+   * endColumn points one past the last matched character.
+   * @param {Object} finding - Finding from the rule engine
+   * @returns {Object} SARIF region
+   */
+  getRegion(finding) {
+    const matchedLines = finding.matchedText.split('\n');
+    const endLine = finding.lineNumber + matchedLines.length - 1;
+    const lastLine = matchedLines[matchedLines.length - 1];
+    const endColumn = matchedLines.length === 1
+      ? finding.columnNumber + lastLine.length
+      : lastLine.length + 1;
+
+    const region = {
+      startLine: finding.lineNumber,
+      startColumn: finding.columnNumber,
+      endLine,
+      endColumn
+    };
+
+    if (Number.isInteger(finding.startOffset)) {
+      region.charOffset = finding.startOffset;
+      region.charLength = finding.matchedText.length;
+    }
+
+    return region;
+  }
+
+  /**
+   * Map a rule severity to a SARIF level
+   * @param {string} severity - Rule severity
+   * @returns {string} SARIF level
+   */
+  getLevel(severity) {
+    return SEVERITY_LEVELS[severity] || 'warning';
+  }
+
+  /**
+   * Get the file URI of the scanned directory, with a trailing slash
+   * @param {string} basePath - Base directory path
+   * @returns {string} Directory URI
+   */
+  baseUri(basePath) {
+    const uri = pathToFileURL(path.resolve(basePath)).href;
+    return uri.endsWith('/') ? uri : `${uri}/`;
+  }
+
+  /**
+   * Get a URI-encoded path relative to the base path
+   * @param {string} filePath - File path
+   * @param {string} basePath - Base directory path
+   * @returns {string} Relative URI reference
+   */
+  relativeUri(filePath, basePath) {
+    const relative = path.relative(path.resolve(basePath), path.resolve(filePath));
+    return relative.split(path.sep).map(encodeURIComponent).join('/');
+  }
+}
+
+SarifReporter.SARIF_VERSION = SARIF_VERSION;
+
+module.exports = SarifReporter;
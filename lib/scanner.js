@@ -1,7 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { glob } = require('glob');
+const { glob, hasMagic } = require('glob');
 const ErrorHandler = require('./errorHandler');
+const IgnoreMatcher = require('./ignoreMatcher');
 
 /**
  * Scanner class handles file discovery and content reading with cross-platform support
@@ -9,6 +10,7 @@ const ErrorHandler = require('./errorHandler');
 class Scanner {
   constructor(options = {}) {
     this.options = {
+      ...options, // Options left undefined fall back to the defaults below
       maxFileSize: options.maxFileSize || 1024 * 1024, // 1MB default
       ignorePatterns: options.ignorePatterns || [
         'node_modules/**',
@@ -22,8 +24,13 @@ class Scanner {
       supportedExtensions: options.supportedExtensions || [
         'js', 'jsx', 'ts', 'tsx', 'py', 'pyw', 'java', 'cpp', 'c', 'h'
       ],
-      ...options
+      gitignorePatterns: options.gitignorePatterns || [], // Relative to the scanned directory
+      useIgnoreFiles: options.useIgnoreFiles !== false, // Honor .gitignore and .codemigrateignore
+      ignoreCheck: options.ignoreCheck || null // Extra exclusion check: file path -> rule or null
     };
+
+    this.excludedFiles = []; // Files the last scan excluded, with the rule responsible
+    this.matchers = new Map(); // Root -> IgnoreMatcher for files outside directory scans
     
     // Initialize error handler (will be set by parent if needed)
     this.errorHandler = options.errorHandler || null;
@@ -33,6 +40,8 @@ class Scanner {
    * Recursively scan directory for source code files
    * @param {string} targetPath - Directory path to scan
    * @param {Object} options - Scanning options
+   * @param {Array} options.extensions - File extensions to include
+   * @param {Array} options.onlyFiles - Absolute paths; other files are skipped
    * @returns {Promise<Array>} Array of file paths
    */
   async scanDirectory(targetPath, options = {}) {
@@ -69,38 +78,171 @@ class Scanner {
       };
 
       // Find all matching files
-      const files = await glob(globPattern, globOptions);
-      
-      // Filter files by size and accessibility
-      const validFiles = [];
-      for (const filePath of files) {
-        try {
-          const fileStats = await fs.stat(filePath);
-          
-          // Skip files that are too large
-          if (fileStats.size > this.options.maxFileSize) {
-            console.warn(`Skipping large file (${this.formatFileSize(fileStats.size)}): ${filePath}`);
-            continue;
+      let files = await glob(globPattern, globOptions);
+
+      // Apply .gitignore, .codemigrateignore and configured ignore patterns
+      this.excludedFiles = [];
+      if (this.options.useIgnoreFiles || this.options.gitignorePatterns.length > 0 || this.options.ignoreCheck) {
+        const matcher = new IgnoreMatcher({
+          root: normalizedPath,
+          patterns: this.options.gitignorePatterns,
+          useIgnoreFiles: this.options.useIgnoreFiles
+        });
+        files = files.filter(filePath => {
+          const rule = matcher.check(filePath) || (this.options.ignoreCheck && this.options.ignoreCheck(filePath));
+          if (rule) {
+            this.excludedFiles.push({ filePath, rule });
           }
+          return !rule;
+        });
+      }
+
+      // Ignore patterns and extensions still apply to an explicit file list
+      if (options.onlyFiles) {
+        const onlyFiles = new Set(options.onlyFiles.map(filePath => path.resolve(filePath)));
+        files = files.filter(filePath => onlyFiles.has(filePath));
+      }
+      
+      return await this.filterReadableFiles(files);
+    } catch (error) {
+      throw new Error(`Failed to scan directory: ${error.message}`);
+    }
+  }
 
-          // Skip binary files
-          if (await this.isBinaryFile(filePath)) {
-            continue;
+  /**
+   * Resolve scan targets to files. Targets may be directories, files or glob
+   * patterns; extension and ignore filtering apply to all of them, with
+   * patterns for files and globs relative to the current directory.
+   * @param {Array} targets - Directories, files and glob patterns
+   * @param {Object} options - Scanning options (see scanDirectory)
+   * @returns {Promise<Array>} Absolute file paths without duplicates, sorted
+   */
+  async scanTargets(targets, options = {}) {
+    const files = [];
+    const seen = new Set();
+    const excluded = [];
+    this.matchers = new Map();
+
+    for (const target of targets) {
+      let found;
+      const stats = await fs.stat(target).catch(() => null);
+
+      if (stats && stats.isDirectory()) {
+        found = await this.scanDirectory(target, options);
+        excluded.push(...this.excludedFiles);
+      } else if (stats || hasMagic(target, { windowsPathsNoEscape: true })) {
+        const candidates = stats
+          ? [path.resolve(target)]
+          : await glob(target, { nodir: true, dot: false, absolute: true, windowsPathsNoEscape: true });
+        const onlyFiles = options.onlyFiles ? new Set(options.onlyFiles.map(filePath => path.resolve(filePath))) : null;
+
+        const included = candidates.filter(filePath => {
+          const rule = this.getExclusion(filePath, options);
+          if (rule) {
+            // Files named on the command line are reported even without --verbose
+            excluded.push({ filePath, rule, explicit: Boolean(stats) });
           }
+          return !rule && (!onlyFiles || onlyFiles.has(filePath));
+        });
+        found = await this.filterReadableFiles(included);
+      } else {
+        throw new Error(`Target path does not exist: ${target}`);
+      }
 
-          // Check if file is readable
-          await fs.access(filePath, fs.constants.R_OK);
-          validFiles.push(filePath);
-        } catch (error) {
-          // Skip files we can't access
-          console.warn(`Skipping inaccessible file: ${filePath} (${error.message})`);
+      for (const filePath of found) {
+        if (!seen.has(filePath)) {
+          seen.add(filePath);
+          files.push(filePath);
         }
       }
+    }
 
-      return validFiles;
-    } catch (error) {
-      throw new Error(`Failed to scan directory: ${error.message}`);
+    this.excludedFiles = excluded;
+    // glob returns files in no particular order; sort so findings and reports are stable across runs
+    return files.sort();
+  }
+
+  /**
+   * Find out why a file outside a directory scan would be excluded. The file
+   * does not need to exist, so this also works for names given to stdin.
+   * @param {string} filePath - Path to file
+   * @param {Object} options - Scanning options
+   * @param {Array} options.extensions - File extensions to include
+   * @returns {Object|null} Excluding rule ({ pattern, source, line }), or null
+   */
+  getExclusion(filePath, options = {}) {
+    const absolute = path.resolve(filePath);
+    const extensions = options.extensions || this.options.supportedExtensions;
+    const extension = this.getFileExtension(absolute);
+    if (!extensions.includes(extension)) {
+      return { pattern: extension ? `*.${extension}` : path.basename(absolute), source: 'not a scanned file type' };
     }
+
+    // Patterns apply relative to the current directory, or to the file's own directory outside it
+    const cwd = process.cwd();
+    const root = path.relative(cwd, absolute).startsWith('..') ? path.dirname(absolute) : cwd;
+
+    const ignorePattern = this.findIgnorePattern(absolute, root);
+    if (ignorePattern) {
+      return { pattern: ignorePattern, source: '--ignore' };
+    }
+
+    if (this.options.useIgnoreFiles || this.options.gitignorePatterns.length > 0) {
+      if (!this.matchers.has(root)) {
+        this.matchers.set(root, new IgnoreMatcher({
+          root,
+          patterns: this.options.gitignorePatterns,
+          useIgnoreFiles: this.options.useIgnoreFiles
+        }));
+      }
+      const rule = this.matchers.get(root).check(absolute);
+      if (rule) {
+        return rule;
+      }
+    }
+    return this.options.ignoreCheck ? this.options.ignoreCheck(absolute) : null;
+  }
+
+  /**
+   * Drop files that are too large, binary or unreadable
+   * @param {Array} files - Candidate file paths
+   * @returns {Promise<Array>} Files that can be scanned
+   */
+  async filterReadableFiles(files) {
+    const validFiles = [];
+    for (const filePath of files) {
+      try {
+        const fileStats = await fs.stat(filePath);
+        
+        // Skip files that are too large
+        if (fileStats.size > this.options.maxFileSize) {
+          console.warn(`Skipping large file (${this.formatFileSize(fileStats.size)}): ${filePath}`);
+          continue;
+        }
+
+        // Skip binary files
+        if (await this.isBinaryFile(filePath)) {
+          continue;
+        }
+
+        // Check if file is readable
+        await fs.access(filePath, fs.constants.R_OK);
+        validFiles.push(filePath);
+      } catch (error) {
+        // Skip files we can't access
+        console.warn(`Skipping inaccessible file: ${filePath} (${error.message})`);
+      }
+    }
+
+    return validFiles;
+  }
+
+  /**
+   * Get the files excluded by ignore files or patterns in the last scan
+   * @returns {Array} Entries with filePath and the excluding rule ({ pattern, source, line })
+   */
+  getExcludedFiles() {
+    return [...this.excludedFiles];
   }
 
   /**
@@ -278,12 +420,22 @@ class Scanner {
    * @returns {boolean} True if file should be ignored
    */
   shouldIgnoreFile(filePath, basePath) {
+    return this.findIgnorePattern(filePath, basePath) !== undefined;
+  }
+
+  /**
+   * Find the first ignore pattern that matches a file
+   * @param {string} filePath - File path to check
+   * @param {string} basePath - Base directory path
+   * @returns {string|undefined} Matching pattern
+   */
+  findIgnorePattern(filePath, basePath) {
     const relativePath = this.getRelativePath(filePath, basePath);
     
     // Convert Windows paths to Unix-style for pattern matching
     const normalizedPath = relativePath.replace(/\\/g, '/');
     
-    return this.options.ignorePatterns.some(pattern => {
+    return this.options.ignorePatterns.find(pattern => {
       // Simple glob pattern matching
       const regexPattern = pattern
         .replace(/\*\*/g, '.*') // ** matches any number of directories
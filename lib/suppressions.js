@@ -0,0 +1,186 @@
+/**
+ * Comment syntax per file type. Files with unknown extensions accept every
+ * style so directives still work in them.
+ */
+const COMMENT_SYNTAX = {
+  js: { line: ['//'], block: true },
+  jsx: { line: ['//'], block: true },
+  ts: { line: ['//'], block: true },
+  tsx: { line: ['//'], block: true },
+  java: { line: ['//'], block: true },
+  c: { line: ['//'], block: true },
+  cpp: { line: ['//'], block: true },
+  h: { line: ['//'], block: true },
+  py: { line: ['#'], block: false },
+  pyw: { line: ['#'], block: false }
+};
+
+const DEFAULT_SYNTAX = { line: ['//', '#'], block: true };
+
+const DIRECTIVE_PREFIX = 'code-migrate-';
+const DIRECTIVE_TYPES = '(disable-next-line|disable-line|disable|enable)';
+
+/**
+ * Suppressions parses code-migrate-disable comment directives in a file and
+ * decides which findings they silence
+ *
+ * Supported directives:
+ *   code-migrate-disable-next-line [ruleId, ...]
+ *   code-migrate-disable-line [ruleId, ...]
+ *   code-migrate-disable [ruleId, ...]  ...  code-migrate-enable [ruleId, ...]
+ *
+ * Without rule IDs a directive applies to every rule. Text after "--" is a
+ * free-form reason and is ignored.
+ */
+class Suppressions {
+  constructor(content, fileExtension) {
+    this.directives = content.includes(DIRECTIVE_PREFIX)
+      ? this.parse(content, COMMENT_SYNTAX[fileExtension] || DEFAULT_SYNTAX)
+      : [];
+    this.lineSuppressions = [];
+    this.ranges = [];
+    this.buildSuppressions();
+  }
+
+  /**
+   * Check whether the file contains any directives
+   * @returns {boolean} True if directives were found
+   */
+  hasDirectives() {
+    return this.directives.length > 0;
+  }
+
+  /**
+   * Check whether a finding is suppressed, marking the directive as used
+   * @param {Object} finding - Finding from the rule engine
+   * @returns {boolean} True if the finding is suppressed
+   */
+  isSuppressed(finding) {
+    const suppression = this.lineSuppressions.find(entry =>
+      entry.line === finding.lineNumber && this.appliesTo(entry, finding.ruleId)
+    ) || this.ranges.find(range =>
+      finding.lineNumber >= range.startLine &&
+      finding.lineNumber < range.endLine &&
+      this.appliesTo(range, finding.ruleId)
+    );
+
+    if (!suppression) {
+      return false;
+    }
+    suppression.used = true;
+    return true;
+  }
+
+  /**
+   * Get directives that did not suppress any finding
+   * @returns {Array} Unused suppressions with line, directive and rule ID
+   */
+  getUnused() {
+    return [...this.lineSuppressions, ...this.ranges]
+      .filter(entry => !entry.used)
+      .map(entry => ({
+        line: entry.directive.line,
+        directive: `${DIRECTIVE_PREFIX}${entry.directive.type}`,
+        ruleId: entry.ruleId
+      }))
+      .sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Find directives in comments
+   * @param {string} content - File content
+   * @param {Object} syntax - Comment syntax for the file type
+   * @returns {Array} Directives with type, rule IDs and line number
+   */
+  parse(content, syntax) {
+    const patterns = syntax.line.map(marker =>
+      new RegExp(`${this.escapeRegex(marker)}\\s*${DIRECTIVE_PREFIX}${DIRECTIVE_TYPES}(?![\\w-])(.*)$`)
+    );
+    if (syntax.block) {
+      patterns.push(new RegExp(`/\\*\\s*${DIRECTIVE_PREFIX}${DIRECTIVE_TYPES}(?![\\w-])(.*?)\\*/`));
+    }
+
+    const directives = [];
+    content.split('\n').forEach((text, index) => {
+      for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (match) {
+          directives.push({
+            type: match[1],
+            ruleIds: this.parseRuleIds(match[2]),
+            line: index + 1
+          });
+          break;
+        }
+      }
+    });
+
+    return directives;
+  }
+
+  /**
+   * Parse the rule ID list of a directive
+   * @param {string} text - Text following the directive name
+   * @returns {Array} Rule IDs (empty for all rules)
+   */
+  parseRuleIds(text) {
+    const list = text.split('--')[0];
+    return list.split(/[\s,]+/).filter(Boolean);
+  }
+
+  /**
+   * Turn directives into per-line suppressions and line ranges. Each rule ID
+   * gets its own entry so unused suppressions can be reported per rule.
+   */
+  buildSuppressions() {
+    const open = [];
+
+    for (const directive of this.directives) {
+      const ruleIds = directive.ruleIds.length > 0 ? directive.ruleIds : ['*'];
+
+      if (directive.type === 'disable-line' || directive.type === 'disable-next-line') {
+        const line = directive.type === 'disable-line' ? directive.line : directive.line + 1;
+        for (const ruleId of ruleIds) {
+          this.lineSuppressions.push({ directive, ruleId, line, used: false });
+        }
+      } else if (directive.type === 'disable') {
+        for (const ruleId of ruleIds) {
+          const range = { directive, ruleId, startLine: directive.line, endLine: Infinity, used: false };
+          this.ranges.push(range);
+          open.push(range);
+        }
+      } else {
+        // enable closes the matching open ranges, or all of them without IDs
+        for (let i = open.length - 1; i >= 0; i--) {
+          if (directive.ruleIds.length === 0 || directive.ruleIds.includes(open[i].ruleId)) {
+            open[i].endLine = directive.line;
+            open.splice(i, 1);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a suppression entry covers a rule
+   * @param {Object} entry - Line suppression or range
+   * @param {string} ruleId - Rule ID
+   * @returns {boolean} True if the entry covers the rule
+   */
+  appliesTo(entry, ruleId) {
+    return entry.ruleId === '*' || entry.ruleId === ruleId;
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+}
+
+Suppressions.COMMENT_SYNTAX = COMMENT_SYNTAX;
+
+module.exports = Suppressions;
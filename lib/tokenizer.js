@@ -0,0 +1,266 @@
+/**
+ * Comment and string syntax per language
+ */
+const SYNTAX = {
+  javascript: { lineComment: '//', blockComment: true, quotes: ['"', '\''], templates: true, regexLiterals: true },
+  python: { lineComment: '#', blockComment: false, quotes: ['"', '\''], tripleQuotes: true },
+  java: { lineComment: '//', blockComment: true, quotes: ['"', '\''], tripleQuotes: true },
+  c: { lineComment: '//', blockComment: true, quotes: ['"', '\''], rawStrings: true, digitSeparators: true }
+};
+
+/**
+ * Language of each file type the tokenizer understands
+ */
+const LANGUAGES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'javascript',
+  tsx: 'javascript',
+  py: 'python',
+  pyw: 'python',
+  java: 'java',
+  c: 'c',
+  h: 'c',
+  cpp: 'c',
+  cc: 'c',
+  hpp: 'c'
+};
+
+/**
+ * Contexts a regex rule may be restricted to
+ */
+const CONTEXTS = ['code', 'comment', 'string', 'any'];
+
+// Keywords after which a slash starts a regex literal rather than a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+/**
+ * Tokenizer splits a file into code, comments and strings so regex rules can
+ * be restricted to one of them. It only knows enough of each language to find
+ * where comments and string literals start and end; everything else is code.
+ * Template literal substitutions (`${...}`) count as code.
+ */
+class Tokenizer {
+  constructor(content, fileExtension) {
+    const syntax = SYNTAX[LANGUAGES[fileExtension]];
+    this.tokens = syntax ? tokenize(content, syntax) : [];
+  }
+
+  /**
+   * Check whether the tokenizer understands a file type. Files it does not
+   * understand are matched as if every rule had context "any".
+   * @param {string} fileExtension - File extension (without dot)
+   * @returns {boolean} True if the file type is supported
+   */
+  static supports(fileExtension) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, fileExtension);
+  }
+
+  /**
+   * Get the context of an offset in the file
+   * @param {number} offset - Character offset
+   * @returns {string} "code", "comment" or "string"
+   */
+  contextAt(offset) {
+    let low = 0;
+    let high = this.tokens.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const token = this.tokens[middle];
+      if (offset < token.start) {
+        high = middle - 1;
+      } else if (offset >= token.end) {
+        low = middle + 1;
+      } else {
+        return token.type;
+      }
+    }
+    return 'code';
+  }
+}
+
+/**
+ * Find the comments and strings in a file
+ * @param {string} content - File content
+ * @param {Object} syntax - Syntax of the file's language
+ * @returns {Array} Tokens ({ type, start, end }) in source order
+ */
+function tokenize(content, syntax) {
+  const tokens = [];
+  const braces = []; // Open braces inside each enclosing template substitution
+  let i = 0;
+
+  while (i < content.length) {
+    const ch = content[i];
+
+    if (content.startsWith(syntax.lineComment, i)) {
+      const end = content.indexOf('\n', i);
+      i = push(tokens, 'comment', i, end === -1 ? content.length : end);
+    } else if (syntax.blockComment && content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2);
+      i = push(tokens, 'comment', i, end === -1 ? content.length : end + 2);
+    } else if (syntax.templates && ch === '`') {
+      i = scanTemplate(content, tokens, braces, i, i + 1);
+    } else if (syntax.templates && braces.length > 0 && (ch === '{' || ch === '}')) {
+      if (ch === '{') {
+        braces[braces.length - 1]++;
+        i++;
+      } else if (braces[braces.length - 1] > 0) {
+        braces[braces.length - 1]--;
+        i++;
+      } else {
+        braces.pop();
+        i = scanTemplate(content, tokens, braces, i, i + 1);
+      }
+    } else if (syntax.regexLiterals && ch === '/' && startsRegex(content, i)) {
+      i = skipRegex(content, i);
+    } else if (syntax.rawStrings && ch === '"' && content[i - 1] === 'R') {
+      const open = content.indexOf('(', i);
+      const delimiter = open === -1 ? null : content.slice(i + 1, open);
+      if (delimiter === null || /[\s\\)]/.test(delimiter)) {
+        i = scanQuoted(content, tokens, i, '"', false);
+      } else {
+        const end = content.indexOf(`)${delimiter}"`, open);
+        i = push(tokens, 'string', i, end === -1 ? content.length : end + delimiter.length + 2);
+      }
+    } else if (syntax.quotes.includes(ch) && !(syntax.digitSeparators && ch === '\'' && isDigitSeparator(content, i))) {
+      const triple = syntax.tripleQuotes && content.startsWith(ch.repeat(3), i);
+      i = scanQuoted(content, tokens, i, triple ? ch.repeat(3) : ch, triple);
+    } else {
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Record a token and return the offset after it
+ * @param {Array} tokens - Tokens found so far
+ * @param {string} type - "comment" or "string"
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {number} End offset
+ */
+function push(tokens, type, start, end) {
+  tokens.push({ type, start, end });
+  return end;
+}
+
+/**
+ * Scan a quoted string. Single-line strings end at an unescaped newline.
+ * @param {string} content - File content
+ * @param {Array} tokens - Tokens found so far
+ * @param {number} start - Offset of the opening quote
+ * @param {string} quote - Closing quote
+ * @param {boolean} multiline - Whether the string may span lines
+ * @returns {number} Offset after the string
+ */
+function scanQuoted(content, tokens, start, quote, multiline) {
+  let i = start + quote.length;
+  while (i < content.length) {
+    if (content[i] === '\\') {
+      i += 2;
+    } else if (content.startsWith(quote, i)) {
+      return push(tokens, 'string', start, i + quote.length);
+    } else if (content[i] === '\n' && !multiline) {
+      break;
+    } else {
+      i++;
+    }
+  }
+  return push(tokens, 'string', start, Math.min(i, content.length));
+}
+
+/**
+ * Scan part of a template literal, up to its end or the next substitution
+ * @param {string} content - File content
+ * @param {Array} tokens - Tokens found so far
+ * @param {Array} braces - Brace depth of each open substitution
+ * @param {number} start - Start of the token (the backtick or closing brace)
+ * @param {number} from - Offset to continue scanning at
+ * @returns {number} Offset after the scanned part
+ */
+function scanTemplate(content, tokens, braces, start, from) {
+  let i = from;
+  while (i < content.length) {
+    if (content[i] === '\\') {
+      i += 2;
+    } else if (content[i] === '`') {
+      return push(tokens, 'string', start, i + 1);
+    } else if (content.startsWith('${', i)) {
+      braces.push(0);
+      return push(tokens, 'string', start, i + 2);
+    } else {
+      i++;
+    }
+  }
+  return push(tokens, 'string', start, content.length);
+}
+
+/**
+ * Decide whether a slash starts a regex literal, from the code before it
+ * @param {string} content - File content
+ * @param {number} offset - Offset of the slash
+ * @returns {boolean} True for a regex literal
+ */
+function startsRegex(content, offset) {
+  const next = content[offset + 1];
+  if (next === '/' || next === '*') {
+    return false;
+  }
+  let end = offset;
+  while (end > 0 && /\s/.test(content[end - 1])) {
+    end--;
+  }
+  let start = end;
+  while (start > 0 && /[\w$]/.test(content[start - 1])) {
+    start--;
+  }
+  if (start < end) {
+    return REGEX_KEYWORDS.has(content.slice(start, end));
+  }
+  return end === 0 || !/[)\]]/.test(content[end - 1]);
+}
+
+/**
+ * Skip a regex literal, which may contain quotes and slashes in classes
+ * @param {string} content - File content
+ * @param {number} start - Offset of the opening slash
+ * @returns {number} Offset after the closing slash
+ */
+function skipRegex(content, start) {
+  let inClass = false;
+  for (let i = start + 1; i < content.length; i++) {
+    const ch = content[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '\n') {
+      return start + 1; // Not a regex after all
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === ']') {
+      inClass = false;
+    } else if (ch === '/' && !inClass) {
+      return i + 1;
+    }
+  }
+  return start + 1;
+}
+
+/**
+ * Check whether a single quote separates digits in a number (1'000'000)
+ * @param {string} content - File content
+ * @param {number} offset - Offset of the quote
+ * @returns {boolean} True for a digit separator
+ */
+function isDigitSeparator(content, offset) {
+  const number = /[\w.']+$/.exec(content.slice(Math.max(0, offset - 64), offset));
+  return number !== null && /^[0-9]/.test(number[0]) && /^[0-9a-fA-F]/.test(content[offset + 1] || '');
+}
+
+Tokenizer.CONTEXTS = CONTEXTS;
+
+module.exports = Tokenizer;
@@ -0,0 +1,39 @@
+/**
+ * Helpers shared by the XML reporters
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;'
+};
+
+/**
+ * Check whether a character may appear in an XML 1.0 document. Of the C0
+ * control characters only tab, line feed and carriage return are allowed.
+ * @param {string} char - Character
+ * @returns {boolean} True if the character is allowed
+ */
+function isXmlChar(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+}
+
+/**
+ * Escape text for use in XML attributes and content, dropping characters
+ * that are not allowed in XML 1.0
+ * @param {*} value - Text to escape (undefined and null become empty)
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return Array.from(String(value === undefined || value === null ? '' : value))
+    .filter(isXmlChar)
+    .map(char => ENTITIES[char] || char)
+    .join('');
+}
+
+module.exports = {
+  escapeXml
+};
@@ -0,0 +1,68 @@
+const AstMatcher = require('../lib/astMatcher');
+
+describe('astChecks', () => {
+  describe('var-to-const', () => {
+    const matcher = new AstMatcher();
+    const rule = {
+      id: 'var-to-const',
+      type: 'ast',
+      name: 'Replace var',
+      description: 'Replace var with const or let',
+      selector: "VariableDeclaration[kind='var']",
+      check: 'var-to-const',
+      fileTypes: ['js', 'ts'],
+      severity: 'warning'
+    };
+    const fixes = (content, fileExtension = 'js') => {
+      const compiled = matcher.compile(rule);
+      return matcher.apply([{ rule, compiled }], matcher.parse(content, fileExtension), content, `file.${fileExtension}`)
+        .map(finding => [finding.lineNumber, finding.replacementText]);
+    };
+
+    test('should use const for variables that are never reassigned', () => {
+      expect(fixes('var a = 1, b = {};\nb.x = 2;\nfor (var key in b) { use(key); }\n')).toEqual([
+        [1, 'const'],
+        [3, 'const']
+      ]);
+    });
+
+    test('should use let for reassigned or uninitialized variables', () => {
+      expect(fixes('var a = 1;\na += 1;\nvar b;\nfor (var i = 0; i < 3; i++) { use(i); }\n')).toEqual([
+        [1, 'let'],
+        [3, 'let'],
+        [4, 'let']
+      ]);
+    });
+
+    test('should use let for an uninitialized variable in a for loop head', () => {
+      expect(fixes('for (var x; ;) { x = next(); if (x) break; }\nfor (var y, z = 0; ;) { break; }\n')).toEqual([
+        [1, 'let'],
+        [2, 'let']
+      ]);
+    });
+
+    test('should not fix declarations whose scope would change', () => {
+      expect(fixes([
+        'use(early); var early = 1;',
+        'if (ready) var single = 1;',
+        'function f() { if (x) { var inner = 1; } return inner; }',
+        'var twice = 1; var twice = 2;',
+        'for (var j = 0; j < 3; j++) { setTimeout(() => use(j)); }'
+      ].join('\n'))).toEqual([
+        [1, null],
+        [2, null],
+        [3, null],
+        [4, null],
+        [4, null],
+        [5, null]
+      ]);
+    });
+
+    test('should handle TypeScript declarations', () => {
+      expect(fixes('var count: number = 1;\nvar items = <string[]>[];\n', 'ts')).toEqual([
+        [1, 'const'],
+        [2, 'const']
+      ]);
+    });
+  });
+});
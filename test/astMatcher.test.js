@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+const AstMatcher = require('../lib/astMatcher');
+
+describe('AstMatcher', () => {
+  let matcher;
+
+  beforeEach(() => {
+    matcher = new AstMatcher();
+  });
+
+  const rule = (overrides = {}) => ({
+    id: 'test-rule',
+    type: 'ast',
+    name: 'Test Rule',
+    description: 'A test rule',
+    selector: 'Identifier',
+    replacement: null,
+    fileTypes: ['js'],
+    severity: 'warning',
+    ...overrides
+  });
+  const run = (ruleObject, content, fileExtension = 'js', rulesPath) => {
+    const compiled = matcher.compile(ruleObject, rulesPath);
+    return matcher.apply([{ rule: ruleObject, compiled }], matcher.parse(content, fileExtension), content, `file.${fileExtension}`);
+  };
+
+  describe('apply', () => {
+    test('should match code but not strings or comments', () => {
+      const selector = "CallExpression > MemberExpression.callee > Identifier.property[name='substr']";
+      const findings = run(
+        rule({ selector }),
+        'const s = "a.substr(1)"; // b.substr(1)\ns.substr(1);\n'
+      );
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({
+        ruleId: 'test-rule',
+        lineNumber: 2,
+        columnNumber: 3,
+        matchedText: 'substr',
+        fixable: false,
+        pattern: selector
+      });
+    });
+
+    test('should replace the matched node with a replacement', () => {
+      const content = 'value.substr(1);\n';
+      const [finding] = run(rule({ selector: "Identifier[name='substr']", replacement: 'substring' }), content);
+
+      expect(finding).toMatchObject({
+        startOffset: 6,
+        endOffset: 12,
+        fixable: true,
+        replacementText: 'substring'
+      });
+    });
+
+    test('should parse JSX and TypeScript', () => {
+      const selector = "Identifier[name='legacy']";
+
+      expect(run(rule({ selector }), 'const el = <div onClick={legacy} />;\n', 'jsx')).toHaveLength(1);
+      expect(run(rule({ selector }), 'const x: Map<string, number> = legacy as any;\n', 'ts')).toHaveLength(1);
+      expect(run(rule({ selector }), 'const el = <Item<string> value={legacy} />;\n', 'tsx')).toHaveLength(1);
+    });
+
+    test('should throw for files that do not parse', () => {
+      expect(() => matcher.parse('const = ;', 'js')).toThrow();
+    });
+  });
+
+  describe('checks', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(__dirname, 'temp-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+
+    test('should load check modules relative to the rules file', async () => {
+      await fs.outputFile(path.join(tempDir, 'checks', 'no-eval.js'), `
+module.exports = (node, context) => {
+  const variables = context.getDeclaredVariables(context.getParent(node));
+  return { fix: { range: [node.start, node.end], text: context.getText(node).toUpperCase() + variables.length } };
+};
+`);
+      const findings = run(
+        rule({ selector: 'VariableDeclarator > Identifier.id', check: './checks/no-eval.js' }),
+        'let answer = 42;\n',
+        'js',
+        path.join(tempDir, 'rules.json')
+      );
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({ matchedText: 'answer', fixable: true, replacementText: 'ANSWER1' });
+    });
+
+    test('should skip nodes the check rejects and report a range without a fix', () => {
+      const check = 'var-to-const';
+      const findings = run(rule({ selector: 'VariableDeclaration', check }), 'let a = 1;\nif (a) var b = 2;\n');
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({ lineNumber: 2, matchedText: 'var', fixable: false });
+    });
+
+    test('should reject invalid selectors and unknown checks', () => {
+      expect(() => matcher.compile(rule({ selector: 'Identifier[' }))).toThrow('Invalid selector in rule "test-rule"');
+      expect(() => matcher.compile(rule({ check: 'no-such-check' }))).toThrow('Unknown check "no-such-check"');
+      expect(() => matcher.compile(rule({ check: './missing.js' }), path.join(tempDir, 'rules.json'))).toThrow('Cannot load check');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const Baseline = require('../lib/baseline');
+
+describe('Baseline', () => {
+  let tempDir;
+  let baselinePath;
+
+  const createFinding = (overrides = {}) => ({
+    ruleId: 'var-to-const',
+    filePath: path.join(tempDir, 'src', 'app.js'),
+    lineNumber: 1,
+    columnNumber: 1,
+    matchedText: 'var x =',
+    severity: 'warning',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-test-'));
+    baselinePath = path.join(tempDir, 'baseline.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('fingerprint', () => {
+    test('should ignore line numbers and whitespace changes', () => {
+      const baseline = new Baseline(baselinePath);
+      const original = baseline.fingerprint(createFinding(), 'var x = 1;\n');
+      const moved = baseline.fingerprint(
+        createFinding({ lineNumber: 3, matchedText: 'var  x =' }),
+        '\n\n  var  x = 1;\n'
+      );
+
+      expect(moved).toBe(original);
+    });
+
+    test('should differ by rule, file and line context', () => {
+      const baseline = new Baseline(baselinePath);
+      const original = baseline.fingerprint(createFinding(), 'var x = 1;\n');
+
+      expect(baseline.fingerprint(createFinding({ ruleId: 'other' }), 'var x = 1;\n')).not.toBe(original);
+      expect(baseline.fingerprint(createFinding({ filePath: path.join(tempDir, 'b.js') }), 'var x = 1;\n')).not.toBe(original);
+      expect(baseline.fingerprint(createFinding(), 'var x = 2;\n')).not.toBe(original);
+    });
+  });
+
+  describe('save and load', () => {
+    test('should round-trip entries with counts and relative paths', async () => {
+      const findings = [
+        createFinding({ fingerprint: 'aaa' }),
+        createFinding({ fingerprint: 'aaa', lineNumber: 5 }),
+        createFinding({ fingerprint: 'bbb', ruleId: 'todo', matchedText: 'TODO' })
+      ];
+
+      expect(await new Baseline(baselinePath).save(findings)).toBe(3);
+
+      const data = await fs.readJson(baselinePath);
+      expect(data.version).toBe(Baseline.BASELINE_VERSION);
+      expect(data.entries).toEqual([
+        { fingerprint: 'bbb', ruleId: 'todo', file: 'src/app.js', matchedText: 'TODO', count: 1 },
+        { fingerprint: 'aaa', ruleId: 'var-to-const', file: 'src/app.js', matchedText: 'var x =', count: 2 }
+      ]);
+
+      const loaded = await new Baseline(baselinePath).load();
+      expect(loaded.entries.get('aaa').count).toBe(2);
+    });
+
+    test('should reject missing or malformed baseline files', async () => {
+      await expect(new Baseline(baselinePath).load()).rejects.toThrow('Baseline file not found');
+
+      await fs.writeJson(baselinePath, { findings: [] });
+      await expect(new Baseline(baselinePath).load()).rejects.toThrow('missing "entries" array');
+    });
+  });
+
+  describe('filter', () => {
+    test('should report findings beyond the baselined count as new', async () => {
+      const baseline = new Baseline(baselinePath);
+      await baseline.save([createFinding({ fingerprint: 'aaa' })]);
+
+      const result = baseline.filter([
+        createFinding({ fingerprint: 'aaa' }),
+        createFinding({ fingerprint: 'aaa', lineNumber: 2 }),
+        createFinding({ fingerprint: 'ccc' })
+      ]);
+
+      expect(result.baselined).toHaveLength(1);
+      expect(result.newFindings.map(finding => finding.fingerprint)).toEqual(['aaa', 'ccc']);
+      expect(result.fixed).toEqual([]);
+    });
+
+    test('should detect fixed entries only for scanned files', async () => {
+      const baseline = new Baseline(baselinePath);
+      await baseline.save([
+        createFinding({ fingerprint: 'aaa' }),
+        createFinding({ fingerprint: 'bbb', filePath: path.join(tempDir, 'other.js') })
+      ]);
+
+      const result = baseline.filter([], [path.join(tempDir, 'src', 'app.js')]);
+
+      expect(result.fixed).toHaveLength(1);
+      expect(result.fixed[0]).toMatchObject({ fingerprint: 'aaa', file: 'src/app.js', count: 1 });
+    });
+  });
+});
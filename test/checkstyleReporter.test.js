@@ -0,0 +1,37 @@
+const path = require('path');
+const CheckstyleReporter = require('../lib/checkstyleReporter');
+
+describe('CheckstyleReporter', () => {
+  const basePath = path.resolve('/project');
+  const mainFile = path.join(basePath, 'main.js');
+  const cleanFile = path.join(basePath, 'clean.js');
+
+  const findings = [
+    {
+      ruleId: 'substr',
+      ruleName: 'Replace substr()',
+      description: 'substr() is deprecated, use <substring>',
+      filePath: mainFile,
+      lineNumber: 3,
+      columnNumber: 7,
+      matchedText: '.substr(',
+      severity: 'error'
+    }
+  ];
+
+  test('should render one error element per finding', () => {
+    const xml = new CheckstyleReporter().generate({ findings, files: [mainFile] });
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<checkstyle version="4.3">/);
+    expect(xml).toContain(`<file name="${mainFile}">`);
+    expect(xml).toContain('<error line="3" column="7" severity="error"');
+    expect(xml).toContain('source="code-migrate.substr"');
+    expect(xml).toContain('message="Replace substr(): substr() is deprecated, use &lt;substring&gt;"');
+  });
+
+  test('should list clean files without errors', () => {
+    const xml = new CheckstyleReporter().generate({ findings, files: [mainFile, cleanFile] });
+
+    expect(xml).toContain(`<file name="${cleanFile}">\n  </file>`);
+  });
+});
@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
 const { CodeMigrationCLI, configureYargs } = require('../index');
 
 describe('CodeMigrationCLI', () => {
@@ -39,7 +40,7 @@ describe('CodeMigrationCLI', () => {
       const options = {
         rules: rulesPath,
         verbose: false,
-        noColor: false
+        color: true
       };
 
       await cli.initialize(options);
@@ -125,6 +126,16 @@ describe('CodeMigrationCLI', () => {
       expect(results.fixableCount).toBe(2);
     });
 
+    test('should scan a file target with the default extensions', async () => {
+      const testFile = path.join(tempDir, 'src', 'test.js');
+      await fs.outputFile(testFile, 'var x = 1;');
+
+      const results = await cli.scan(testFile, {});
+
+      expect(results.filesScanned).toBe(1);
+      expect(results.issuesFound).toBe(1);
+    });
+
     test('should handle empty directory', async () => {
       const emptyDir = path.join(tempDir, 'empty');
       await fs.ensureDir(emptyDir);
@@ -148,6 +159,40 @@ describe('CodeMigrationCLI', () => {
       expect(results.filesScanned).toBe(1); // Only .js file should be scanned
     });
 
+    test('should keep findings in file order when analyzing concurrently', async () => {
+      for (let i = 0; i < 8; i++) {
+        // Larger files first so later files tend to finish earlier
+        const lines = Array.from({ length: (8 - i) * 50 }, (_, n) => `var v${n} = ${i};`);
+        await fs.writeFile(path.join(tempDir, `file${i}.js`), lines.join('\n'));
+      }
+
+      const files = (await cli.scanner.scanDirectory(tempDir, { extensions: ['js'] })).sort();
+      const sequential = await cli.analyzeFiles(files, tempDir, { concurrency: 1 });
+      const parallel = await cli.analyzeFiles(files, tempDir, { concurrency: 4 });
+
+      expect(parallel.filesProcessed).toBe(8);
+      expect(parallel.findings.map(f => `${f.filePath}:${f.startOffset}`))
+        .toEqual(sequential.findings.map(f => `${f.filePath}:${f.startOffset}`));
+    });
+
+    test('should report accurate progress counts when analyzing concurrently', async () => {
+      for (let i = 0; i < 5; i++) {
+        await fs.writeFile(path.join(tempDir, `file${i}.js`), `var x${i} = ${i};`);
+      }
+      const files = await cli.scanner.scanDirectory(tempDir, { extensions: ['js'] });
+
+      const progressSpy = jest.spyOn(cli.formatter, 'formatProgress');
+      const originalLog = console.log;
+      console.log = jest.fn();
+
+      await cli.analyzeFiles(files, tempDir, { concurrency: 3, verbose: true });
+
+      console.log = originalLog;
+      expect(progressSpy.mock.calls.map(call => call[1])).toEqual([1, 2, 3, 4, 5]);
+      expect(progressSpy.mock.calls.every(call => call[2] === 5)).toBe(true);
+      progressSpy.mockRestore();
+    });
+
     test('should handle scan errors gracefully', async () => {
       // Create a file that will cause read error
       const problematicFile = path.join(tempDir, 'problem.js');
@@ -174,6 +219,544 @@ describe('CodeMigrationCLI', () => {
     });
   });
 
+  describe('report output', () => {
+    beforeEach(async () => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({
+        rules: [
+          {
+            id: 'var-to-const',
+            name: 'Replace var with const',
+            description: 'Replace var declarations',
+            pattern: '\\bvar\\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\\s*=',
+            replacement: 'const $1 =',
+            fileTypes: ['js'],
+            severity: 'warning'
+          }
+        ]
+      }));
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'var x = 1;');
+    });
+
+    test('should write only the JSON report to stdout', async () => {
+      const options = { rules: path.join(tempDir, 'rules.json'), extensions: ['js'], format: 'json' };
+      const stdoutSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      const originalLog = console.log;
+      const originalError = console.error;
+      console.log = jest.fn();
+      console.error = jest.fn();
+
+      let written;
+      let logCalls;
+      try {
+        await cli.initialize(options);
+        await cli.scan(tempDir, options);
+        written = stdoutSpy.mock.calls.map(call => call[0]).join('');
+        logCalls = console.log.mock.calls.length;
+      } finally {
+        stdoutSpy.mockRestore();
+        console.log = originalLog;
+        console.error = originalError;
+      }
+
+      // Human-readable output is routed to stderr
+      expect(logCalls).toBe(0);
+
+      const document = JSON.parse(written);
+      expect(document.findings).toHaveLength(1);
+      expect(document.findings[0].suggestedReplacement).toBe('const x =');
+      expect(document.statistics.filesScanned).toBe(1);
+    });
+
+    test('should write the report to a file and keep console output', async () => {
+      const outputPath = path.join(tempDir, 'reports', 'report.json');
+      const options = {
+        rules: path.join(tempDir, 'rules.json'),
+        extensions: ['js'],
+        format: 'json',
+        output: outputPath
+      };
+      const originalLog = console.log;
+      console.log = jest.fn();
+
+      try {
+        await cli.initialize(options);
+        await cli.scan(tempDir, options);
+      } finally {
+        console.log = originalLog;
+      }
+
+      const document = await fs.readJson(outputPath);
+      expect(document.version).toBe('1.0');
+      expect(document.findings[0].file).toBe('test.js');
+    });
+
+    test('should highlight the scanned code in an HTML report written after fixing', async () => {
+      const outputPath = path.join(tempDir, 'report.html');
+      const options = {
+        rules: path.join(tempDir, 'rules.json'),
+        extensions: ['js'],
+        format: 'html',
+        output: outputPath,
+        fix: true,
+        yes: true,
+        backupDir: path.join(tempDir, '.backups')
+      };
+      const originalLog = console.log;
+      console.log = jest.fn();
+
+      try {
+        await cli.initialize(options);
+        await cli.scan(tempDir, options);
+      } finally {
+        console.log = originalLog;
+      }
+
+      expect(await fs.readFile(path.join(tempDir, 'test.js'), 'utf8')).toBe('const x = 1;');
+      const html = await fs.readFile(outputPath, 'utf8');
+      expect(html).toContain('<mark>var x =</mark> 1;');
+    });
+  });
+
+  describe('patch output', () => {
+    test('should write a patch without modifying files', async () => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({
+        rules: [
+          {
+            id: 'var-to-const',
+            name: 'Replace var with const',
+            description: 'Replace var declarations',
+            pattern: '\\bvar\\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\\s*=',
+            replacement: 'const $1 =',
+            fileTypes: ['js'],
+            severity: 'warning'
+          }
+        ]
+      }));
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;\n');
+      const patchPath = path.join(tempDir, 'fixes.patch');
+      const options = { rules: rulesPath, extensions: ['js'], patch: patchPath };
+      const originalLog = console.log;
+      console.log = jest.fn();
+
+      try {
+        await cli.initialize(options);
+        await cli.scan(tempDir, options);
+      } finally {
+        console.log = originalLog;
+      }
+
+      expect(options.dryRun).toBe(true);
+      expect(await fs.readFile(testFile, 'utf8')).toBe('var x = 1;\n');
+      const patch = await fs.readFile(patchPath, 'utf8');
+      expect(patch).toContain('-var x = 1;\n+const x = 1;\n');
+    });
+  });
+
+  describe('baseline', () => {
+    beforeEach(async () => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({
+        rules: [
+          {
+            id: 'var-declaration',
+            name: 'Var declaration',
+            description: 'Avoid var declarations',
+            pattern: '\\bvar\\s+\\w+',
+            replacement: null,
+            fileTypes: ['js'],
+            severity: 'error'
+          }
+        ]
+      }));
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'var x = 1;\nvar y = 2;\n');
+    });
+
+    test('should only report findings added since the baseline', async () => {
+      const baselinePath = path.join(tempDir, 'baseline.json');
+      const rules = path.join(tempDir, 'rules.json');
+      const originalLog = console.log;
+      const originalExitCode = process.exitCode;
+      console.log = jest.fn();
+
+      let recorded;
+      let unchanged;
+      let changed;
+      try {
+        await cli.initialize({ rules, extensions: ['js'], updateBaseline: baselinePath });
+        recorded = await cli.scan(tempDir, { extensions: ['js'], updateBaseline: baselinePath });
+
+        const baselineCli = new CodeMigrationCLI();
+        await baselineCli.initialize({ rules, extensions: ['js'], baseline: baselinePath });
+        unchanged = await baselineCli.scan(tempDir, { extensions: ['js'], baseline: baselinePath });
+
+        // Move an existing finding, fix another and add a new one
+        await fs.writeFile(path.join(tempDir, 'test.js'), '// header\nvar x = 1;\nvar z = 3;\n');
+        changed = await baselineCli.scan(tempDir, { extensions: ['js'], baseline: baselinePath });
+      } finally {
+        console.log = originalLog;
+        process.exitCode = originalExitCode;
+      }
+
+      expect((await fs.readJson(baselinePath)).entries).toHaveLength(2);
+      expect(recorded.issuesFound).toBe(0);
+      expect(recorded.baselinedCount).toBe(2);
+      expect(unchanged.issuesFound).toBe(0);
+      expect(unchanged.baselinedCount).toBe(2);
+      expect(changed.issuesFound).toBe(1);
+      expect(changed.errorCount).toBe(1);
+      expect(changed.baselinedCount).toBe(1);
+      expect(changed.fixedBaselineCount).toBe(1);
+    });
+  });
+
+  describe('changed files', () => {
+    test('should only report findings on lines changed since a revision', async () => {
+      const Git = require('../lib/git');
+      const git = new Git({ cwd: tempDir });
+      const rules = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rules, JSON.stringify({
+        rules: [
+          {
+            id: 'var-declaration',
+            name: 'Var declaration',
+            description: 'Avoid var declarations',
+            pattern: '\\bvar\\s+\\w+',
+            replacement: null,
+            fileTypes: ['js'],
+            severity: 'error'
+          }
+        ]
+      }));
+      await fs.writeFile(path.join(tempDir, 'changed.js'), 'var a = 1;\n');
+      await fs.writeFile(path.join(tempDir, 'unchanged.js'), 'var b = 1;\n');
+      await git.run(['init', '--quiet', '--initial-branch', 'main']);
+      await git.run(['config', 'user.email', 'test@example.com']);
+      await git.run(['config', 'user.name', 'Test']);
+      await git.run(['add', '-A']);
+      await git.run(['commit', '--quiet', '-m', 'init']);
+      await fs.writeFile(path.join(tempDir, 'changed.js'), 'var a = 1;\nvar c = 2;\n');
+
+      const options = { rules, extensions: ['js'], changedSince: 'HEAD', diffOnly: true };
+      const originalLog = console.log;
+      const originalExitCode = process.exitCode;
+      console.log = jest.fn();
+
+      let statistics;
+      try {
+        await cli.initialize(options);
+        statistics = await cli.scan(tempDir, options);
+      } finally {
+        console.log = originalLog;
+        process.exitCode = originalExitCode;
+      }
+
+      expect(statistics.filesScanned).toBe(1);
+      expect(statistics.issuesFound).toBe(1);
+    });
+  });
+
+  describe('git fix mode', () => {
+    test('should commit in the scanned repository when run from another directory', async () => {
+      const Git = require('../lib/git');
+      const git = new Git({ cwd: tempDir });
+      const rules = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rules, JSON.stringify({
+        rules: [
+          {
+            id: 'var-to-const',
+            name: 'Replace var with const',
+            description: 'Replace var declarations',
+            pattern: '\\bvar\\s+(\\w+)\\s*=',
+            replacement: 'const $1 =',
+            fileTypes: ['js'],
+            severity: 'warning'
+          }
+        ]
+      }));
+      await fs.writeFile(path.join(tempDir, 'test.js'), 'var a = 1;\n');
+      await git.run(['init', '--quiet', '--initial-branch', 'main']);
+      await git.run(['config', 'user.email', 'test@example.com']);
+      await git.run(['config', 'user.name', 'Test']);
+      await git.run(['add', '-A']);
+      await git.run(['commit', '--quiet', '-m', 'init']);
+
+      const options = { paths: [tempDir], rules, extensions: ['js'], fix: true, yes: true, git: true, gitBranch: 'migrate' };
+      const originalCwd = process.cwd();
+      const originalLog = console.log;
+      const originalExitCode = process.exitCode;
+      console.log = jest.fn();
+      process.chdir(os.tmpdir()); // Not a git repository
+
+      try {
+        await cli.initialize(options);
+        await cli.scan(tempDir, options);
+      } finally {
+        process.chdir(originalCwd);
+        console.log = originalLog;
+        process.exitCode = originalExitCode;
+      }
+
+      expect(await git.getCurrentBranch()).toBe('migrate');
+      expect(await git.run(['log', '-1', '--format=%s'])).toContain('var-to-const');
+      expect(await fs.readFile(path.join(tempDir, 'test.js'), 'utf8')).toBe('const a = 1;\n');
+    });
+  });
+
+  describe('project configuration', () => {
+    test('should apply config files, with command line options winning over them', async () => {
+      await fs.outputJson(path.join(tempDir, 'config', 'rules.json'), {
+        rules: [
+          {
+            id: 'var-declaration',
+            name: 'Var declaration',
+            description: 'Avoid var declarations',
+            pattern: '\\bvar\\s+\\w+',
+            replacement: null,
+            fileTypes: ['js'],
+            severity: 'error'
+          }
+        ]
+      });
+      await fs.outputJson(path.join(tempDir, '.codemigraterc'), {
+        root: true,
+        rules: 'config/rules.json',
+        extensions: ['ts'],
+        ignore: ['generated/'],
+        reporters: [{ format: 'json', output: 'reports/scan.json' }]
+      });
+      await fs.outputJson(path.join(tempDir, 'legacy', '.codemigraterc'), { severity: { 'var-declaration': 'info' } });
+      await fs.outputFile(path.join(tempDir, 'app.js'), 'var a = 1;\n');
+      await fs.outputFile(path.join(tempDir, 'legacy', 'old.js'), 'var b = 1;\n');
+      await fs.outputFile(path.join(tempDir, 'generated', 'schema.js'), 'var c = 1;\n');
+
+      // rules.json is a yargs default, so the config file replaces it; --extensions was given
+      const options = { paths: [tempDir], rules: 'rules.json', extensions: ['js'], defaulted: ['rules'] };
+      const originalLog = console.log;
+      const originalExitCode = process.exitCode;
+      console.log = jest.fn();
+
+      let statistics;
+      try {
+        await cli.initialize(options);
+        statistics = await cli.scan(tempDir, options);
+      } finally {
+        console.log = originalLog;
+        process.exitCode = originalExitCode;
+      }
+
+      expect(options.rules).toBe(path.join(tempDir, 'config', 'rules.json'));
+      expect(statistics.filesScanned).toBe(2);
+      expect(statistics.errorCount).toBe(1);
+      expect(statistics.infoCount).toBe(1);
+      const report = await fs.readJson(path.join(tempDir, 'reports', 'scan.json'));
+      expect(report.findings).toHaveLength(2);
+    });
+  });
+
+  describe('stdin', () => {
+    test('should write fixed stdin source to stdout without touching files', async () => {
+      const rules = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rules, JSON.stringify({
+        rules: [
+          {
+            id: 'var-to-const',
+            name: 'Replace var with const',
+            description: 'Replace var declarations',
+            pattern: '\\bvar\\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\\s*=',
+            replacement: 'const $1 =',
+            fileTypes: ['ts'],
+            severity: 'warning'
+          }
+        ]
+      }));
+      const stdinFilename = path.join(tempDir, 'src', 'app.ts');
+
+      const options = { rules, extensions: ['ts'], stdin: true, stdinFilename, fix: true };
+      const originalError = console.error;
+      const originalExitCode = process.exitCode;
+      const originalWrite = process.stdout.write;
+      console.error = jest.fn();
+      process.stdout.write = jest.fn();
+      cli.readStdin = jest.fn().mockResolvedValue('var a = 1;\n');
+
+      let statistics;
+      let written;
+      try {
+        await cli.initialize(options);
+        statistics = await cli.scan([], options);
+        written = process.stdout.write.mock.calls.map(call => call[0]).join('');
+      } finally {
+        console.error = originalError;
+        process.stdout.write = originalWrite;
+        process.exitCode = originalExitCode;
+      }
+
+      expect(statistics.filesScanned).toBe(1);
+      expect(written).toBe('const a = 1;\n');
+      expect(await fs.pathExists(stdinFilename)).toBe(false);
+    });
+
+    test('should fix stdin source with the default extensions', async () => {
+      const rules = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rules, JSON.stringify({
+        rules: [
+          {
+            id: 'var-to-const',
+            name: 'Replace var with const',
+            description: 'Replace var declarations',
+            pattern: '\\bvar\\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\\s*=',
+            replacement: 'const $1 =',
+            fileTypes: ['js'],
+            severity: 'warning'
+          }
+        ]
+      }));
+
+      const options = { rules, stdin: true, stdinFilename: path.join(tempDir, 'app.js'), fix: true };
+      const originalError = console.error;
+      const originalExitCode = process.exitCode;
+      const originalWrite = process.stdout.write;
+      console.error = jest.fn();
+      process.stdout.write = jest.fn();
+      cli.readStdin = jest.fn().mockResolvedValue('var a = 1;\n');
+
+      let statistics;
+      let written;
+      try {
+        await cli.initialize(options);
+        statistics = await cli.scan([], options);
+        written = process.stdout.write.mock.calls.map(call => call[0]).join('');
+      } finally {
+        console.error = originalError;
+        process.stdout.write = originalWrite;
+        process.exitCode = originalExitCode;
+      }
+
+      expect(statistics.filesScanned).toBe(1);
+      expect(written).toBe('const a = 1;\n');
+    });
+  });
+
+  describe('rules test', () => {
+    test('should fail when a rule does not hold for its examples', async () => {
+      const rules = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rules, JSON.stringify({
+        rules: [
+          {
+            id: 'var-to-const',
+            name: 'Replace var with const',
+            description: 'Replace var declarations',
+            pattern: '\\bvar\\s+(\\w+)\\s*=',
+            replacement: 'const $1 =',
+            fileTypes: ['js'],
+            severity: 'warning',
+            examples: {
+              valid: ['const a = 1;'],
+              invalid: [{ code: 'var b = 2;', output: 'let b = 2;' }]
+            }
+          }
+        ]
+      }));
+
+      const originalLog = console.log;
+      const originalError = console.error;
+      const originalExitCode = process.exitCode;
+      console.log = jest.fn();
+      console.error = jest.fn();
+
+      let results;
+      let exitCode;
+      let output;
+      try {
+        results = await cli.testRules({ rules });
+        exitCode = process.exitCode;
+        output = console.log.mock.calls.map(call => call.join(' ')).join('\n');
+      } finally {
+        await cli.shutdown();
+        console.log = originalLog;
+        console.error = originalError;
+        process.exitCode = originalExitCode;
+      }
+
+      expect(results.passed).toBe(1);
+      expect(results.failures).toHaveLength(1);
+      expect(exitCode).toBe(1);
+      expect(output).toContain('-let b = 2;');
+      expect(output).toContain('+const b = 2;');
+    });
+  });
+
+  describe('rules lint', () => {
+    const writeRules = (pattern, replacement) => fs.writeFile(path.join(tempDir, 'rules.json'), JSON.stringify({
+      rules: [
+        {
+          id: 'var-to-const',
+          name: 'Replace var with const',
+          description: 'Replace var declarations',
+          pattern,
+          replacement,
+          fileTypes: ['js'],
+          severity: 'warning'
+        }
+      ]
+    }));
+
+    test('should report rule problems and fail on errors', async () => {
+      await writeRules('(\\w+\\s?)+=', 'const $2 =');
+
+      const originalLog = console.log;
+      const originalError = console.error;
+      const originalExitCode = process.exitCode;
+      console.log = jest.fn();
+      console.error = jest.fn();
+
+      let problems;
+      let exitCode;
+      let errors;
+      try {
+        problems = await cli.lintRules({ rules: path.join(tempDir, 'rules.json') });
+        exitCode = process.exitCode;
+        errors = console.error.mock.calls.map(call => call.join(' ')).join('\n');
+      } finally {
+        await cli.shutdown();
+        console.log = originalLog;
+        console.error = originalError;
+        process.exitCode = originalExitCode;
+      }
+
+      expect(problems.map(problem => problem.severity)).toEqual(['warning', 'error']);
+      expect(exitCode).toBe(1);
+      expect(errors).toContain('var-to-const: replacement refers to $2 but the pattern has 1 capture group');
+      expect(errors).toContain('Checked 1 rule: 1 error, 1 warning');
+    });
+
+    test('should stop a scan when rules have errors', async () => {
+      await writeRules('\\bvar\\s+(\\w+)\\s*=', 'const $2 =');
+      const originalExit = process.exit;
+      const originalError = console.error;
+      process.exit = jest.fn();
+      console.error = jest.fn();
+
+      try {
+        await cli.initialize({ rules: path.join(tempDir, 'rules.json') });
+        expect(process.exit).toHaveBeenCalledWith(1);
+        expect(console.error.mock.calls.map(call => call.join(' ')).join('\n'))
+          .toContain('1 rule problem must be fixed before scanning');
+
+        process.exit.mockClear();
+        await cli.initialize({ rules: path.join(tempDir, 'rules.json'), lintRules: false });
+        expect(process.exit).not.toHaveBeenCalled();
+      } finally {
+        await cli.shutdown();
+        process.exit = originalExit;
+        console.error = originalError;
+      }
+    });
+  });
+
   describe('fix operations', () => {
     beforeEach(async () => {
       // Create test rules with fixable patterns
@@ -222,6 +805,41 @@ describe('CodeMigrationCLI', () => {
       expect(modifiedContent).toContain('const y');
     });
 
+    test('should not back up files when backups are turned off', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;');
+
+      const results = await cli.scan(tempDir, { extensions: ['js'], fix: true, yes: true, backup: false });
+
+      expect(results.filesFixed).toBe(1);
+      expect(await fs.pathExists(path.join(tempDir, '.backups'))).toBe(false);
+    });
+
+    test('should only apply fixes accepted in interactive review', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;\nvar y = 2;');
+      jest.spyOn(cli, 'isInteractiveTerminal').mockReturnValue(true);
+      const reviewSpy = jest.spyOn(cli, 'reviewFixes').mockImplementation(async findings => [findings[1]]);
+
+      const results = await cli.scan(tempDir, { extensions: ['js'], fix: true, interactive: true });
+
+      expect(reviewSpy).toHaveBeenCalledTimes(1);
+      expect(results.patternsReplaced).toBe(1);
+      expect(await fs.readFile(testFile, 'utf8')).toBe('var x = 1;\nconst y = 2;');
+    });
+
+    test('should fix without review when stdin is not a terminal', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;');
+      jest.spyOn(cli, 'isInteractiveTerminal').mockReturnValue(false);
+      const reviewSpy = jest.spyOn(cli, 'reviewFixes');
+
+      const results = await cli.scan(tempDir, { extensions: ['js'], fix: true, interactive: true });
+
+      expect(reviewSpy).not.toHaveBeenCalled();
+      expect(results.patternsReplaced).toBe(1);
+    });
+
     test('should work in dry run mode', async () => {
       const testFile = path.join(tempDir, 'test.js');
       const originalContent = 'var x = 1;';
@@ -305,6 +923,13 @@ describe('CodeMigrationCLI', () => {
       expect(cli.parseFileSize('invalid')).toBe(1024 * 1024); // Default
     });
 
+    test('should resolve concurrency with a CPU-count default', () => {
+      expect(cli.resolveConcurrency(4)).toBe(4);
+      expect(cli.resolveConcurrency(2.7)).toBe(2);
+      expect(cli.resolveConcurrency(0)).toBe(Math.max(1, os.cpus().length));
+      expect(cli.resolveConcurrency(undefined)).toBeGreaterThanOrEqual(1);
+    });
+
     test('should calculate statistics correctly', () => {
       const findings = [
         { severity: 'error', fixable: true },
@@ -369,7 +994,7 @@ describe('configureYargs', () => {
     const argv = yargs.parse(['test-dir', '--fix', '--verbose', '--no-color']);
     expect(argv.fix).toBe(true);
     expect(argv.verbose).toBe(true);
-    expect(argv.noColor).toBe(true);
+    expect(argv.color).toBe(false);
   });
 
   test('should set default values', () => {
@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ConfigLoader = require('../lib/configLoader');
+
+describe('ConfigLoader', () => {
+  let tempDir;
+  let loader;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'temp-'));
+    loader = new ConfigLoader();
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const writeConfig = (dir, config) => fs.outputJson(path.join(tempDir, dir, '.codemigraterc'), config);
+
+  describe('getConfig', () => {
+    test('should merge config files from the root down, deeper files winning', async () => {
+      await writeConfig('', { root: true, extensions: ['js', 'ts'], maxFileSize: '2MB', severity: { a: 'error', b: 'info' } });
+      await writeConfig('src/legacy', { maxFileSize: '4MB', severity: { a: 'off' } });
+
+      const config = loader.getConfig(path.join(tempDir, 'src', 'legacy'));
+
+      expect(config.extensions).toEqual(['js', 'ts']);
+      expect(config.maxFileSize).toBe('4MB');
+      expect(config.severity).toEqual({ a: 'off', b: 'info' });
+      expect(config.files).toEqual([
+        path.join(tempDir, '.codemigraterc'),
+        path.join(tempDir, 'src', 'legacy', '.codemigraterc')
+      ]);
+      expect(loader.getConfig(path.join(tempDir, 'src')).maxFileSize).toBe('2MB');
+    });
+
+    test('should stop at a config file with root: true', async () => {
+      await writeConfig('', { backupDir: 'outer' });
+      await writeConfig('project', { root: true });
+
+      expect(loader.getConfig(path.join(tempDir, 'project')).backupDir).toBeUndefined();
+    });
+
+    test('should resolve paths relative to the config file', async () => {
+      await writeConfig('project', {
+        root: true,
+        rules: 'config/rules.json',
+        backupDir: '.backups',
+        ignore: ['dist/'],
+        reporters: [{ format: 'json', output: 'reports/scan.json' }]
+      });
+
+      const config = loader.getConfig(path.join(tempDir, 'project', 'src'));
+
+      expect(config.rules).toBe(path.join(tempDir, 'project', 'config', 'rules.json'));
+      expect(config.backupDir).toBe(path.join(tempDir, 'project', '.backups'));
+      expect(config.reporters).toEqual([{ format: 'json', output: path.join(tempDir, 'project', 'reports', 'scan.json') }]);
+      expect(config.ignore).toEqual([{
+        patterns: ['dist/'],
+        base: path.join(tempDir, 'project'),
+        source: path.join(tempDir, 'project', '.codemigraterc')
+      }]);
+    });
+
+    test('should read codemigrate.config.js and package.json', async () => {
+      await fs.outputFile(path.join(tempDir, 'codemigrate.config.js'), "module.exports = { root: true, extensions: 'js, py' };\n");
+      await fs.outputJson(path.join(tempDir, 'app', 'package.json'), { name: 'app', codeMigrate: { maxFileSize: '3MB' } });
+      await fs.outputJson(path.join(tempDir, 'app', 'lib', 'package.json'), { name: 'lib' });
+
+      const config = loader.getConfig(path.join(tempDir, 'app', 'lib'));
+
+      expect(config.extensions).toEqual(['js', 'py']);
+      expect(config.maxFileSize).toBe('3MB');
+      expect(config.files).toEqual([
+        path.join(tempDir, 'codemigrate.config.js'),
+        path.join(tempDir, 'app', 'package.json')
+      ]);
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject unknown options', async () => {
+      await writeConfig('', { root: true, extension: ['js'] });
+
+      expect(() => loader.getConfig(tempDir)).toThrow('unknown option "extension"');
+    });
+
+    test('should reject values of the wrong type', async () => {
+      await writeConfig('', { root: true, ignore: 'dist/' });
+
+      expect(() => loader.getConfig(tempDir)).toThrow('"ignore" must be an array');
+    });
+
+    test('should reject unknown severities', async () => {
+      await writeConfig('', { root: true, severity: { a: 'fatal' } });
+
+      expect(() => loader.getConfig(tempDir)).toThrow('severity of "a" must be one of');
+    });
+
+    test('should report invalid JSON with the file name', async () => {
+      await fs.outputFile(path.join(tempDir, '.codemigraterc'), '{ root: true');
+
+      expect(() => loader.getConfig(tempDir)).toThrow(`Invalid config file ${path.join(tempDir, '.codemigraterc')}`);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { createPatch, diffLines, splitLines } = require('../lib/diff');
+
+describe('diff', () => {
+  const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}\n`).join('');
+
+  describe('splitLines', () => {
+    test('should keep line terminators', () => {
+      expect(splitLines('a\r\nb\nc')).toEqual(['a\r\n', 'b\n', 'c']);
+      expect(splitLines('')).toEqual([]);
+    });
+  });
+
+  describe('diffLines', () => {
+    test('should find a minimal edit script', () => {
+      const edits = diffLines(['a\n', 'b\n', 'c\n'], ['a\n', 'x\n', 'c\n', 'd\n']);
+
+      expect(edits.map(edit => edit.type + edit.line.trim())).toEqual([' a', '-b', '+x', ' c', '+d']);
+    });
+  });
+
+  describe('createPatch', () => {
+    test('should return an empty string for identical content', () => {
+      expect(createPatch('a.js', 'same\n', 'same\n')).toBe('');
+    });
+
+    test('should write git-style headers and hunks with context', () => {
+      const original = lines(10);
+      const modified = original.replace('line 5\n', 'line five\n');
+
+      expect(createPatch('src/a.js', original, modified)).toBe([
+        'diff --git a/src/a.js b/src/a.js',
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -2,7 +2,7 @@',
+        ' line 2',
+        ' line 3',
+        ' line 4',
+        '-line 5',
+        '+line five',
+        ' line 6',
+        ' line 7',
+        ' line 8',
+        ''
+      ].join('\n'));
+    });
+
+    test('should split distant changes into separate hunks and merge close ones', () => {
+      const original = lines(30);
+      const distant = original.replace('line 2\n', 'changed\n').replace('line 20\n', 'changed\n');
+      const close = original.replace('line 2\n', 'changed\n').replace('line 8\n', 'changed\n');
+
+      expect(createPatch('a.js', original, distant).match(/^@@/gm)).toHaveLength(2);
+      expect(createPatch('a.js', original, close).match(/^@@/gm)).toHaveLength(1);
+    });
+
+    test('should mark a missing newline at the end of the file', () => {
+      const patch = createPatch('a.js', 'var x = 1;', 'const x = 1;');
+
+      expect(patch).toContain('-var x = 1;\n\\ No newline at end of file\n+const x = 1;\n\\ No newline at end of file\n');
+    });
+
+    test('should use empty ranges for insertions into empty files', () => {
+      expect(createPatch('a.js', '', 'new\n')).toContain('@@ -0,0 +1,1 @@\n+new\n');
+    });
+  });
+});
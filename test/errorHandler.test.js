@@ -103,6 +103,21 @@ describe('ErrorHandler', () => {
     });
   });
 
+  describe('Parse Error Handling', () => {
+    test('should count parse errors and keep the file for regex rules', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const testFile = path.join(tempDir, 'broken.js');
+
+      const result = errorHandler.handleParseError(testFile, new Error('Unexpected token (1:8)'));
+
+      expect(result.type).toBe('parse');
+      expect(result.recoverable).toBe(true);
+      expect(result.message).toContain('Cannot parse broken.js');
+      expect(errorHandler.errorCounts.parse).toBe(1);
+      warn.mockRestore();
+    });
+  });
+
   describe('Memory Pressure Handling', () => {
     test('should handle memory pressure situations', () => {
       const operation = 'file scanning';
@@ -0,0 +1,128 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { PassThrough } = require('stream');
+const chalk = require('chalk');
+const FixReviewer = require('../lib/fixReviewer');
+const Formatter = require('../lib/formatter');
+
+describe('FixReviewer', () => {
+  let tempDir;
+  let testFile;
+  let findings;
+
+  const createReviewer = (answers) => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let written = '';
+    output.on('data', chunk => { written += chunk; });
+    input.end(answers.map(answer => `${answer}\n`).join(''));
+
+    const reviewer = new FixReviewer({
+      input,
+      output,
+      formatter: new Formatter({ colorEnabled: false }),
+      basePath: tempDir
+    });
+    return { reviewer, getOutput: () => written };
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'temp-'));
+    testFile = path.join(tempDir, 'test.js');
+    await fs.writeFile(testFile, 'var a = 1;\nvar b = 2;\nlet c = s.substr(1);\n');
+
+    const varFinding = (name, line, offset) => ({
+      ruleId: 'var-to-const',
+      ruleName: 'Replace var with const',
+      filePath: testFile,
+      lineNumber: line,
+      columnNumber: 1,
+      startOffset: offset,
+      endOffset: offset + 7,
+      matchedText: `var ${name} =`,
+      fixable: true,
+      replacement: 'const $1 =',
+      replacementText: `const ${name} =`
+    });
+    findings = [
+      varFinding('a', 1, 0),
+      varFinding('b', 2, 11),
+      {
+        ruleId: 'substr',
+        ruleName: 'Replace substr',
+        filePath: testFile,
+        lineNumber: 3,
+        columnNumber: 10,
+        startOffset: 31,
+        endOffset: 38,
+        matchedText: '.substr',
+        fixable: true,
+        replacement: '.substring',
+        replacementText: '.substring'
+      }
+    ];
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('should accept and skip individual fixes', async () => {
+    const { reviewer, getOutput } = createReviewer(['y', 'n', 'y']);
+    const { accepted, quit } = await reviewer.review(findings);
+
+    expect(accepted).toEqual([findings[0], findings[2]]);
+    expect(quit).toBe(false);
+    expect(getOutput()).toContain('(1/3) test.js:1:1 Replace var with const');
+    expect(getOutput()).toContain('    - var a = 1;\n    + const a = 1;');
+  });
+
+  test('should apply rule-wide decisions without asking again', async () => {
+    const { reviewer, getOutput } = createReviewer(['a', 'd']);
+    const { accepted } = await reviewer.review(findings);
+
+    expect(accepted).toEqual([findings[0], findings[1]]);
+    expect(getOutput()).not.toContain('(2/3)');
+  });
+
+  test('should use edited replacement text', async () => {
+    const { reviewer } = createReviewer(['e', 'let a =', 'n', 'n']);
+    const { accepted } = await reviewer.review(findings);
+
+    expect(accepted).toHaveLength(1);
+    expect(accepted[0].replacementText).toBe('let a =');
+    expect(findings[0].replacementText).toBe('const a =');
+  });
+
+  test('should stop on quit or when input ends', async () => {
+    const quitting = createReviewer(['y', 'q']);
+    expect(await quitting.reviewer.review(findings)).toEqual({ accepted: [findings[0]], quit: true });
+
+    const ending = createReviewer(['y']);
+    expect(await ending.reviewer.review(findings)).toEqual({ accepted: [findings[0]], quit: true });
+  });
+
+  test('should print help and re-ask on unknown answers', async () => {
+    const { reviewer, getOutput } = createReviewer(['?', 'x', 'n', 'n', 'n']);
+    const { accepted } = await reviewer.review(findings);
+
+    expect(accepted).toEqual([]);
+    expect(getOutput()).toContain('e - edit the replacement text, then apply it');
+    expect(getOutput()).toContain('Unknown choice "x"');
+  });
+
+  test('should use the colors of the formatter', async () => {
+    const { reviewer, getOutput } = createReviewer(['x', 'n', 'n', 'n']);
+    const originalLevel = chalk.level;
+    chalk.level = 1; // As if another part of the program turned colors on
+
+    try {
+      await reviewer.review(findings);
+    } finally {
+      chalk.level = originalLevel;
+    }
+
+    expect(getOutput()).toContain('Apply this fix');
+    expect(getOutput()).not.toContain('\u001b[');
+  });
+});
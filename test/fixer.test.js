@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const Fixer = require('../lib/fixer');
+const Git = require('../lib/git');
 
 describe('Fixer', () => {
   let tempDir;
@@ -65,6 +66,7 @@ describe('Fixer', () => {
     test('should create timestamped backups when enabled', async () => {
       const timestampedFixer = new Fixer({ 
         backupDir, 
+        basePath: tempDir,
         createTimestampedBackups: true 
       });
       
@@ -73,7 +75,52 @@ describe('Fixer', () => {
 
       const backupPath = await timestampedFixer.createBackup(testFile);
       
-      expect(backupPath).toMatch(/test\.js\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}/);
+      expect(path.relative(backupDir, backupPath)).toMatch(/^\d{8}T\d{6}-[0-9a-f]{6}[\\/]test\.js\.backup$/);
+    });
+
+    test('should mirror relative paths so equal basenames do not collide', async () => {
+      const mirroredFixer = new Fixer({ backupDir, basePath: tempDir });
+      const fileA = path.join(tempDir, 'src', 'a', 'index.js');
+      const fileB = path.join(tempDir, 'src', 'b', 'index.js');
+      await fs.outputFile(fileA, 'a');
+      await fs.outputFile(fileB, 'b');
+
+      const backupA = await mirroredFixer.createBackup(fileA);
+      const backupB = await mirroredFixer.createBackup(fileB);
+
+      const sessionDir = path.join(backupDir, mirroredFixer.getSessionId());
+      expect(backupA).toBe(path.join(sessionDir, 'src', 'a', 'index.js.backup'));
+      expect(backupB).toBe(path.join(sessionDir, 'src', 'b', 'index.js.backup'));
+      expect(await fs.readFile(backupB, 'utf8')).toBe('b');
+    });
+
+    test('should keep the first backup of a file within a session', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'first');
+      const backupPath = await fixer.createBackup(testFile);
+      await fs.writeFile(testFile, 'second');
+
+      expect(await fixer.createBackup(testFile)).toBe(backupPath);
+      expect(await fs.readFile(backupPath, 'utf8')).toBe('first');
+    });
+
+    test('should replace a backup left by an earlier run without timestamped backups', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'first run');
+      const backupPath = await new Fixer({ backupDir, createTimestampedBackups: false }).createBackup(testFile);
+      await fs.writeFile(testFile, 'second run');
+
+      const nextRun = new Fixer({ backupDir, createTimestampedBackups: false });
+      expect(await nextRun.createBackup(testFile)).toBe(backupPath);
+      expect(await fs.readFile(backupPath, 'utf8')).toBe('second run');
+    });
+
+    test('should mirror files outside the base path under _external', () => {
+      const mirroredFixer = new Fixer({ backupDir, basePath: path.join(tempDir, 'project') });
+      const outside = path.join(tempDir, 'other', 'lib.js');
+
+      expect(mirroredFixer.getMirroredPath(outside))
+        .toBe(path.join('_external', path.resolve(outside).replace(/^[a-zA-Z]:/, '').replace(/^[\\/]+/, '')));
     });
   });
 
@@ -206,6 +253,42 @@ describe('Fixer', () => {
       const fileContent = await fs.readFile(testFile, 'utf8');
       expect(fileContent).toBe(originalContent);
     });
+
+    test('should produce unified diffs relative to the diff base path', async () => {
+      const dryRunFixer = new Fixer({ backupDir, dryRun: true, basePath: tempDir });
+      const testFile = path.join(tempDir, 'src', 'test.js');
+      await fs.outputFile(testFile, 'let a = 1;\nvar x = 1;\n');
+
+      const results = await dryRunFixer.applyFixes([
+        {
+          ruleId: 'var-to-const',
+          filePath: testFile,
+          lineNumber: 2,
+          columnNumber: 1,
+          startOffset: 11,
+          endOffset: 16,
+          matchedText: 'var x',
+          replacement: 'const x',
+          fixable: true
+        }
+      ]);
+
+      expect(results.diffs).toEqual([
+        {
+          filePath: testFile,
+          diff: [
+            'diff --git a/src/test.js b/src/test.js',
+            '--- a/src/test.js',
+            '+++ b/src/test.js',
+            '@@ -1,2 +1,2 @@',
+            ' let a = 1;',
+            '-var x = 1;',
+            '+const x = 1;',
+            ''
+          ].join('\n')
+        }
+      ]);
+    });
   });
 
   describe('fixFile', () => {
@@ -241,6 +324,92 @@ describe('Fixer', () => {
       expect(content).toBe('const x = 1;\nconst y = 2;');
     });
 
+    test('should only replace the reported ranges', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;\nvar y = 2;');
+
+      // Only the second declaration was reported
+      const findings = [
+        {
+          ruleId: 'var-to-const',
+          lineNumber: 2,
+          columnNumber: 1,
+          startOffset: 11,
+          endOffset: 18,
+          matchedText: 'var y =',
+          replacement: 'const $1 =',
+          replacementText: 'const y =',
+          pattern: '\\bvar\\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\\s*=',
+          fixable: true
+        }
+      ];
+
+      const result = await fixer.fixFile(testFile, findings);
+
+      expect(result.patternsReplaced).toBe(1);
+      expect(await fs.readFile(testFile, 'utf8')).toBe('var x = 1;\nconst y = 2;');
+    });
+
+    test('should skip fixes that overlap an earlier fix', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'a.substr(1);');
+
+      const findings = [
+        {
+          ruleId: 'rule-b',
+          lineNumber: 1,
+          columnNumber: 2,
+          startOffset: 1,
+          endOffset: 9,
+          matchedText: '.substr(',
+          replacementText: '.substring(',
+          fixable: true
+        },
+        {
+          ruleId: 'rule-a',
+          lineNumber: 1,
+          columnNumber: 1,
+          startOffset: 0,
+          endOffset: 8,
+          matchedText: 'a.substr',
+          replacementText: 'b.slice',
+          fixable: true
+        }
+      ];
+
+      const result = await fixer.fixFile(testFile, findings);
+
+      expect(result.patternsReplaced).toBe(1);
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0].reason).toBe('overlap');
+      expect(result.conflicts[0].finding.ruleId).toBe('rule-b');
+      expect(await fs.readFile(testFile, 'utf8')).toBe('b.slice(1);');
+    });
+
+    test('should skip fixes whose text changed since the scan', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'let x = 1;');
+
+      const findings = [
+        {
+          ruleId: 'var-to-const',
+          lineNumber: 1,
+          columnNumber: 1,
+          startOffset: 0,
+          endOffset: 7,
+          matchedText: 'var x =',
+          replacementText: 'const x =',
+          fixable: true
+        }
+      ];
+
+      const result = await fixer.fixFile(testFile, findings);
+
+      expect(result.patternsReplaced).toBe(0);
+      expect(result.conflicts[0].reason).toBe('stale');
+      expect(await fs.readFile(testFile, 'utf8')).toBe('let x = 1;');
+    });
+
     test('should preserve file permissions', async () => {
       const testFile = path.join(tempDir, 'test.js');
       await fs.writeFile(testFile, 'var x = 1;');
@@ -264,6 +433,84 @@ describe('Fixer', () => {
     });
   });
 
+  describe('fix sessions', () => {
+    let testFile;
+
+    const fixVar = () => fixer.applyFixes([
+      {
+        ruleId: 'var-to-const',
+        filePath: testFile,
+        lineNumber: 1,
+        columnNumber: 1,
+        startOffset: 0,
+        endOffset: 5,
+        matchedText: 'var x',
+        replacement: 'const x',
+        fixable: true
+      }
+    ]);
+
+    beforeEach(async () => {
+      testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;');
+    });
+
+    test('should record a session manifest with hashes', async () => {
+      const results = await fixVar();
+
+      const sessions = await fixer.listSessions();
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].id).toBe(results.sessionId);
+      expect(sessions[0].status).toBe('applied');
+      expect(sessions[0].files).toEqual([
+        {
+          path: path.resolve(testFile),
+          backupPath: results.backupsCreated[0],
+          originalHash: fixer.hashContent('var x = 1;'),
+          fixedHash: fixer.hashContent('const x = 1;')
+        }
+      ]);
+    });
+
+    test('should not record sessions for dry runs', async () => {
+      fixer = new Fixer({ backupDir, dryRun: true });
+      const results = await fixVar();
+
+      expect(results.sessionId).toBeNull();
+      expect(await fixer.listSessions()).toEqual([]);
+    });
+
+    test('should undo the latest session and mark it undone', async () => {
+      const { sessionId } = await fixVar();
+
+      const results = await new Fixer({ backupDir }).undoSession();
+
+      expect(results).toMatchObject({ sessionId, refused: false, filesRestored: 1 });
+      expect(await fs.readFile(testFile, 'utf8')).toBe('var x = 1;');
+      expect((await fixer.loadSession(sessionId)).status).toBe('undone');
+      await expect(fixer.undoSession()).rejects.toThrow('No fix sessions to undo');
+      await expect(fixer.undoSession(sessionId)).rejects.toThrow('already undone');
+    });
+
+    test('should refuse to undo files modified after the fix unless forced', async () => {
+      const { sessionId } = await fixVar();
+      await fs.writeFile(testFile, 'const x = 2;');
+
+      const refused = await fixer.undoSession(sessionId);
+      expect(refused.refused).toBe(true);
+      expect(refused.modified).toEqual([path.resolve(testFile)]);
+      expect(await fs.readFile(testFile, 'utf8')).toBe('const x = 2;');
+
+      const forced = await fixer.undoSession(sessionId, { force: true });
+      expect(forced.filesRestored).toBe(1);
+      expect(await fs.readFile(testFile, 'utf8')).toBe('var x = 1;');
+    });
+
+    test('should report unknown sessions', async () => {
+      await expect(fixer.undoSession('missing')).rejects.toThrow('Fix session not found: missing');
+    });
+  });
+
   describe('restoreFromBackup', () => {
     test('should restore file from backup', async () => {
       const testFile = path.join(tempDir, 'test.js');
@@ -304,6 +551,20 @@ describe('Fixer', () => {
       expect(await fs.readFile(file2, 'utf8')).toBe('original2');
     });
 
+    test('should restore from backups recorded by earlier runs', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;');
+      await fixer.applyFixes([
+        { ruleId: 'r', filePath: testFile, lineNumber: 1, columnNumber: 1, matchedText: 'var', replacement: 'let', fixable: true }
+      ]);
+      expect(await fs.readFile(testFile, 'utf8')).toBe('let x = 1;');
+
+      const results = await new Fixer({ backupDir }).restoreFromBackup(testFile);
+
+      expect(results.filesRestored).toBe(1);
+      expect(await fs.readFile(testFile, 'utf8')).toBe('var x = 1;');
+    });
+
     test('should handle missing backup gracefully', async () => {
       const testFile = path.join(tempDir, 'test.js');
       
@@ -338,6 +599,24 @@ describe('Fixer', () => {
   });
 
   describe('cleanupOldBackups', () => {
+    test('should remove old backup sessions and their manifests', async () => {
+      const testFile = path.join(tempDir, 'test.js');
+      await fs.writeFile(testFile, 'var x = 1;');
+      const { sessionId } = await fixer.applyFixes([
+        { ruleId: 'r', filePath: testFile, lineNumber: 1, columnNumber: 1, matchedText: 'var', replacement: 'let', fixable: true }
+      ]);
+      const manifestPath = path.join(backupDir, 'sessions', `${sessionId}.json`);
+      const manifest = await fs.readJson(manifestPath);
+      manifest.createdAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+      await fs.writeJson(manifestPath, manifest);
+
+      const results = await fixer.cleanupOldBackups();
+
+      expect(results).toMatchObject({ filesDeleted: 1, sessionsDeleted: 1 });
+      expect(await fs.pathExists(path.join(backupDir, sessionId))).toBe(false);
+      expect(await fs.pathExists(manifestPath)).toBe(false);
+    });
+
     test('should remove old backup files', async () => {
       // Create old backup file
       const oldBackup = path.join(backupDir, 'old.js.backup');
@@ -445,4 +724,103 @@ describe('Fixer', () => {
       await expect(fixer.checkDiskSpace(testFile, backupDir)).resolves.not.toThrow();
     });
   });
-});
\ No newline at end of file
+
+  describe('git fix mode', () => {
+    let git;
+    let fileA;
+    let fileB;
+
+    const finding = (filePath, ruleId, startOffset, matchedText, replacement) => ({
+      ruleId,
+      ruleName: `Rule ${ruleId}`,
+      description: `Description of ${ruleId}`,
+      filePath,
+      lineNumber: 1,
+      columnNumber: startOffset + 1,
+      startOffset,
+      endOffset: startOffset + matchedText.length,
+      matchedText,
+      replacement,
+      fixable: true
+    });
+
+    beforeEach(async () => {
+      git = new Git({ cwd: tempDir });
+      await git.run(['init', '--quiet', '--initial-branch', 'main']);
+      await git.run(['config', 'user.email', 'test@example.com']);
+      await git.run(['config', 'user.name', 'Test']);
+
+      fileA = path.join(tempDir, 'src', 'a.js');
+      fileB = path.join(tempDir, 'b.js');
+      await fs.outputFile(fileA, 'var x = s.substr(1);');
+      await fs.outputFile(fileB, 'var y = 2;');
+      await git.run(['add', '-A']);
+      await git.run(['commit', '--quiet', '-m', 'init']);
+    });
+
+    test('should commit fixes on a new branch, one commit per rule', async () => {
+      const findings = [
+        finding(fileA, 'var-to-const', 0, 'var x', 'const x'),
+        finding(fileB, 'var-to-const', 0, 'var y', 'const y'),
+        finding(fileA, 'substr', 10, 'substr', 'substring')
+      ];
+
+      const results = await fixer.applyGitFixes(findings, git, { branch: 'migrate' });
+
+      expect(results.branch).toBe('migrate');
+      expect(results.baseBranch).toBe('main');
+      expect(results.filesFixed).toBe(2);
+      expect(results.patternsReplaced).toBe(3);
+      expect(results.backupsCreated).toEqual([]);
+      expect(results.commits.map(commit => commit.ruleId)).toEqual(['var-to-const', 'substr']);
+      expect(await git.getCurrentBranch()).toBe('migrate');
+      expect(await git.getStatus()).toEqual([]);
+      expect(await fs.pathExists(backupDir)).toBe(false);
+
+      expect(await fs.readFile(fileA, 'utf8')).toBe('const x = s.substring(1);');
+      // The first commit only contains the first rule's fix
+      expect(await git.run(['show', `${results.commits[0].sha}:src/a.js`])).toBe('const x = s.substr(1);');
+
+      const message = await git.run(['log', '-1', '--format=%B', results.commits[0].sha]);
+      expect(message).toContain('Fix var-to-const: Rule var-to-const');
+      expect(message).toContain('Description of var-to-const');
+      expect(message).toContain('- b.js (1)');
+      expect(message).toContain('- src/a.js (1)');
+    });
+
+    test('should refuse to run on a dirty tree', async () => {
+      await fs.appendFile(fileB, '\n// local edit');
+
+      await expect(fixer.prepareGitTree(git)).rejects.toThrow('uncommitted change');
+    });
+
+    test('should stash uncommitted changes when asked', async () => {
+      await fs.appendFile(fileB, '\n// local edit');
+
+      const tree = await fixer.prepareGitTree(git, { stash: true });
+
+      expect(tree.stashed).toBe(true);
+      expect(await git.getStatus()).toEqual([]);
+      expect(await git.run(['stash', 'list'])).toContain('code-migrate');
+    });
+
+    test('should delete the branch and restore files when a commit fails', async () => {
+      const findings = [finding(fileB, 'var-to-const', 0, 'var y', 'const y')];
+      jest.spyOn(git, 'commit').mockRejectedValue(new Error('hook rejected'));
+
+      await expect(fixer.applyGitFixes(findings, git, { branch: 'migrate' }))
+        .rejects.toThrow('rolled back: hook rejected');
+
+      expect(await git.getCurrentBranch()).toBe('main');
+      expect(await git.run(['branch', '--list', 'migrate'])).toBe('');
+      expect(await fs.readFile(fileB, 'utf8')).toBe('var y = 2;');
+    });
+
+    test('should refuse files outside the repository', async () => {
+      const outside = path.join(path.dirname(tempDir), 'outside.js');
+
+      await expect(fixer.applyGitFixes([finding(outside, 'var-to-const', 0, 'var y', 'const y')], git))
+        .rejects.toThrow('outside the repository');
+    });
+  });
+});
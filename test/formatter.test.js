@@ -97,6 +97,74 @@ describe('Formatter', () => {
     });
   });
 
+  describe('code frames', () => {
+    const source = 'function test() {\n  var x = 1;\n  return x;\n}\n';
+    const finding = {
+      ruleId: 'var-to-const',
+      ruleName: 'Replace var with const',
+      description: 'Replace var declarations',
+      filePath: '/project/test.js',
+      lineNumber: 2,
+      columnNumber: 3,
+      matchedText: 'var x =',
+      severity: 'warning',
+      fixable: true,
+      replacement: 'const $1 =',
+      replacementText: 'const x ='
+    };
+
+    test('should show context lines with the match underlined', () => {
+      const frameFormatter = new Formatter({ colorEnabled: false, contextLines: 1 });
+      const formatted = frameFormatter.formatFinding(finding, '/project', source);
+
+      expect(formatted).toContain('      1 | function test() {');
+      expect(formatted).toContain('    > 2 |   var x = 1;');
+      expect(formatted).toContain('        |   ^^^^^^^');
+      expect(formatted).toContain('      3 |   return x;');
+      expect(formatted).not.toContain('4 | }');
+    });
+
+    test('should preview the fix for fixable findings', () => {
+      const frameFormatter = new Formatter({ colorEnabled: false, contextLines: 0 });
+      const formatted = frameFormatter.formatFinding(finding, '/project', source);
+
+      expect(formatted).toContain('    -   var x = 1;');
+      expect(formatted).toContain('    +   const x = 1;');
+      expect(frameFormatter.formatFinding({ ...finding, fixable: false }, '/project', source)).not.toContain('+   const');
+    });
+
+    test('should underline every line of a multi-line match', () => {
+      const frame = new Formatter({ colorEnabled: false, contextLines: 0 }).formatCodeFrame({
+        ...finding,
+        lineNumber: 1,
+        columnNumber: 10,
+        matchedText: 'test() {\n  var'
+      }, source);
+
+      expect(frame.split('\n')).toEqual([
+        '    > 1 | function test() {',
+        '        |          ^^^^^^^^',
+        '    > 2 |   var x = 1;',
+        '        | ^^^^^'
+      ]);
+    });
+
+    test('should not show code frames unless context is set', () => {
+      const formatted = new Formatter({ colorEnabled: false }).formatFinding(finding, '/project', source);
+
+      expect(formatted).not.toContain('|');
+    });
+  });
+
+  describe('formatDiff', () => {
+    test('should keep diff lines intact without colors', () => {
+      const diff = '--- a/a.js\n+++ b/a.js\n@@ -1,1 +1,1 @@\n-var x;\n+const x;\n';
+      const formatted = new Formatter({ colorEnabled: false }).formatDiff(diff);
+
+      expect(formatted).toBe(diff.trimEnd());
+    });
+  });
+
   describe('formatFindings', () => {
     test('should format multiple findings grouped by file', () => {
       const findings = [
@@ -238,6 +306,22 @@ describe('Formatter', () => {
       expect(formatted).toContain('Files fixed: 2');
       expect(formatted).toContain('Patterns replaced: 4');
     });
+
+    test('should include baseline statistics when provided', () => {
+      const stats = {
+        filesScanned: 10,
+        issuesFound: 0,
+        baselinedCount: 7,
+        fixedBaselineCount: 2,
+        scanTime: 1000
+      };
+
+      const formatted = formatter.formatSummary(stats);
+
+      expect(formatted).toContain('No new issues found');
+      expect(formatted).toContain('Baselined issues: 7');
+      expect(formatted).toContain('Fixed since baseline: 2');
+    });
   });
 
   describe('message formatting methods', () => {
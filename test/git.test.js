@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Git = require('../lib/git');
+
+describe('Git', () => {
+  let tempDir;
+  let git;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'temp-'));
+    git = new Git({ cwd: tempDir });
+    await git.run(['init', '--quiet', '--initial-branch', 'main']);
+    await git.run(['config', 'user.email', 'test@example.com']);
+    await git.run(['config', 'user.name', 'Test']);
+    await fs.writeFile(path.join(tempDir, 'a.js'), 'var a;');
+    await git.run(['add', '-A']);
+    await git.run(['commit', '--quiet', '-m', 'init']);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('should find the repository root', async () => {
+    expect(await git.getRoot()).toBe(await fs.realpath(tempDir));
+  });
+
+  test('should report a missing repository', async () => {
+    const outside = new Git({ cwd: path.parse(tempDir).root });
+    await expect(outside.getRoot()).rejects.toThrow('Not a git repository');
+  });
+
+  test('should list uncommitted and untracked changes', async () => {
+    expect(await git.getStatus()).toEqual([]);
+
+    await fs.writeFile(path.join(tempDir, 'a.js'), 'const a;');
+    await fs.writeFile(path.join(tempDir, 'b.js'), 'var b;');
+
+    expect(await git.getStatus()).toEqual([' M a.js', '?? b.js']);
+  });
+
+  test('should commit files on a new branch', async () => {
+    await git.createBranch('migrate');
+    await fs.writeFile(path.join(tempDir, 'a.js'), 'const a;');
+
+    const sha = await git.commit([path.join(tempDir, 'a.js')], 'Fix a');
+
+    expect(await git.getCurrentBranch()).toBe('migrate');
+    expect(sha).toBe(await git.getHead());
+    expect(await git.run(['log', '-1', '--format=%s'])).toBe('Fix a\n');
+  });
+
+  test('should reject invalid branch names', async () => {
+    await expect(git.createBranch('bad..name')).rejects.toThrow('Invalid branch name: bad..name');
+  });
+
+  describe('getChanges', () => {
+    const file = name => path.join(tempDir, name);
+
+    beforeEach(async () => {
+      await fs.writeFile(file('a.js'), 'one\ntwo\nthree\n');
+      await fs.writeFile(file('b c.js'), 'b\n');
+      await git.run(['add', '-A']);
+      await git.run(['commit', '--quiet', '-m', 'second']);
+      await git.run(['checkout', '--quiet', '-b', 'feature']);
+    });
+
+    test('should report changed lines since the merge base, including uncommitted work', async () => {
+      await fs.writeFile(file('a.js'), 'one\n2\nthree\nfour\n');
+      await git.run(['commit', '--quiet', '-am', 'feature work']);
+
+      // A later commit on main must not count as a change on this branch
+      await git.run(['checkout', '--quiet', 'main']);
+      await fs.writeFile(file('main.js'), 'main\n');
+      await git.run(['add', '-A']);
+      await git.run(['commit', '--quiet', '-m', 'main work']);
+      await git.run(['checkout', '--quiet', 'feature']);
+
+      await fs.writeFile(file('b c.js'), 'b\nc\n');
+      await fs.writeFile(file('new.js'), 'new\n');
+
+      const changes = await git.getChanges({ since: 'main' });
+      const root = await git.getRoot();
+
+      expect([...changes.keys()].sort()).toEqual(['a.js', 'b c.js', 'new.js'].map(name => path.join(root, name)));
+      expect(changes.get(path.join(root, 'a.js'))).toEqual([{ start: 2, end: 2 }, { start: 4, end: 4 }]);
+      expect(changes.get(path.join(root, 'b c.js'))).toEqual([{ start: 2, end: 2 }]);
+      expect(changes.get(path.join(root, 'new.js'))).toBeNull();
+    });
+
+    test('should only report staged changes with staged', async () => {
+      await fs.writeFile(file('a.js'), 'one\ntwo\nthree\nfour\n');
+      await git.run(['add', 'a.js']);
+      await fs.writeFile(file('b c.js'), 'unstaged\n');
+
+      const changes = await git.getChanges({ staged: true });
+      const root = await git.getRoot();
+
+      expect([...changes.entries()]).toEqual([[path.join(root, 'a.js'), [{ start: 4, end: 4 }]]]);
+    });
+
+    test('should reject unknown revisions', async () => {
+      await expect(git.getChanges({ since: 'no-such-ref' })).rejects.toThrow('Unknown revision');
+    });
+  });
+
+  test('should include git output in errors', async () => {
+    await expect(git.run(['checkout', 'missing-branch'])).rejects.toThrow(/git checkout failed: .*missing-branch/);
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const HtmlReporter = require('../lib/htmlReporter');
+
+describe('HtmlReporter', () => {
+  let reporter;
+  let tempDir;
+  let findings;
+  let sources;
+
+  const statistics = {
+    filesScanned: 3,
+    issuesFound: 2,
+    errorCount: 0,
+    warningCount: 1,
+    infoCount: 1,
+    fixableCount: 1,
+    scanTime: 1500
+  };
+
+  beforeEach(async () => {
+    reporter = new HtmlReporter();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'html-reporter-test-'));
+    sources = new Map([[path.join(tempDir, 'src', 'app.js'), 'line one\nline two\nvar x = 1;\nline four\nline five\nline six\n']]);
+
+    findings = [
+      {
+        ruleId: 'var-to-const',
+        ruleName: 'Replace var with const',
+        description: 'Replace var declarations',
+        filePath: path.join(tempDir, 'src', 'app.js'),
+        lineNumber: 3,
+        columnNumber: 1,
+        matchedText: 'var x =',
+        severity: 'warning',
+        fixable: true,
+        replacement: 'const $1 =',
+        replacementText: 'const x ='
+      },
+      {
+        ruleId: 'todo',
+        ruleName: 'TODO comments',
+        description: 'Find <TODO> comments',
+        filePath: path.join(tempDir, 'missing.js'),
+        lineNumber: 1,
+        columnNumber: 4,
+        matchedText: 'TODO',
+        severity: 'info',
+        fixable: false,
+        replacement: null,
+        replacementText: null
+      }
+    ];
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('should produce a self-contained HTML document', () => {
+    const html = reporter.generate({ findings, statistics, sources, targetPath: tempDir });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<style>');
+    expect(html).toContain('<script>');
+    expect(html).not.toMatch(/<link|<script src|<img/);
+  });
+
+  test('should render summary cards and the fixable split', async () => {
+    const html = reporter.renderSummary(findings, statistics);
+
+    expect(html).toContain('<div class="value">3</div><div class="label">Files scanned</div>');
+    expect(html).toContain('<div class="value">1.5s</div><div class="label">Scan time</div>');
+    expect(html).toContain('style="width: 50%"');
+    expect(html).toContain('1 fixable automatically');
+  });
+
+  test('should break findings down by rule and directory', () => {
+    const byRule = reporter.renderRuleBreakdown(findings);
+    const byDirectory = reporter.renderDirectoryBreakdown(findings, tempDir);
+
+    expect(byRule).toContain('<strong>var-to-const</strong>');
+    expect(byRule).toContain('<strong>todo</strong>');
+    expect(byDirectory).toContain('<td class="location">src</td>');
+    expect(byDirectory).toContain('<td class="location">.</td>');
+  });
+
+  test('should render filterable rows for each finding', () => {
+    const html = reporter.generate({ findings, statistics, sources, targetPath: tempDir });
+
+    expect(html).toContain('data-rule="var-to-const" data-file="src/app.js" data-line="3" data-fixable="fixable"');
+    expect(html).toContain('data-fixable="manual"');
+    expect(html).toContain('id="filter-text"');
+    expect(html).toContain('Suggested replacement: <code>const x =</code>');
+  });
+
+  test('should show code excerpts with the match highlighted', () => {
+    const excerpt = reporter.renderExcerpt(sources.get(findings[0].filePath), findings[0]);
+
+    expect(excerpt).toContain('<span class="line hit"><span class="ln">3</span><mark>var x =</mark> 1;</span>');
+    expect(excerpt).toContain('<span class="ln">1</span>line one');
+    expect(excerpt).toContain('<span class="ln">5</span>line five');
+    expect(excerpt).not.toContain('line six');
+  });
+
+  test('should fall back to the matched text when the source is missing', () => {
+    const html = reporter.generate({ findings, statistics, sources, targetPath: tempDir });
+
+    expect(html).toContain('<pre class="code"><span class="line">TODO</span></pre>');
+  });
+
+  test('should escape HTML in findings', () => {
+    const html = reporter.generate({ findings, statistics, sources, targetPath: tempDir });
+
+    expect(html).toContain('Find &lt;TODO&gt; comments');
+    expect(html).not.toContain('Find <TODO> comments');
+  });
+
+  test('should render an empty report', () => {
+    const html = reporter.generate({ findings: [], statistics: {}, targetPath: tempDir });
+
+    expect(html).toContain('No issues found');
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs-extra');
+const path = require('path');
+const IgnoreMatcher = require('../lib/ignoreMatcher');
+
+describe('IgnoreMatcher', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'temp-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const ignored = (matcher, file) => Boolean(matcher.check(path.join(tempDir, file)));
+
+  describe('pattern syntax', () => {
+    const matcherFor = patterns => new IgnoreMatcher({ root: tempDir, patterns, useIgnoreFiles: false });
+
+    test('should match patterns without a slash at any depth', () => {
+      const matcher = matcherFor(['*.log', 'tmp']);
+
+      expect(ignored(matcher, 'debug.log')).toBe(true);
+      expect(ignored(matcher, 'a/b/debug.log')).toBe(true);
+      expect(ignored(matcher, 'a/tmp/file.js')).toBe(true);
+      expect(ignored(matcher, 'a/log.js')).toBe(false);
+    });
+
+    test('should anchor patterns that contain a slash', () => {
+      const matcher = matcherFor(['/build', 'docs/*.md']);
+
+      expect(ignored(matcher, 'build/out.js')).toBe(true);
+      expect(ignored(matcher, 'src/build/out.js')).toBe(false);
+      expect(ignored(matcher, 'docs/readme.md')).toBe(true);
+      expect(ignored(matcher, 'docs/api/readme.md')).toBe(false);
+    });
+
+    test('should only match directories with a trailing slash', () => {
+      const matcher = matcherFor(['cache/']);
+
+      expect(ignored(matcher, 'cache/data.js')).toBe(true);
+      expect(ignored(matcher, 'src/cache')).toBe(false);
+    });
+
+    test('should support double-star patterns', () => {
+      const matcher = matcherFor(['**/fixtures/*.js', 'out/**', 'a/**/z.js']);
+
+      expect(ignored(matcher, 'fixtures/one.js')).toBe(true);
+      expect(ignored(matcher, 'test/deep/fixtures/one.js')).toBe(true);
+      expect(ignored(matcher, 'out/x/y.js')).toBe(true);
+      expect(ignored(matcher, 'a/z.js')).toBe(true);
+      expect(ignored(matcher, 'a/b/c/z.js')).toBe(true);
+      expect(ignored(matcher, 'b/a/z.js')).toBe(false);
+    });
+
+    test('should support character classes, escapes and comments', () => {
+      const matcher = matcherFor(['# comment', 'file[0-9].js', '\\#hash.js', 'x[!a].js', '']);
+
+      expect(ignored(matcher, 'file1.js')).toBe(true);
+      expect(ignored(matcher, 'filex.js')).toBe(false);
+      expect(ignored(matcher, '#hash.js')).toBe(true);
+      expect(ignored(matcher, 'xb.js')).toBe(true);
+      expect(ignored(matcher, 'xa.js')).toBe(false);
+    });
+
+    test('should apply pattern sets relative to their own directory', () => {
+      const matcher = new IgnoreMatcher({
+        root: tempDir,
+        patternSets: [
+          { patterns: ['/gen'], base: tempDir, source: 'root' },
+          { patterns: ['/gen', '!keep.js'], base: path.join(tempDir, 'src'), source: 'src' }
+        ],
+        useIgnoreFiles: false
+      });
+
+      expect(ignored(matcher, 'gen/a.js')).toBe(true);
+      expect(ignored(matcher, 'src/gen/a.js')).toBe(true);
+      expect(ignored(matcher, 'lib/gen/a.js')).toBe(false);
+      expect(matcher.check(path.join(tempDir, 'src', 'gen', 'a.js')).source).toBe('src');
+    });
+
+    test('should let later negated patterns re-include files', () => {
+      const matcher = matcherFor(['*.js', '!keep.js']);
+
+      expect(ignored(matcher, 'drop.js')).toBe(true);
+      expect(ignored(matcher, 'keep.js')).toBe(false);
+    });
+
+    test('should not re-include files inside an excluded directory', () => {
+      const matcher = matcherFor(['vendor/', '!vendor/keep.js']);
+
+      expect(ignored(matcher, 'vendor/keep.js')).toBe(true);
+    });
+  });
+
+  describe('ignore files', () => {
+    test('should apply nested .gitignore files relative to their directory', async () => {
+      await fs.outputFile(path.join(tempDir, '.gitignore'), '*.gen.js\n');
+      await fs.outputFile(path.join(tempDir, 'pkg', '.gitignore'), '/local.js\n');
+
+      const matcher = new IgnoreMatcher({ root: tempDir });
+
+      expect(ignored(matcher, 'pkg/a.gen.js')).toBe(true);
+      expect(ignored(matcher, 'pkg/local.js')).toBe(true);
+      expect(ignored(matcher, 'local.js')).toBe(false);
+    });
+
+    test('should give .codemigrateignore precedence over .gitignore', async () => {
+      await fs.outputFile(path.join(tempDir, '.gitignore'), 'generated.js\n');
+      await fs.outputFile(path.join(tempDir, '.codemigrateignore'), '!generated.js\nlegacy/\n');
+
+      const matcher = new IgnoreMatcher({ root: tempDir });
+
+      expect(ignored(matcher, 'generated.js')).toBe(false);
+      expect(ignored(matcher, 'legacy/old.js')).toBe(true);
+    });
+
+    test('should read ignore files above the root up to the repository root', async () => {
+      await fs.ensureDir(path.join(tempDir, '.git'));
+      await fs.outputFile(path.join(tempDir, '.gitignore'), '*.tmp.js\n');
+      await fs.ensureDir(path.join(tempDir, 'src'));
+
+      const matcher = new IgnoreMatcher({ root: path.join(tempDir, 'src') });
+
+      expect(ignored(matcher, 'src/a.tmp.js')).toBe(true);
+      expect(ignored(matcher, 'src/a.js')).toBe(false);
+    });
+
+    test('should explain which rule excluded a file', async () => {
+      await fs.outputFile(path.join(tempDir, '.gitignore'), '# build output\ndist/\n');
+
+      const rule = new IgnoreMatcher({ root: tempDir }).check(path.join(tempDir, 'dist', 'a', 'b.js'));
+
+      expect(rule).toMatchObject({ pattern: 'dist/', source: path.join(tempDir, '.gitignore'), line: 2 });
+    });
+
+    test('should ignore ignore files when disabled', async () => {
+      await fs.outputFile(path.join(tempDir, '.gitignore'), '*.js\n');
+
+      expect(ignored(new IgnoreMatcher({ root: tempDir, useIgnoreFiles: false }), 'a.js')).toBe(false);
+    });
+  });
+});
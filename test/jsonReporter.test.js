@@ -0,0 +1,111 @@
+const path = require('path');
+const JsonReporter = require('../lib/jsonReporter');
+
+describe('JsonReporter', () => {
+  let reporter;
+  const basePath = path.resolve('/project');
+
+  const findings = [
+    {
+      ruleId: 'var-to-const',
+      ruleName: 'Replace var with const',
+      description: 'Replace var declarations',
+      filePath: path.join(basePath, 'src', 'main.js'),
+      lineNumber: 2,
+      columnNumber: 1,
+      startOffset: 11,
+      endOffset: 18,
+      matchedText: 'var x =',
+      severity: 'warning',
+      fixable: true,
+      replacement: 'const $1 =',
+      replacementText: 'const x ='
+    },
+    {
+      ruleId: 'console-log',
+      ruleName: 'Console log detection',
+      description: 'Find console.log statements',
+      filePath: path.join(basePath, 'src', 'main.js'),
+      lineNumber: 3,
+      columnNumber: 1,
+      startOffset: 23,
+      endOffset: 35,
+      matchedText: 'console.log(',
+      severity: 'info',
+      fixable: false,
+      replacement: null,
+      replacementText: null
+    }
+  ];
+
+  beforeEach(() => {
+    reporter = new JsonReporter();
+  });
+
+  test('should produce a versioned document', () => {
+    const document = JSON.parse(reporter.generate({ findings: [], statistics: {}, targetPath: basePath }));
+
+    expect(document.version).toBe(JsonReporter.REPORT_VERSION);
+    expect(document.tool.name).toBe('code-migration-cli');
+    expect(document.targetPath).toBe(basePath);
+    expect(document.findings).toEqual([]);
+    expect(document.fixResults).toBeNull();
+  });
+
+  test('should describe findings with relative paths and suggested replacements', () => {
+    const document = reporter.buildDocument({ findings, statistics: {}, targetPath: basePath });
+
+    expect(document.findings[0]).toEqual({
+      ruleId: 'var-to-const',
+      ruleName: 'Replace var with const',
+      severity: 'warning',
+      file: 'src/main.js',
+      line: 2,
+      column: 1,
+      startOffset: 11,
+      endOffset: 18,
+      match: 'var x =',
+      fixable: true,
+      suggestedReplacement: 'const x =',
+      message: 'Replace var declarations'
+    });
+    expect(document.findings[1].fixable).toBe(false);
+    expect(document.findings[1].suggestedReplacement).toBeNull();
+  });
+
+  test('should separate the error summary from statistics', () => {
+    const errorSummary = { total: 1, byType: { timeout: 1 }, hasErrors: true, hasCriticalErrors: false };
+    const document = reporter.buildDocument({
+      findings,
+      statistics: { filesScanned: 1, issuesFound: 2, errorSummary },
+      errorSummary,
+      targetPath: basePath
+    });
+
+    expect(document.statistics).toEqual({ filesScanned: 1, issuesFound: 2 });
+    expect(document.errorSummary).toEqual(errorSummary);
+  });
+
+  test('should include fix results', () => {
+    const document = reporter.buildDocument({
+      findings,
+      statistics: {},
+      fixResults: {
+        dryRun: true,
+        filesProcessed: 1,
+        filesFixed: 1,
+        patternsReplaced: 1,
+        fixedFiles: [path.join(basePath, 'src', 'main.js')],
+        backupsCreated: [],
+        conflicts: [{ finding: findings[0], reason: 'overlap', message: 'Overlaps' }],
+        errors: [{ filePath: path.join(basePath, 'lib.js'), error: 'Read error' }]
+      },
+      targetPath: basePath
+    });
+
+    expect(document.fixResults.dryRun).toBe(true);
+    expect(document.fixResults.fixedFiles).toEqual(['src/main.js']);
+    expect(document.fixResults.conflicts[0]).toMatchObject({ ruleId: 'var-to-const', reason: 'overlap', line: 2 });
+    expect(document.fixResults.errors).toEqual([{ file: 'lib.js', message: 'Read error' }]);
+  });
+});
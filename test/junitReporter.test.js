@@ -0,0 +1,75 @@
+const path = require('path');
+const JunitReporter = require('../lib/junitReporter');
+
+describe('JunitReporter', () => {
+  const basePath = path.resolve('/project');
+  const mainFile = path.join(basePath, 'src', 'main.js');
+  const cleanFile = path.join(basePath, 'src', 'clean.js');
+
+  const rules = [
+    { id: 'var-to-const', name: 'Replace var', description: 'Replace var', severity: 'warning' },
+    { id: 'todo', name: 'TODO comments', description: 'Find TODO', severity: 'info' }
+  ];
+
+  const findings = [
+    {
+      ruleId: 'var-to-const',
+      ruleName: 'Replace var',
+      description: 'Use const & let instead of "var"',
+      filePath: mainFile,
+      lineNumber: 1,
+      columnNumber: 1,
+      matchedText: 'var x <',
+      severity: 'warning',
+      fixable: true
+    },
+    {
+      ruleId: 'var-to-const',
+      ruleName: 'Replace var',
+      description: 'Replace var',
+      filePath: mainFile,
+      lineNumber: 4,
+      columnNumber: 3,
+      matchedText: 'var y =',
+      severity: 'warning',
+      fixable: true
+    }
+  ];
+
+  const report = {
+    findings,
+    rules,
+    files: [mainFile, cleanFile],
+    statistics: { scanTime: 1500 },
+    targetPath: basePath
+  };
+
+  test('should group test suites by file by default', () => {
+    const xml = new JunitReporter().generate(report);
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuites name="code-migration-cli" tests="3" failures="2" errors="0" time="1.500">');
+    expect(xml).toContain('<testsuite name="src/main.js" tests="2" failures="2"');
+    expect(xml).toContain('<testsuite name="src/clean.js" tests="1" failures="0"');
+    expect(xml).toContain('<testcase name="var-to-const at 4:3" classname="src/main.js"');
+  });
+
+  test('should group test suites by rule', () => {
+    const xml = new JunitReporter({ groupBy: 'rule' }).generate(report);
+
+    expect(xml).toContain('<testsuite name="var-to-const" tests="2" failures="2"');
+    expect(xml).toContain('<testsuite name="todo" tests="1" failures="0"');
+    expect(xml).toContain('<testcase name="src/main.js:1:1" classname="var-to-const"');
+  });
+
+  test('should escape XML special characters', () => {
+    const xml = new JunitReporter().generate(report);
+
+    expect(xml).toContain('message="Use const &amp; let instead of &quot;var&quot;"');
+    expect(xml).toContain('Matched: var x &lt;');
+  });
+
+  test('should reject unknown grouping', () => {
+    expect(() => new JunitReporter({ groupBy: 'severity' })).toThrow('Invalid JUnit grouping');
+  });
+});
@@ -0,0 +1,102 @@
+const RegexWorkerPool = require('../lib/regexWorkerPool');
+const { collectMatches } = require('../lib/regexWorker');
+
+describe('RegexWorkerPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new RegexWorkerPool({ size: 2 });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  test('should return matches from a worker thread', async () => {
+    const matches = await pool.exec({
+      pattern: 'var\\s+(\\w+)',
+      flags: 'gm',
+      content: 'var a = 1;\nvar b = 2;',
+      maxIterations: 100
+    });
+
+    expect(matches).toHaveLength(2);
+    expect(matches[0].index).toBe(0);
+    expect(matches[0].groups).toEqual(['var a', 'a']);
+    expect(matches[1].index).toBe(11);
+  });
+
+  test('should terminate catastrophic backtracking and keep working', async () => {
+    const catastrophic = pool.exec({
+      pattern: '^(a+)+$',
+      flags: 'gm',
+      content: 'a'.repeat(40) + '!',
+      maxIterations: 100
+    }, 200);
+
+    await expect(catastrophic).rejects.toThrow('timed out');
+
+    // A replacement worker should pick up the next job
+    const matches = await pool.exec({
+      pattern: 'b',
+      flags: 'g',
+      content: 'abc',
+      maxIterations: 100
+    });
+    expect(matches).toHaveLength(1);
+  });
+
+  test('should reject the task of a worker that exits and keep working', async () => {
+    const running = pool.exec({
+      pattern: '^(a+)+$',
+      flags: 'gm',
+      content: 'a'.repeat(40) + '!',
+      maxIterations: 100
+    }, 60000);
+    const [worker] = pool.workers;
+    await worker.terminate(); // Not through the pool, as if the thread had died
+
+    await expect(running).rejects.toThrow('Regex worker exited unexpectedly');
+    expect(pool.workers.has(worker)).toBe(false);
+
+    const matches = await pool.exec({
+      pattern: 'b',
+      flags: 'g',
+      content: 'abc',
+      maxIterations: 100
+    });
+    expect(matches).toHaveLength(1);
+  });
+
+  test('should reject with worker errors', async () => {
+    await expect(pool.exec({
+      pattern: 'a',
+      flags: 'g',
+      content: 'aaa',
+      maxIterations: 2
+    })).rejects.toThrow('Too many regex matches');
+  });
+
+  test('should process more jobs than workers', async () => {
+    const jobs = [];
+    for (let i = 0; i < 5; i++) {
+      jobs.push(pool.exec({
+        pattern: `x{${i + 1}}`,
+        flags: 'g',
+        content: 'xxxxx',
+        maxIterations: 100
+      }));
+    }
+
+    const results = await Promise.all(jobs);
+    expect(results.map(matches => matches.length)).toEqual([5, 2, 1, 1, 1]);
+  });
+});
+
+describe('collectMatches', () => {
+  test('should advance past zero-width matches', () => {
+    const matches = collectMatches(/^/gm, 'a\nb\nc');
+
+    expect(matches.map(match => match.index)).toEqual([0, 2, 4]);
+  });
+});
@@ -66,6 +66,139 @@ describe('RuleEngine', () => {
       ruleEngine = new RuleEngine(rulesPath);
       await expect(ruleEngine.loadRules()).rejects.toThrow('missing or invalid "rules" array');
     });
+
+    test('should load ignorePatterns from the rules file', async () => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({ rules: [], ignorePatterns: ['dist/', '*.min.js'] }));
+
+      ruleEngine = new RuleEngine(rulesPath, { logger: () => {} });
+      await ruleEngine.loadRules();
+
+      expect(ruleEngine.getIgnorePatterns()).toEqual(['dist/', '*.min.js']);
+    });
+
+    test('should reject ignorePatterns that are not an array', async () => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({ rules: [], ignorePatterns: 'dist/' }));
+
+      ruleEngine = new RuleEngine(rulesPath);
+      await expect(ruleEngine.loadRules()).rejects.toThrow('"ignorePatterns" must be an array');
+    });
+  });
+
+  describe('rule sets', () => {
+    const rule = (id, severity = 'warning') => ({
+      id,
+      name: `Rule ${id}`,
+      description: 'A test rule',
+      pattern: id,
+      replacement: null,
+      fileTypes: ['js'],
+      severity
+    });
+    const writeRules = (file, config) => fs.outputJson(path.join(tempDir, file), config);
+    const load = async (...files) => {
+      ruleEngine = new RuleEngine(files.map(file => path.join(tempDir, file)), { logger: () => {} });
+      await ruleEngine.loadRules();
+      return ruleEngine.getAllRules();
+    };
+
+    test('should load extended rules before the rules of the extending file', async () => {
+      await writeRules('base.json', { rules: [rule('a'), rule('b')], ignorePatterns: ['dist/'] });
+      await writeRules('team/rules.json', { extends: '../base.json', rules: [rule('c')], ignorePatterns: ['build/'] });
+
+      const rules = await load('team/rules.json');
+
+      expect(rules.map(r => r.id)).toEqual(['a', 'b', 'c']);
+      expect(ruleEngine.getIgnorePatterns()).toEqual(['dist/', 'build/']);
+    });
+
+    test('should collect file extensions from all rules files', async () => {
+      await writeRules('base.json', { rules: [rule('a')], fileExtensions: ['js', 'ts'] });
+      await writeRules('rules.json', { extends: './base.json', rules: [rule('b')], fileExtensions: ['ts', 'py'] });
+
+      await load('rules.json');
+
+      expect(ruleEngine.getFileExtensions()).toEqual(['js', 'ts', 'py']);
+    });
+
+    test('should reject fileExtensions that is not an array', async () => {
+      await writeRules('rules.json', { rules: [rule('a')], fileExtensions: 'js' });
+
+      await expect(load('rules.json')).rejects.toThrow('"fileExtensions" must be an array');
+    });
+
+    test('should extend rules from an installed package', async () => {
+      await fs.outputJson(path.join(tempDir, 'node_modules', '@org', 'rules', 'package.json'), {
+        name: '@org/rules',
+        main: 'rules.json'
+      });
+      await writeRules('node_modules/@org/rules/rules.json', { rules: [rule('org')] });
+      await writeRules('node_modules/@org/rules/strict.json', { rules: [rule('strict')] });
+      await writeRules('rules.json', { extends: ['@org/rules', '@org/rules/strict.json'] });
+
+      expect((await load('rules.json')).map(r => r.id)).toEqual(['org', 'strict']);
+    });
+
+    test('should let a child set override severity and fileTypes or turn rules off', async () => {
+      await writeRules('base.json', { rules: [rule('a'), rule('b'), rule('c')] });
+      await writeRules('rules.json', {
+        extends: './base.json',
+        overrides: { a: 'error', b: { fileTypes: ['ts'] }, c: 'off' }
+      });
+
+      const rules = await load('rules.json');
+
+      expect(rules.map(r => [r.id, r.severity, r.fileTypes])).toEqual([
+        ['a', 'error', ['js']],
+        ['b', 'warning', ['ts']]
+      ]);
+    });
+
+    test('should reject invalid overrides', async () => {
+      await writeRules('base.json', { rules: [rule('a')] });
+      await writeRules('unknown.json', { extends: './base.json', overrides: { missing: 'off' } });
+      await writeRules('pattern.json', { extends: './base.json', overrides: { a: { pattern: 'x' } } });
+      await writeRules('severity.json', { extends: './base.json', overrides: { a: 'fatal' } });
+
+      await expect(load('unknown.json')).rejects.toThrow('override for unknown rule "missing"');
+      await expect(load('pattern.json')).rejects.toThrow('overrides may only set severity and fileTypes');
+      await expect(load('severity.json')).rejects.toThrow('Invalid override for rule "a"');
+    });
+
+    test('should combine several rules files', async () => {
+      await writeRules('org.json', { rules: [rule('a')] });
+      await writeRules('team.json', { rules: [rule('b')] });
+
+      expect((await load('org.json', 'team.json')).map(r => r.id)).toEqual(['a', 'b']);
+    });
+
+    test('should detect rule ids defined in more than one file', async () => {
+      await writeRules('org.json', { rules: [rule('a')] });
+      await writeRules('team.json', { extends: './org.json', rules: [rule('a')] });
+      await writeRules('same.json', { rules: [rule('b'), rule('b')] });
+
+      await expect(load('team.json')).rejects.toThrow(`Duplicate rule id "a" in ${path.join(tempDir, 'team.json')}`);
+      await expect(load('org.json', 'org.json')).resolves.toHaveLength(1);
+      await expect(load('same.json')).rejects.toThrow('Duplicate rule id "b"');
+    });
+
+    test('should allow the same rule set to be extended twice', async () => {
+      await writeRules('org.json', { rules: [rule('a')] });
+      await writeRules('web.json', { extends: './org.json', rules: [rule('web')] });
+      await writeRules('api.json', { extends: './org.json', rules: [rule('api')] });
+
+      expect((await load('web.json', 'api.json')).map(r => r.id)).toEqual(['a', 'web', 'api']);
+    });
+
+    test('should reject circular and missing extends', async () => {
+      await writeRules('a.json', { extends: './b.json' });
+      await writeRules('b.json', { extends: './a.json' });
+      await writeRules('missing.json', { extends: 'not-installed-rules' });
+
+      await expect(load('a.json')).rejects.toThrow('Circular extends');
+      await expect(load('missing.json')).rejects.toThrow('Cannot find rules "not-installed-rules"');
+    });
   });
 
   describe('validateRule', () => {
@@ -120,6 +253,58 @@ describe('RuleEngine', () => {
 
       expect(() => ruleEngine.validateRule(ruleWithNullReplacement)).not.toThrow();
     });
+
+    test('should require a selector instead of a pattern for AST rules', () => {
+      const astRule = {
+        id: 'test-rule',
+        type: 'ast',
+        name: 'Test Rule',
+        description: 'A test rule',
+        selector: 'Identifier',
+        fileTypes: ['js'],
+        severity: 'info'
+      };
+
+      expect(() => ruleEngine.validateRule(astRule)).not.toThrow();
+      expect(() => ruleEngine.validateRule({ ...astRule, selector: undefined })).toThrow('missing required field');
+      expect(() => ruleEngine.validateRule({ ...astRule, fileTypes: ['py'] })).toThrow();
+      expect(() => ruleEngine.validateRule({ ...astRule, type: 'xpath' })).toThrow();
+    });
+
+    test('should validate rule examples', () => {
+      const exampleRule = {
+        id: 'test-rule',
+        name: 'Test Rule',
+        description: 'A test rule',
+        pattern: 'var',
+        replacement: 'let',
+        fileTypes: ['js'],
+        severity: 'info',
+        examples: { valid: ['let a;'], invalid: ['var a;', { code: 'var b;', output: 'let b;', fileType: 'js' }] }
+      };
+
+      expect(() => ruleEngine.validateRule(exampleRule)).not.toThrow();
+      expect(() => ruleEngine.validateRule({ ...exampleRule, examples: ['var a;'] })).toThrow('"examples" must be an object');
+      expect(() => ruleEngine.validateRule({ ...exampleRule, examples: { valid: [{ code: 'x', output: 'y' }] } })).toThrow('"examples.valid[0]"');
+      expect(() => ruleEngine.validateRule({ ...exampleRule, examples: { invalid: [{ code: 'x', fileType: 'py' }] } })).toThrow('"fileType" must be one of');
+    });
+
+    test('should validate the context of regex rules', () => {
+      const contextRule = {
+        id: 'test-rule',
+        name: 'Test Rule',
+        description: 'A test rule',
+        pattern: 'TODO',
+        replacement: null,
+        context: 'comment',
+        fileTypes: ['js'],
+        severity: 'info'
+      };
+
+      expect(() => ruleEngine.validateRule(contextRule)).not.toThrow();
+      expect(() => ruleEngine.validateRule({ ...contextRule, context: 'docs' })).toThrow('"context" must be one of');
+      expect(() => ruleEngine.validateRule({ ...contextRule, type: 'ast', selector: 'Identifier' })).toThrow('only applies to regex rules');
+    });
   });
 
   describe('applyRules', () => {
@@ -175,6 +360,27 @@ var count = 0;`;
       expect(findings).toHaveLength(0);
     });
 
+    test('should record exact offsets and expanded replacement text', async () => {
+      const jsCode = `let a = 1;
+var count = 0;`;
+
+      const findings = await ruleEngine.applyRules(jsCode, 'test.js', 'js');
+
+      expect(findings).toHaveLength(1);
+      const [finding] = findings;
+      expect(jsCode.substring(finding.startOffset, finding.endOffset)).toBe(finding.matchedText);
+      expect(finding.matchedText).toBe('var count =');
+      expect(finding.replacementText).toBe('const count =');
+    });
+
+    test('should leave replacementText null for detection-only rules', async () => {
+      const findings = await ruleEngine.applyRules('console.log(1);', 'test.js', 'js');
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0].fixable).toBe(false);
+      expect(findings[0].replacementText).toBeNull();
+    });
+
     test('should calculate correct line and column numbers', async () => {
       const multiLineCode = `function test() {
   var x = 1;
@@ -187,6 +393,287 @@ var count = 0;`;
       expect(findings[0].lineNumber).toBe(2);
       expect(findings[0].columnNumber).toBeGreaterThan(0);
     });
+
+    test('should only report matches in the context a rule is restricted to', async () => {
+      const rulesPath = path.join(tempDir, 'context-rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({
+        rules: [
+          {
+            id: 'todo',
+            name: 'TODO comments',
+            description: 'Find TODO comments',
+            pattern: 'TODO',
+            replacement: null,
+            context: 'comment',
+            fileTypes: ['js', 'rb'],
+            severity: 'info'
+          },
+          {
+            id: 'console-log',
+            name: 'Console log detection',
+            description: 'Find console.log statements',
+            pattern: 'console\\.log\\(',
+            replacement: null,
+            context: 'code',
+            fileTypes: ['js'],
+            severity: 'info'
+          }
+        ]
+      }));
+      ruleEngine = new RuleEngine(rulesPath);
+      await ruleEngine.loadRules();
+
+      const jsCode = `// TODO: remove console.log(x)
+console.log('TODO');`;
+      const findings = await ruleEngine.applyRules(jsCode, 'test.js', 'js');
+
+      expect(findings.map(finding => [finding.ruleId, finding.lineNumber])).toEqual([
+        ['todo', 1],
+        ['console-log', 2]
+      ]);
+
+      // Languages the tokenizer does not know are matched everywhere
+      const rubyFindings = await ruleEngine.applyRules('puts "TODO"', 'test.rb', 'rb');
+      expect(rubyFindings).toHaveLength(1);
+    });
+
+    test('should honor suppression comments and track unused ones', async () => {
+      const jsCode = `// code-migrate-disable-next-line console-log
+console.log('quiet');
+var a = 1; // code-migrate-disable-line var-to-const, console-log
+console.log('loud');`;
+
+      const findings = await ruleEngine.applyRules(jsCode, 'test.js', 'js');
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0].lineNumber).toBe(4);
+      expect(ruleEngine.getUnusedSuppressions()).toEqual([
+        { filePath: 'test.js', line: 3, directive: 'code-migrate-disable-line', ruleId: 'console-log' }
+      ]);
+    });
+  });
+
+  describe('constraints', () => {
+    const loadRule = async (overrides) => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({
+        rules: [{
+          id: 'constrained',
+          name: 'Constrained rule',
+          description: 'A rule with constraints',
+          pattern: '\\.substr\\(',
+          replacement: '.substring(',
+          fileTypes: ['js'],
+          severity: 'warning',
+          ...overrides
+        }]
+      }));
+      ruleEngine = new RuleEngine(rulesPath);
+      await ruleEngine.loadRules();
+    };
+    const lines = async (content) =>
+      (await ruleEngine.applyRules(content, 'test.js', 'js')).map(finding => finding.lineNumber);
+
+    test('should drop matches that match patternNot', async () => {
+      await loadRule({ pattern: '(\\w+)\\.substr\\(', patternNot: '^legacy' });
+
+      expect(await lines('name.substr(1);\nlegacy.substr(1);')).toEqual([1]);
+    });
+
+    test('should test capture groups with where conditions', async () => {
+      await loadRule({
+        pattern: 'var (?<name>\\w+) = (\\w+)',
+        replacement: null,
+        where: { $name: { notMatches: '^_' }, $2: { matches: '^\\d+$' } }
+      });
+
+      expect(await lines('var a = 1;\nvar _b = 2;\nvar c = d;')).toEqual([1]);
+    });
+
+    test('should only keep matches inside patternInside and outside patternNotInside', async () => {
+      await loadRule({
+        patternInside: 'function legacy\\(\\) \\{[^}]*\\}',
+        patternNotInside: '/\\* keep \\*/[^;]*;'
+      });
+
+      const content = [
+        'a.substr(1);',
+        'function legacy() {',
+        '  b.substr(1);',
+        '  /* keep */ c.substr(1);',
+        '}'
+      ].join('\n');
+      expect(await lines(content)).toEqual([3]);
+    });
+
+    test('should apply file-scoped constraints to the whole file', async () => {
+      await loadRule({ patternNotInside: { pattern: 'require\\([\'"]substr-polyfill[\'"]\\)', scope: 'file' } });
+
+      expect(await lines('a.substr(1);')).toEqual([1]);
+      expect(await lines('a.substr(1);\nrequire("substr-polyfill");')).toEqual([]);
+    });
+
+    test('should reject invalid constraints', async () => {
+      const rule = {
+        id: 'test-rule',
+        name: 'Test Rule',
+        description: 'A test rule',
+        pattern: 'test',
+        replacement: null,
+        fileTypes: ['js'],
+        severity: 'info'
+      };
+
+      expect(() => ruleEngine.validateRule({ ...rule, patternNot: 1 })).toThrow('"patternNot" must be a string');
+      expect(() => ruleEngine.validateRule({ ...rule, patternInside: { pattern: 'x', scope: 'line' } })).toThrow('"patternInside" must be');
+      expect(() => ruleEngine.validateRule({ ...rule, where: { 1: { matches: 'x' } } })).toThrow('capture groups');
+      expect(() => ruleEngine.validateRule({ ...rule, where: { $1: { equals: 'x' } } })).toThrow('matches and/or notMatches');
+      await expect(loadRule({ where: { $1: { matches: 'x' } } })).rejects.toThrow('no capture group "$1"');
+      await expect(loadRule({ patternNot: '(' })).rejects.toThrow('Invalid regex pattern in rule "constrained": patternNot:');
+    });
+  });
+
+  describe('ast rules', () => {
+    beforeEach(async () => {
+      const testRules = {
+        rules: [
+          {
+            id: 'var-to-const',
+            type: 'ast',
+            name: 'Replace var with const',
+            description: 'Replace var declarations',
+            selector: "VariableDeclaration[kind='var']",
+            check: 'var-to-const',
+            fileTypes: ['js'],
+            severity: 'warning'
+          },
+          {
+            id: 'console-log',
+            name: 'Console log detection',
+            description: 'Find console.log statements',
+            pattern: 'console\\.log\\s*\\(',
+            replacement: null,
+            fileTypes: ['js'],
+            severity: 'info'
+          }
+        ]
+      };
+
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify(testRules));
+
+      ruleEngine = new RuleEngine(rulesPath);
+      await ruleEngine.loadRules();
+    });
+
+    test('should apply AST and regex rules together in source order', async () => {
+      const jsCode = `var label = 'var x = 1'; // var y = 2
+console.log(label);
+var total = 0;
+total++;`;
+
+      const findings = await ruleEngine.applyRules(jsCode, 'test.js', 'js');
+
+      expect(findings.map(finding => [finding.ruleId, finding.lineNumber, finding.replacementText])).toEqual([
+        ['var-to-const', 1, 'const'],
+        ['console-log', 2, null],
+        ['var-to-const', 3, 'let']
+      ]);
+    });
+
+    test('should skip AST rules for files that do not parse', async () => {
+      const errorHandler = { handleParseError: jest.fn() };
+      ruleEngine.errorHandler = errorHandler;
+
+      const findings = await ruleEngine.applyRules('var a = ;\nconsole.log(a);', 'broken.js', 'js');
+
+      expect(findings.map(finding => finding.ruleId)).toEqual(['console-log']);
+      expect(errorHandler.handleParseError).toHaveBeenCalledWith('broken.js', expect.any(Error));
+    });
+
+    test('should reject AST rules with invalid selectors when loading', async () => {
+      const rulesPath = path.join(tempDir, 'bad-rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({
+        rules: [{
+          id: 'bad-selector',
+          type: 'ast',
+          name: 'Bad',
+          description: 'Bad selector',
+          selector: 'CallExpression[',
+          fileTypes: ['js'],
+          severity: 'info'
+        }]
+      }));
+
+      await expect(new RuleEngine(rulesPath).loadRules()).rejects.toThrow('Invalid selector in rule "bad-selector"');
+    });
+  });
+
+  describe('regex timeouts', () => {
+    test('should report runaway patterns and continue with other rules', async () => {
+      const testRules = {
+        rules: [
+          {
+            id: 'catastrophic',
+            name: 'Catastrophic pattern',
+            description: 'Nested quantifier that backtracks exponentially',
+            pattern: '^(a+)+$',
+            replacement: null,
+            fileTypes: ['js'],
+            severity: 'warning'
+          },
+          {
+            id: 'bang',
+            name: 'Bang',
+            description: 'Find exclamation marks',
+            pattern: '!',
+            replacement: null,
+            fileTypes: ['js'],
+            severity: 'info'
+          }
+        ]
+      };
+
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify(testRules));
+
+      const errorHandler = { handleRegexTimeoutError: jest.fn(), handleUnknownError: jest.fn() };
+      ruleEngine = new RuleEngine(rulesPath, { errorHandler, regexTimeout: 200 });
+      await ruleEngine.loadRules();
+
+      const findings = await ruleEngine.applyRules('a'.repeat(40) + '!', 'slow.js', 'js');
+      await ruleEngine.close();
+
+      expect(errorHandler.handleRegexTimeoutError).toHaveBeenCalledWith('catastrophic', 'slow.js');
+      expect(findings).toHaveLength(1);
+      expect(findings[0].ruleId).toBe('bang');
+    });
+
+    test('should match in-process when worker threads are disabled', async () => {
+      const rulesPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(rulesPath, JSON.stringify({
+        rules: [
+          {
+            id: 'test-rule',
+            name: 'Test Rule',
+            description: 'A test rule',
+            pattern: 'test',
+            replacement: 'TEST',
+            fileTypes: ['js'],
+            severity: 'warning'
+          }
+        ]
+      }));
+
+      ruleEngine = new RuleEngine(rulesPath, { useWorkerThreads: false });
+      await ruleEngine.loadRules();
+
+      const findings = await ruleEngine.applyRules('test test', 'a.js', 'js');
+
+      expect(ruleEngine.workerPool).toBeNull();
+      expect(findings).toHaveLength(2);
+      expect(findings[1].startOffset).toBe(5);
+    });
   });
 
   describe('utility methods', () => {
@@ -231,6 +718,16 @@ var count = 0;`;
       expect(pyRules[0].id).toBe('py-rule');
     });
 
+    test('should expand replacement templates like String.prototype.replace', () => {
+      const content = 'foo(bar, baz)';
+      const match = /(\w+)\((\w+), (?<last>\w+)\)/.exec(content);
+
+      expect(ruleEngine.expandReplacement('$2.$1($<last>)', match, content)).toBe('bar.foo(baz)');
+      expect(ruleEngine.expandReplacement('[$&] $$1', match, content)).toBe('[foo(bar, baz)] $1');
+      expect(ruleEngine.expandReplacement('$9', match, content)).toBe('$9');
+      expect(ruleEngine.expandReplacement('$10', match, content)).toBe('foo0');
+    });
+
     test('should get all rules', () => {
       const allRules = ruleEngine.getAllRules();
       expect(allRules).toHaveLength(2);
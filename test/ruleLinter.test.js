@@ -0,0 +1,73 @@
+const RuleLinter = require('../lib/ruleLinter');
+
+describe('RuleLinter', () => {
+  const rule = (overrides) => ({
+    id: 'test-rule',
+    name: 'Test rule',
+    description: 'A test rule',
+    pattern: '\\bvar\\s+(\\w+)\\s*=',
+    replacement: 'const $1 =',
+    fileTypes: ['js'],
+    severity: 'warning',
+    ...overrides
+  });
+  const lint = (overrides, options) => new RuleLinter(options).lint([rule(overrides)]);
+
+  test('should find no problems in a well-formed rule', () => {
+    expect(lint({})).toEqual([]);
+  });
+
+  test('should warn about nested quantifiers', () => {
+    for (const pattern of ['(a+)+b', '(\\w+\\s?)*;', '(.*,)+x']) {
+      const problems = lint({ pattern, replacement: null });
+      expect(problems).toHaveLength(1);
+      expect(problems[0]).toMatchObject({ ruleId: 'test-rule', severity: 'warning' });
+      expect(problems[0].message).toContain('nested quantifiers');
+    }
+  });
+
+  test('should warn about overlapping alternatives inside a repetition', () => {
+    const problems = lint({ pattern: '(\\w|\\d)+;', replacement: null });
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toContain('alternatives inside a repetition');
+  });
+
+  test('should not warn about unambiguous repetitions', () => {
+    for (const pattern of ['(\\s*,\\s*\\w+)+', '(\\d+\\.)*\\d+', '(foo|bar)+', '"(?:[^"\\\\]|\\\\.)*"']) {
+      expect(lint({ pattern, replacement: null })).toEqual([]);
+    }
+  });
+
+  test('should report patterns that match an empty string', () => {
+    const problems = lint({ pattern: '\\s*|foo', replacement: null });
+
+    expect(problems).toEqual([
+      { ruleId: 'test-rule', severity: 'error', message: 'pattern can match an empty string, which reports zero-length findings' }
+    ]);
+  });
+
+  test('should report replacements that refer to missing capture groups', () => {
+    expect(lint({ replacement: 'let $2 =' })).toEqual([
+      { ruleId: 'test-rule', severity: 'error', message: 'replacement refers to $2 but the pattern has 1 capture group' }
+    ]);
+    expect(lint({ pattern: 'var (?<name>\\w+)', replacement: 'let $<other>' })[0].message).toContain('no group named "other"');
+    expect(lint({ pattern: 'var (?<name>\\w+)', replacement: 'let $<name> $$1' })).toEqual([]);
+  });
+
+  test('should warn about file types the rules file does not scan', () => {
+    const problems = lint({ fileTypes: ['js', 'rb'] }, { fileExtensions: ['js', 'ts'] });
+
+    expect(problems).toEqual([
+      { ruleId: 'test-rule', severity: 'warning', message: 'file type "rb" is not in fileExtensions, so no file of that type is scanned' }
+    ]);
+    expect(lint({ fileTypes: ['rb'] })).toEqual([]);
+  });
+
+  test('should only check the file types of AST rules', () => {
+    const problems = lint({ type: 'ast', pattern: undefined, selector: 'Identifier', replacement: null, fileTypes: ['js', 'py'] }, { fileExtensions: ['js'] });
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0].message).toContain('"py"');
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs-extra');
+const path = require('path');
+const RuleEngine = require('../lib/ruleEngine');
+const RuleTester = require('../lib/ruleTester');
+
+describe('RuleTester', () => {
+  let tempDir;
+  let ruleEngine;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(__dirname, 'temp-'));
+  });
+
+  afterEach(async () => {
+    await ruleEngine.close();
+    await fs.remove(tempDir);
+  });
+
+  const loadRules = async (rules) => {
+    const rulesPath = path.join(tempDir, 'rules.json');
+    await fs.writeFile(rulesPath, JSON.stringify({ rules }));
+    ruleEngine = new RuleEngine(rulesPath, { logger: () => {} });
+    await ruleEngine.loadRules();
+    return new RuleTester(ruleEngine);
+  };
+  const rule = (overrides) => ({
+    id: 'var-to-const',
+    name: 'Replace var with const',
+    description: 'Replace var declarations',
+    pattern: '\\bvar\\s+(\\w+)\\s*=',
+    replacement: 'const $1 =',
+    fileTypes: ['js', 'ts'],
+    severity: 'warning',
+    ...overrides
+  });
+
+  test('should pass rules whose examples hold', async () => {
+    const tester = await loadRules([
+      rule({
+        examples: {
+          valid: ['const a = 1;', { code: 'let b: number = 2;', fileType: 'ts' }],
+          invalid: [{ code: 'var a = 1;\nvar b = 2;\n', output: 'const a = 1;\nconst b = 2;\n' }, 'var c = 3;']
+        }
+      }),
+      rule({ id: 'console-log', pattern: 'console\\.log\\(', replacement: null })
+    ]);
+
+    const results = await tester.run();
+
+    expect(results.passed).toBe(4);
+    expect(results.failures).toEqual([]);
+    expect(results.untested).toEqual(['console-log']);
+  });
+
+  test('should report matches in valid examples and missing matches in invalid ones', async () => {
+    const tester = await loadRules([
+      rule({ examples: { valid: ['var a = 1;'], invalid: ['let b = 2;'] } })
+    ]);
+
+    const { failures } = await tester.run();
+
+    expect(failures).toEqual([
+      expect.objectContaining({ ruleId: 'var-to-const', kind: 'valid', index: 0, message: 'expected no match, got 1: "var a ="' }),
+      expect.objectContaining({ ruleId: 'var-to-const', kind: 'invalid', index: 0, message: 'expected a match, got none' })
+    ]);
+  });
+
+  test('should show a diff when the fix output differs', async () => {
+    const tester = await loadRules([
+      rule({ examples: { invalid: [{ code: 'let a = 1;\nvar b = 2;\n', output: 'let a = 1;\nlet b = 2;\n' }] } })
+    ]);
+
+    const { failures } = await tester.run();
+
+    expect(failures).toHaveLength(1);
+    expect(failures[0].message).toBe('fix output does not match');
+    expect(failures[0].diff).toBe('--- expected\n+++ actual\n let a = 1;\n-let b = 2;\n+const b = 2;\n');
+  });
+
+  test('should only count findings of the rule under test', async () => {
+    const tester = await loadRules([
+      rule({ examples: { valid: ['console.log(1);'] } }),
+      rule({ id: 'console-log', pattern: 'console\\.log\\(', replacement: null })
+    ]);
+
+    const results = await tester.run();
+
+    expect(results.passed).toBe(1);
+    expect(results.failures).toEqual([]);
+  });
+});
@@ -0,0 +1,143 @@
+const path = require('path');
+const SarifReporter = require('../lib/sarifReporter');
+
+describe('SarifReporter', () => {
+  let reporter;
+  const basePath = path.resolve('/project');
+
+  const rules = [
+    {
+      id: 'var-to-const',
+      name: 'Replace var with const',
+      description: 'Replace var declarations',
+      pattern: '\\bvar\\s+(\\w+)\\s*=',
+      replacement: 'const $1 =',
+      fileTypes: ['js'],
+      severity: 'warning'
+    },
+    {
+      id: 'todo',
+      name: 'TODO comments',
+      description: 'Find TODO comments',
+      pattern: 'TODO',
+      replacement: null,
+      fileTypes: ['js', 'py'],
+      severity: 'info'
+    }
+  ];
+
+  const findings = [
+    {
+      ruleId: 'var-to-const',
+      ruleName: 'Replace var with const',
+      description: 'Replace var declarations',
+      filePath: path.join(basePath, 'src', 'my file.js'),
+      lineNumber: 3,
+      columnNumber: 5,
+      startOffset: 40,
+      endOffset: 47,
+      matchedText: 'var x =',
+      severity: 'warning',
+      fixable: true,
+      replacement: 'const $1 =',
+      replacementText: 'const x ='
+    },
+    {
+      ruleId: 'todo',
+      ruleName: 'TODO comments',
+      description: 'Find TODO comments',
+      filePath: path.join(basePath, 'lib.py'),
+      lineNumber: 1,
+      columnNumber: 3,
+      startOffset: 2,
+      endOffset: 6,
+      matchedText: 'TODO',
+      severity: 'info',
+      fixable: false,
+      replacement: null,
+      replacementText: null
+    }
+  ];
+
+  beforeEach(() => {
+    reporter = new SarifReporter();
+  });
+
+  test('should produce a SARIF 2.1.0 log with one run', () => {
+    const log = JSON.parse(reporter.generate({ findings, rules, targetPath: basePath }));
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.$schema).toContain('sarif-2.1.0');
+    expect(log.runs).toHaveLength(1);
+    expect(log.runs[0].tool.driver.name).toBe('code-migration-cli');
+    expect(log.runs[0].originalUriBaseIds.SRCROOT.uri).toMatch(/^file:\/\/.*\/$/);
+  });
+
+  test('should describe every loaded rule with a mapped level', () => {
+    const { rules: descriptors } = reporter.buildLog({ findings: [], rules, targetPath: basePath }).runs[0].tool.driver;
+
+    expect(descriptors.map(rule => rule.id)).toEqual(['var-to-const', 'todo']);
+    expect(descriptors[0].fullDescription.text).toBe('Replace var declarations');
+    expect(descriptors[0].defaultConfiguration.level).toBe('warning');
+    expect(descriptors[1].defaultConfiguration.level).toBe('note');
+    expect(descriptors[1].properties.fixable).toBe(false);
+  });
+
+  test('should mark AST rules fixable when their checks produce fixes', () => {
+    const astRule = {
+      id: 'js-var-to-const',
+      type: 'ast',
+      name: 'Replace var with const/let',
+      description: 'Replace var declarations',
+      selector: "VariableDeclaration[kind='var']",
+      check: 'var-to-const',
+      replacement: null,
+      fileTypes: ['js'],
+      severity: 'warning'
+    };
+    const astFinding = { ...findings[0], ruleId: 'js-var-to-const', replacement: 'const', replacementText: 'const' };
+
+    const log = reporter.buildLog({ findings: [astFinding], rules: [astRule], targetPath: basePath });
+
+    expect(log.runs[0].tool.driver.rules[0].properties.fixable).toBe(true);
+    expect(log.runs[0].results[0].fixes).toHaveLength(1);
+  });
+
+  test('should emit results with physical locations', () => {
+    const [result] = reporter.buildLog({ findings, rules, targetPath: basePath }).runs[0].results;
+    const location = result.locations[0].physicalLocation;
+
+    expect(result.ruleId).toBe('var-to-const');
+    expect(result.ruleIndex).toBe(0);
+    expect(result.level).toBe('warning');
+    expect(location.artifactLocation).toEqual({ uri: 'src/my%20file.js', uriBaseId: 'SRCROOT' });
+    expect(location.region).toMatchObject({
+      startLine: 3,
+      startColumn: 5,
+      endLine: 3,
+      endColumn: 12,
+      charOffset: 40,
+      charLength: 7
+    });
+  });
+
+  test('should include fixes only for fixable findings', () => {
+    const results = reporter.buildLog({ findings, rules, targetPath: basePath }).runs[0].results;
+    const [replacement] = results[0].fixes[0].artifactChanges[0].replacements;
+
+    expect(replacement.insertedContent.text).toBe('const x =');
+    expect(replacement.deletedRegion).toMatchObject({ startLine: 3, startColumn: 5, endColumn: 12 });
+    expect(results[1].fixes).toBeUndefined();
+    expect(results[1].level).toBe('note');
+  });
+
+  test('should compute end positions for multi-line matches', () => {
+    const region = reporter.getRegion({
+      lineNumber: 2,
+      columnNumber: 4,
+      matchedText: 'foo(\n  bar)'
+    });
+
+    expect(region).toEqual({ startLine: 2, startColumn: 4, endLine: 3, endColumn: 7 });
+  });
+});
@@ -85,6 +85,109 @@ describe('Scanner', () => {
       expect(files.some(f => f.endsWith('.py'))).toBe(true);
       expect(files.some(f => f.endsWith('.java'))).toBe(false);
     });
+
+    test('should honor .gitignore, .codemigrateignore and configured patterns', async () => {
+      await fs.outputFile(path.join(tempDir, 'src', 'app.js'), 'app');
+      await fs.outputFile(path.join(tempDir, 'src', 'generated', 'schema.js'), 'schema');
+      await fs.outputFile(path.join(tempDir, 'src', 'vendor.js'), 'vendor');
+      await fs.outputFile(path.join(tempDir, 'lib', 'bundle.min.js'), 'bundle');
+      await fs.outputFile(path.join(tempDir, 'src', '.gitignore'), 'generated/\nvendor.js\n');
+      await fs.outputFile(path.join(tempDir, 'src', '.codemigrateignore'), '!vendor.js\n');
+
+      const ignoring = new Scanner({ gitignorePatterns: ['*.min.js'] });
+      const files = await ignoring.scanDirectory(tempDir, { extensions: ['js'] });
+
+      expect(files.sort()).toEqual([
+        path.join(tempDir, 'src', 'app.js'),
+        path.join(tempDir, 'src', 'vendor.js')
+      ]);
+      expect(ignoring.getExcludedFiles().map(entry => [path.relative(tempDir, entry.filePath), entry.rule.pattern]).sort()).toEqual([
+        [path.join('lib', 'bundle.min.js'), '*.min.js'],
+        [path.join('src', 'generated', 'schema.js'), 'generated/']
+      ]);
+    });
+
+    test('should skip ignore files when useIgnoreFiles is false', async () => {
+      await fs.outputFile(path.join(tempDir, 'generated', 'schema.js'), 'schema');
+      await fs.outputFile(path.join(tempDir, '.gitignore'), 'generated/\n');
+
+      const files = await new Scanner({ useIgnoreFiles: false }).scanDirectory(tempDir, { extensions: ['js'] });
+
+      expect(files).toEqual([path.join(tempDir, 'generated', 'schema.js')]);
+    });
+
+    test('should limit results to an explicit file list', async () => {
+      await fs.outputFile(path.join(tempDir, 'src', 'changed.js'), 'var a;');
+      await fs.outputFile(path.join(tempDir, 'src', 'unchanged.js'), 'var b;');
+      await fs.outputFile(path.join(tempDir, 'dist', 'changed.js'), 'var c;');
+
+      const ignoring = new Scanner({ ignorePatterns: ['dist/**'] });
+      const files = await ignoring.scanDirectory(tempDir, {
+        extensions: ['js'],
+        onlyFiles: [
+          path.join(tempDir, 'src', 'changed.js'),
+          path.join(tempDir, 'dist', 'changed.js'),
+          path.join(tempDir, 'src', 'deleted.js')
+        ]
+      });
+
+      expect(files).toEqual([path.join(tempDir, 'src', 'changed.js')]);
+    });
+  });
+
+  describe('scanTargets', () => {
+    test('should combine files, directories and glob patterns without duplicates', async () => {
+      await fs.outputFile(path.join(tempDir, 'src', 'app.js'), 'app');
+      await fs.outputFile(path.join(tempDir, 'src', 'util.js'), 'util');
+      await fs.outputFile(path.join(tempDir, 'lib', 'a.ts'), 'a');
+      await fs.outputFile(path.join(tempDir, 'lib', 'b.js'), 'b');
+
+      const files = await scanner.scanTargets([
+        path.join(tempDir, 'src', 'app.js'),
+        path.join(tempDir, 'src'),
+        path.join(tempDir, 'lib', '*.ts')
+      ], { extensions: ['js', 'ts'] });
+
+      expect(files).toEqual([
+        path.join(tempDir, 'lib', 'a.ts'),
+        path.join(tempDir, 'src', 'app.js'),
+        path.join(tempDir, 'src', 'util.js')
+      ]);
+    });
+
+    test('should return files sorted by path', async () => {
+      for (const name of ['z.js', 'm/b.js', 'a.js', 'm/a.js']) {
+        await fs.outputFile(path.join(tempDir, name), name);
+      }
+
+      const files = await scanner.scanTargets([tempDir], { extensions: ['js'] });
+
+      expect(files).toEqual(['a.js', 'm/a.js', 'm/b.js', 'z.js'].map(name => path.join(tempDir, name)));
+    });
+
+    test('should apply extension and ignore filtering to named files', async () => {
+      await fs.outputFile(path.join(tempDir, 'app.js'), 'app');
+      await fs.outputFile(path.join(tempDir, 'bundle.min.js'), 'bundle');
+      await fs.outputFile(path.join(tempDir, 'notes.txt'), 'notes');
+
+      const ignoring = new Scanner({ gitignorePatterns: ['*.min.js'] });
+      const files = await ignoring.scanTargets([
+        path.join(tempDir, 'app.js'),
+        path.join(tempDir, 'bundle.min.js'),
+        path.join(tempDir, 'notes.txt')
+      ], { extensions: ['js'] });
+
+      expect(files).toEqual([path.join(tempDir, 'app.js')]);
+      expect(ignoring.getExcludedFiles().map(entry => [path.basename(entry.filePath), entry.rule.pattern, entry.explicit])).toEqual([
+        ['bundle.min.js', '*.min.js', true],
+        ['notes.txt', '*.txt', true]
+      ]);
+    });
+
+    test('should throw error for targets that do not exist', async () => {
+      await expect(scanner.scanTargets([path.join(tempDir, 'missing.js')], { extensions: ['js'] }))
+        .rejects.toThrow('Target path does not exist');
+    });
   });
 
   describe('readFile', () => {
@@ -0,0 +1,86 @@
+const Suppressions = require('../lib/suppressions');
+
+describe('Suppressions', () => {
+  const finding = (ruleId, lineNumber) => ({ ruleId, lineNumber });
+
+  test('should ignore files without directives', () => {
+    const suppressions = new Suppressions('var x = 1;\n', 'js');
+
+    expect(suppressions.hasDirectives()).toBe(false);
+    expect(suppressions.isSuppressed(finding('var-to-const', 1))).toBe(false);
+  });
+
+  test('should suppress the same line and the next line', () => {
+    const content = [
+      'var x = 1; // code-migrate-disable-line var-to-const',
+      '// code-migrate-disable-next-line',
+      'var y = 2;',
+      'var z = 3;'
+    ].join('\n');
+    const suppressions = new Suppressions(content, 'js');
+
+    expect(suppressions.isSuppressed(finding('var-to-const', 1))).toBe(true);
+    expect(suppressions.isSuppressed(finding('console-log', 1))).toBe(false);
+    expect(suppressions.isSuppressed(finding('console-log', 3))).toBe(true);
+    expect(suppressions.isSuppressed(finding('var-to-const', 4))).toBe(false);
+  });
+
+  test('should suppress block ranges until enabled', () => {
+    const content = [
+      '/* code-migrate-disable var-to-const, console-log -- legacy module */',
+      'var x = 1;',
+      '/* code-migrate-enable console-log */',
+      'console.log(x);',
+      'var y = 2;',
+      '// code-migrate-enable',
+      'var z = 3;'
+    ].join('\n');
+    const suppressions = new Suppressions(content, 'js');
+
+    expect(suppressions.isSuppressed(finding('var-to-const', 2))).toBe(true);
+    expect(suppressions.isSuppressed(finding('console-log', 4))).toBe(false);
+    expect(suppressions.isSuppressed(finding('var-to-const', 5))).toBe(true);
+    expect(suppressions.isSuppressed(finding('var-to-const', 7))).toBe(false);
+  });
+
+  test('should keep ranges open until the end of the file', () => {
+    const suppressions = new Suppressions('// code-migrate-disable\nvar x = 1;\n\nvar y = 2;', 'js');
+
+    expect(suppressions.isSuppressed(finding('var-to-const', 4))).toBe(true);
+  });
+
+  test('should use the comment syntax of the file type', () => {
+    const content = [
+      'print("a")  # code-migrate-disable-line python-print',
+      'print("b")  // code-migrate-disable-line python-print'
+    ].join('\n');
+    const suppressions = new Suppressions(content, 'py');
+
+    expect(suppressions.isSuppressed(finding('python-print', 1))).toBe(true);
+    expect(suppressions.isSuppressed(finding('python-print', 2))).toBe(false);
+    expect(new Suppressions('x = 1 # code-migrate-disable-line', 'js').hasDirectives()).toBe(false);
+  });
+
+  test('should not mistake longer words for directives', () => {
+    const suppressions = new Suppressions('// code-migrate-disabled-line\nvar x = 1;', 'js');
+
+    expect(suppressions.hasDirectives()).toBe(false);
+  });
+
+  test('should report unused directives per rule', () => {
+    const content = [
+      '// code-migrate-disable-next-line var-to-const, console-log',
+      'var x = 1;',
+      '// code-migrate-disable',
+      'let y = 2;',
+      '// code-migrate-enable'
+    ].join('\n');
+    const suppressions = new Suppressions(content, 'js');
+    suppressions.isSuppressed(finding('var-to-const', 2));
+
+    expect(suppressions.getUnused()).toEqual([
+      { line: 1, directive: 'code-migrate-disable-next-line', ruleId: 'console-log' },
+      { line: 3, directive: 'code-migrate-disable', ruleId: '*' }
+    ]);
+  });
+});
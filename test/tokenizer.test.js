@@ -0,0 +1,61 @@
+const Tokenizer = require('../lib/tokenizer');
+
+describe('Tokenizer', () => {
+  const tokens = (content, fileExtension) =>
+    new Tokenizer(content, fileExtension).tokens.map(token => [token.type, content.slice(token.start, token.end)]);
+
+  test('should find JavaScript comments, strings and template literals', () => {
+    const content = 'const a = "x // y"; // note\n/* block */ `t ${ {k: \'q\'}.k } u`;\n';
+
+    expect(tokens(content, 'js')).toEqual([
+      ['string', '"x // y"'],
+      ['comment', '// note'],
+      ['comment', '/* block */'],
+      ['string', '`t ${'],
+      ['string', '\'q\''],
+      ['string', '} u`']
+    ]);
+  });
+
+  test('should skip regex literals but not divisions', () => {
+    const content = 'const r = /["\'/]/g; const half = total / 2; // done\n';
+
+    expect(tokens(content, 'ts')).toEqual([['comment', '// done']]);
+  });
+
+  test('should find Python comments and triple-quoted strings', () => {
+    const content = 's = """doc # not a comment\n"""  # real\nt = \'it\\\'s\'\n';
+
+    expect(tokens(content, 'py')).toEqual([
+      ['string', '"""doc # not a comment\n"""'],
+      ['comment', '# real'],
+      ['string', '\'it\\\'s\'']
+    ]);
+  });
+
+  test('should find Java text blocks and C++ raw strings', () => {
+    expect(tokens('String t = """\n  a " b\n"""; /* c */', 'java')).toEqual([
+      ['string', '"""\n  a " b\n"""'],
+      ['comment', '/* c */']
+    ]);
+    expect(tokens('int n = 1\'000; auto s = R"x(a")x"; // hi', 'cpp')).toEqual([
+      ['string', '"x(a")x"'],
+      ['comment', '// hi']
+    ]);
+  });
+
+  test('should report the context of an offset', () => {
+    const content = 'log("TODO"); // TODO later';
+    const tokenizer = new Tokenizer(content, 'js');
+
+    expect(tokenizer.contextAt(content.indexOf('log'))).toBe('code');
+    expect(tokenizer.contextAt(content.indexOf('TODO'))).toBe('string');
+    expect(tokenizer.contextAt(content.lastIndexOf('TODO'))).toBe('comment');
+  });
+
+  test('should only support known languages', () => {
+    expect(Tokenizer.supports('py')).toBe(true);
+    expect(Tokenizer.supports('rb')).toBe(false);
+    expect(new Tokenizer('# comment', 'rb').contextAt(0)).toBe('code');
+  });
+});
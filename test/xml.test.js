@@ -0,0 +1,21 @@
+const { escapeXml } = require('../lib/xml');
+
+describe('xml', () => {
+  describe('escapeXml', () => {
+    test('should escape markup characters', () => {
+      expect(escapeXml('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+
+    test('should drop control characters that XML does not allow', () => {
+      expect(escapeXml('a\u0000b\u0008c\u000Bd\u001Fe')).toBe('abcde');
+      expect(escapeXml('tab\there\nline\r\n')).toBe('tab\there\nline\r\n');
+      expect(escapeXml('café \u{1F600}')).toBe('café \u{1F600}');
+    });
+
+    test('should turn undefined and null into empty text', () => {
+      expect(escapeXml(undefined)).toBe('');
+      expect(escapeXml(null)).toBe('');
+      expect(escapeXml(42)).toBe('42');
+    });
+  });
+});